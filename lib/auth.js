@@ -0,0 +1,174 @@
+// Автентикация за UI и API. Два начина (кой да е стига):
+//   Shopify session token — App Bridge JWT в "Authorization: Bearer …" (вградено в Shopify Admin),
+//                           HS256 с SHOPIFY_API_SECRET, aud = SHOPIFY_API_KEY, dest = магазина
+//   сесия                 — login с APP_USERNAME/APP_PASSWORD → подписана "бисквитка" с изтичане
+// Линковете за сваляне се подписват отделно (exp + sig в query), защото <a download> не праща
+// Authorization header, а в iframe-а на Admin бисквитките често са блокирани.
+// Webhooks от Shopify се проверяват по X-Shopify-Hmac-Sha256 (SHOPIFY_WEBHOOK_SECRET или API secret-а;
+// магазин от SHOPIFY_SHOPS може да има собствен webhookSecret).
+//
+// Всичко е stateless (HMAC със secret) — сесиите и линковете оцеляват при рестарт.
+import crypto from 'crypto';
+
+const COOKIE_NAME = 'inv_session';
+const CLOCK_SKEW_S = 10;
+
+export function createAuth({ apiKey, apiSecret, webhookSecret, shops = [], username, password, sessionSecret, sessionTtlHours = 12, downloadTtlMinutes = 60, secureCookies = false, disabled = false } = {}) {
+  const shopifyEnabled = !!(apiKey && apiSecret);
+  const passwordEnabled = !!(username && password);
+  // без SESSION_SECRET подписваме с API secret-а; ако и него няма — случаен (сесиите не оцеляват при рестарт)
+  const secret = sessionSecret || apiSecret || crypto.randomBytes(32).toString('hex');
+  if (!sessionSecret && !apiSecret) console.warn('[AUTH] No SESSION_SECRET — sessions and download links reset on restart');
+  if (disabled) console.warn('[AUTH] AUTH_DISABLED — all endpoints are open');
+  else if (!shopifyEnabled && !passwordEnabled) {
+    console.error('[AUTH] No SHOPIFY_API_KEY/SHOPIFY_API_SECRET or APP_USERNAME/APP_PASSWORD — every API request will be refused');
+  }
+  const hookSecret = webhookSecret || apiSecret || null;
+  console.log('[AUTH] Methods:', { shopify: shopifyEnabled, password: passwordEnabled, webhooks: !!hookSecret });
+
+  const sessionTtlMs = Number(sessionTtlHours) * 60 * 60 * 1000;
+  const downloadTtlMs = Number(downloadTtlMinutes) * 60 * 1000;
+  const hmac = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+  // ===== Shopify session token =====
+  function verifySessionToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+    const [h, p, sig] = parts;
+    const header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+    if (header.alg !== 'HS256') throw new Error(`Unexpected alg ${header.alg}`);
+    const expected = crypto.createHmac('sha256', apiSecret).update(`${h}.${p}`).digest('base64url');
+    if (!safeEqual(sig, expected)) throw new Error('Bad signature');
+
+    const payload = JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp == null || payload.exp < now - CLOCK_SKEW_S) throw new Error('Token expired');
+    if (payload.nbf != null && payload.nbf > now + CLOCK_SKEW_S) throw new Error('Token not yet valid');
+    const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!aud.includes(apiKey)) throw new Error('Wrong audience');
+    const destHost = hostOf(payload.dest);
+    if (!destHost || hostOf(payload.iss) !== destHost) throw new Error('iss/dest mismatch');
+    if (shops.length && !shops.includes(destHost)) throw new Error(`Token for another shop: ${destHost}`);
+    return { shop: destHost, user: payload.sub || null };
+  }
+
+  // ===== Сесии (username/password) =====
+  function checkPassword(u, p) {
+    if (!passwordEnabled) return false;
+    // и двете сравнения винаги — без ранен изход по потребителя
+    const okUser = safeEqual(hashOf(u), hashOf(username));
+    const okPass = safeEqual(hashOf(p), hashOf(password));
+    return okUser && okPass;
+  }
+  function sessionCookie(user) {
+    const body = Buffer.from(JSON.stringify({ u: user, exp: Date.now() + sessionTtlMs })).toString('base64url');
+    const value = `${body}.${hmac(`session.${body}`)}`;
+    return cookieHeader(value, Math.floor(sessionTtlMs / 1000));
+  }
+  function clearSessionCookie() { return cookieHeader('', 0); }
+  function cookieHeader(value, maxAge) {
+    return `${COOKIE_NAME}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secureCookies ? '; Secure' : ''}`;
+  }
+  function readSession(req) {
+    const raw = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!raw) return null;
+    const [body, sig] = raw.split('.');
+    if (!body || !sig || !safeEqual(sig, hmac(`session.${body}`))) return null;
+    try {
+      const s = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return s.exp > Date.now() ? { user: s.u } : null;
+    } catch { return null; }
+  }
+
+  // ===== Подписани линкове за сваляне =====
+  // подписва се пътят без query (enc и т.н. остават свободни) — освен shop: файлът на друг магазин
+  // е друг файл, затова магазинът влиза в подписа
+  const downloadPayload = (pathname, exp, shop) => shop ? `dl.${pathname}@${shop}.${exp}` : `dl.${pathname}.${exp}`;
+  function signDownload(url) {
+    const [pathname, query = ''] = url.split('?');
+    const exp = Date.now() + downloadTtlMs;
+    const params = new URLSearchParams(query);
+    params.set('exp', String(exp));
+    params.set('sig', hmac(downloadPayload(pathname, exp, params.get('shop'))));
+    return `${pathname}?${params}`;
+  }
+  function verifyDownload(pathname, { exp, sig, shop } = {}) {
+    if (disabled) return true;
+    if (!exp || !sig || Number(exp) < Date.now()) return false;
+    return safeEqual(String(sig), hmac(downloadPayload(pathname, exp, shop)));
+  }
+
+  // ===== Shopify webhooks =====
+  // HMAC-SHA256 (base64) на суровото тяло; проверява се и при AUTH_DISABLED, без secret — отказ
+  function verifyWebhook(rawBody, signature, secret = hookSecret) {
+    if (!secret || !rawBody || !signature) return false;
+    return safeEqual(String(signature), crypto.createHmac('sha256', secret).update(rawBody).digest('base64'));
+  }
+
+  // req.auth = { method, user, shop? } или null
+  function authenticate(req) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (bearer && shopifyEnabled) {
+      try {
+        return { method: 'shopify', ...verifySessionToken(bearer[1]) };
+      } catch (e) {
+        console.warn('[AUTH] Session token rejected:', e.message);
+        return null;
+      }
+    }
+    const session = readSession(req);
+    return session ? { method: 'session', user: session.user } : null;
+  }
+
+  // publicPaths — префикси без login (health, login, signed downloads…)
+  // shellPaths — HTML страниците, които вградено в Admin се зареждат без token (точни пътища)
+  function middleware({ publicPaths = [], shellPaths = ['/', '/index.html'] } = {}) {
+    return (req, res, next) => {
+      if (disabled || publicPaths.some(p => req.path === p || req.path.startsWith(p.endsWith('/') ? p : `${p}/`))) return next();
+      req.auth = authenticate(req);
+      if (req.auth) return next();
+      // навигация в браузъра (Accept: text/html) → login; fetch/API (Accept: */* или json) → 401
+      if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+        // вградено в Admin без token → само HTML обвивката се зарежда и App Bridge праща token с
+        // fetch заявките; API пътищата винаги искат token или сесия
+        if (shopifyEnabled && req.query.embedded === '1' && shellPaths.includes(req.path)) return next();
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      res.status(401).json({ ok: false, error: 'Unauthorized' });
+    };
+  }
+
+  return {
+    shopifyEnabled,
+    passwordEnabled,
+    disabled,
+    apiKey: shopifyEnabled ? apiKey : null,
+    checkPassword,
+    sessionCookie,
+    clearSessionCookie,
+    readSession,
+    signDownload,
+    verifyDownload,
+    verifySessionToken,
+    verifyWebhook,
+    middleware
+  };
+}
+
+function hashOf(s) { return crypto.createHash('sha256').update(String(s ?? '')).digest(); }
+function safeEqual(a, b) {
+  const ba = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+  const bb = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return null; }
+}
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createAuth } from './auth.js';
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+describe('verifyWebhook', () => {
+  const body = Buffer.from(JSON.stringify({ inventory_item_id: 11, location_id: 1, available: 5 }));
+
+  test('accepts the HMAC of the raw body', () => {
+    const auth = createAuth({ webhookSecret: 'hook-secret' });
+    assert.equal(auth.verifyWebhook(body, sign(body, 'hook-secret')), true);
+  });
+
+  test('rejects a changed body, another secret or a missing signature', () => {
+    const auth = createAuth({ webhookSecret: 'hook-secret' });
+    const signature = sign(body, 'hook-secret');
+    assert.equal(auth.verifyWebhook(Buffer.from(body.toString().replace('5', '6')), signature), false);
+    assert.equal(auth.verifyWebhook(body, sign(body, 'other')), false);
+    assert.equal(auth.verifyWebhook(body, undefined), false);
+    assert.equal(auth.verifyWebhook(body, 'short'), false);
+  });
+
+  test('falls back to the API secret and takes a per-shop secret', () => {
+    const auth = createAuth({ apiKey: 'key', apiSecret: 'api-secret' });
+    assert.equal(auth.verifyWebhook(body, sign(body, 'api-secret')), true);
+    assert.equal(auth.verifyWebhook(body, sign(body, 'shop-secret'), 'shop-secret'), true);
+    assert.equal(auth.verifyWebhook(body, sign(body, 'api-secret'), 'shop-secret'), false);
+  });
+
+  test('refuses everything without a secret, even with AUTH_DISABLED', () => {
+    const auth = createAuth({ disabled: true });
+    assert.equal(auth.verifyWebhook(body, sign(body, '')), false);
+  });
+});
@@ -0,0 +1,27 @@
+// JSONL резултатът на Shopify bulk операция: по един JSON обект на ред, вложените в connection
+// обекти — като отделни редове с __parentId (след родителя си). Файлът може да е стотици MB,
+// затова се чете поточно, ред по ред.
+import readline from 'readline';
+
+export class BulkJsonlError extends Error {}
+
+// input — Node Readable (или async iterable от низове/Buffer-и); onObject(obj) за всеки непразен ред.
+// check() (по избор) се вика на всеки checkEvery реда — напр. ctx.throwIfCancelled.
+// → броят прочетени обекти
+export async function readBulkJsonl(input, onObject, { check = null, checkEvery = 10000 } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let n = 0, lineNo = 0;
+  for await (const line of lines) {
+    lineNo++;
+    if (!line.trim()) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (e) {
+      throw new BulkJsonlError(`Bulk JSONL line ${lineNo}: ${e.message}`);
+    }
+    onObject(obj);
+    if (++n % checkEvery === 0) check?.();
+  }
+  return n;
+}
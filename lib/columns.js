@@ -0,0 +1,138 @@
+// Колоните от продукта и варианта, които не са изчислени от отчета: стандартни полета и metafields.
+// Описани са в COLUMNS_FILE (config/columns.json) — { "<колона>": { ... } }, в реда за UI-то:
+//   level    — product | variant
+//   field    — поле от Admin API (productType, barcode, inventoryItem.harmonizedSystemCode …)
+//   metafield — "namespace.key" (вместо field)
+//   type     — string | integer | decimal | date (по подразбиране string)
+//   label    — за UI-то (по избор)
+// Всяка колона влиза в products заявката (paged и bulk) с alias col_<колона>.
+//
+// vendor_invoice_date, vendor_invoice_number и opening_quantity се ползват от филтрите,
+// групирането и reconciliation-а — нивото и типът им са фиксирани, а в config-а може да се
+// смени само откъде идват (field или metafield). Без config — custom.<колоната>, както досега.
+import fs from 'fs';
+
+export class ColumnConfigError extends Error {}
+
+const LEVELS = ['product', 'variant'];
+const TYPES = ['string', 'integer', 'decimal', 'date'];
+const COLUMN_NAME = /^[a-z][a-z0-9_]*$/;
+const FIELD_PATH = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const METAFIELD = /^([\w-]+)\.([\w-]+)$/;
+
+// alias-ите на вградените колони са старите — редовете от bulk JSONL и mock-овете не се променят
+const BUILT_IN = {
+  vendor_invoice_date: { level: 'product', type: 'date', alias: 'vendorInvoiceDate', metafield: 'custom.vendor_invoice_date' },
+  vendor_invoice_number: { level: 'product', type: 'string', alias: 'vendorInvoiceNumber', metafield: 'custom.vendor_invoice_number' },
+  opening_quantity: { level: 'variant', type: 'integer', alias: 'openingQty', metafield: 'custom.opening_quantity' }
+};
+
+// reserved — колоните, които отчетът изчислява сам; config-ът не може да ги заема
+export function createColumnRegistry({ file, reserved = [] }) {
+  const columns = new Map(); // име → { name, label, level, type, alias, field, metafield, builtIn }
+  for (const [name, def] of Object.entries(BUILT_IN)) columns.set(name, normalize(name, def, def));
+
+  let raw = {};
+  if (file && fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error('[COLS✗] Cannot read', file, e.message);
+    }
+  }
+  for (const [name, def] of Object.entries(raw)) {
+    try {
+      if (!BUILT_IN[name] && reserved.includes(name)) throw new ColumnConfigError('Name is taken by a report column');
+      columns.set(name, normalize(name, def, BUILT_IN[name]));
+    } catch (e) {
+      console.error('[COLS✗] Invalid column', name, e.message);
+    }
+  }
+  const custom = [...columns.values()].filter(c => !c.builtIn).map(c => c.name);
+  console.log('[COLS] Loaded', custom.length, 'custom columns', { file, custom });
+
+  // builtIn — фиксираните level/type/alias на вградената колона (или undefined за нова)
+  function normalize(name, def, builtIn) {
+    if (!COLUMN_NAME.test(name)) throw new ColumnConfigError('Column name must be lowercase letters, digits and _');
+    if (!def || typeof def !== 'object') throw new ColumnConfigError('Column must be an object');
+    if (!!def.field === !!def.metafield) throw new ColumnConfigError('Column needs field or metafield (not both)');
+    if (def.field && !FIELD_PATH.test(def.field)) throw new ColumnConfigError(`field must be a path like inventoryItem.harmonizedSystemCode`);
+    if (def.metafield && !METAFIELD.test(def.metafield)) throw new ColumnConfigError('metafield must be "namespace.key"');
+    const level = builtIn?.level || def.level;
+    if (!LEVELS.includes(level)) throw new ColumnConfigError(`level must be one of ${LEVELS.join(' | ')}`);
+    if (builtIn && def.level && def.level !== builtIn.level) throw new ColumnConfigError(`level is fixed to ${builtIn.level}`);
+    const type = builtIn?.type || def.type || 'string';
+    if (!TYPES.includes(type)) throw new ColumnConfigError(`type must be one of ${TYPES.join(' | ')}`);
+    if (builtIn && def.type && def.type !== builtIn.type) throw new ColumnConfigError(`type is fixed to ${builtIn.type}`);
+    return {
+      name,
+      label: def.label || null,
+      level,
+      type,
+      alias: builtIn?.alias || `col_${name}`,
+      field: def.field || null,
+      metafield: def.metafield || null,
+      builtIn: !!builtIn
+    };
+  }
+
+  // GraphQL селекцията за нивото — редове за node-а на продукта/варианта
+  function selection(level) {
+    return [...columns.values()].filter(c => c.level === level).map(c => {
+      if (c.metafield) {
+        const [, namespace, key] = c.metafield.match(METAFIELD);
+        return `${c.alias}: metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { value }`;
+      }
+      // inventoryItem.harmonizedSystemCode → col_x: inventoryItem { harmonizedSystemCode }
+      const [first, ...rest] = c.field.split('.');
+      return `${c.alias}: ${first}${rest.map(f => ` { ${f}`).join('')}${' }'.repeat(rest.length)}`;
+    }).join('\n');
+  }
+
+  // node-овете на продукта и варианта → { колона: стойност } за всички колони
+  function read(product, variant) {
+    const out = {};
+    for (const c of columns.values()) {
+      let v = (c.level === 'product' ? product : variant)?.[c.alias];
+      if (c.metafield) v = v?.value;
+      else for (const f of c.field.split('.').slice(1)) v = v?.[f];
+      out[c.name] = coerce(v, c.type);
+    }
+    return out;
+  }
+
+  function typeOf(name) {
+    return columns.get(name)?.type || null;
+  }
+
+  function list() {
+    return [...columns.values()].map(c => ({
+      name: c.name,
+      label: c.label,
+      level: c.level,
+      type: c.type,
+      source: c.metafield ? `metafield ${c.metafield}` : c.field,
+      builtIn: c.builtIn
+    }));
+  }
+
+  return {
+    custom,
+    has: (name) => columns.has(name),
+    ofType: (type) => [...columns.values()].filter(c => c.type === type).map(c => c.name),
+    selection,
+    read,
+    typeOf,
+    list
+  };
+}
+
+function coerce(v, type) {
+  if (v === null || v === undefined || v === '') return null;
+  if (type === 'integer' || type === 'decimal') {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+  // metafields от тип list/json идват като JSON низ; обекти (грешно посочено поле) — като JSON
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
@@ -0,0 +1,139 @@
+// Доставка на готови експорти (recurring reports). Цели:
+//   { type: 'local', dir }             — файл в DELIVERY_DIR/<dir> (без излизане извън DELIVERY_DIR)
+//   { type: 'sftp', dir }              — сървърът, потребителят и паролата/ключът са в env (SFTP_HOST,
+//                                        SFTP_PORT, SFTP_USERNAME, SFTP_PASSWORD, SFTP_PRIVATE_KEY)
+//   { type: 'smtp', to, cc }           — писмо с прикачени файлове; сървърът е в env (SMTP_*)
+// Credentials не се пазят в дефинициите (те се връщат от API-то), само в env. Затова и SFTP сървърът
+// е в env: иначе дефиниция, насочена към чужд host, би получила паролата/ключа.
+//
+// deliver() не хвърля — връща резултат за всяка цел, за да се види коя е минала и коя не.
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import SftpClient from 'ssh2-sftp-client';
+
+export const DELIVERY_TYPES = ['local', 'sftp', 'smtp'];
+
+export class DeliveryConfigError extends Error {}
+
+export function createDelivery({ localDir, smtp = {}, sftp = {} } = {}) {
+  const smtpReady = !!smtp.host;
+  const sftpReady = !!(sftp.host && sftp.username);
+  const sftpPort = Number(sftp.port) || 22;
+  console.log('[DELIVERY] Targets:', {
+    localDir,
+    smtp: smtpReady ? `${smtp.host}:${smtp.port}` : null,
+    sftp: sftpReady ? `${sftp.username}@${sftp.host}:${sftpPort}` : null,
+    sftpKey: !!sftp.privateKey
+  });
+
+  // → нормализиран списък; хвърля DeliveryConfigError при грешна цел
+  function validate(targets = []) {
+    if (!Array.isArray(targets)) throw new DeliveryConfigError('delivery must be an array');
+    return targets.map((t, i) => {
+      const where = `delivery[${i}]`;
+      if (!DELIVERY_TYPES.includes(t?.type)) {
+        throw new DeliveryConfigError(`${where}.type must be one of ${DELIVERY_TYPES.join(' | ')}`);
+      }
+      if (t.type === 'local') {
+        const dir = String(t.dir || '.');
+        localPath(dir); // проверка за излизане извън localDir
+        return { type: 'local', dir };
+      }
+      if (t.type === 'sftp') {
+        if (!sftpReady) throw new DeliveryConfigError(`${where}: SFTP_HOST / SFTP_USERNAME are not configured`);
+        // host/port/username в целта се приемат само ако съвпадат с env (по-стари дефиниции)
+        if ((t.host && String(t.host) !== sftp.host) || (t.port && Number(t.port) !== sftpPort) ||
+            (t.username && String(t.username) !== sftp.username)) {
+          throw new DeliveryConfigError(`${where}: the SFTP server is set in SFTP_HOST / SFTP_PORT / SFTP_USERNAME, only dir can be chosen`);
+        }
+        return { type: 'sftp', dir: String(t.dir || '.') };
+      }
+      const to = [].concat(t.to || []).map(String).filter(Boolean);
+      if (!to.length) throw new DeliveryConfigError(`${where}: smtp needs at least one "to" address`);
+      if (!smtpReady) throw new DeliveryConfigError(`${where}: SMTP_HOST is not configured`);
+      return { type: 'smtp', to, cc: [].concat(t.cc || []).map(String).filter(Boolean) };
+    });
+  }
+
+  function localPath(dir) {
+    const root = path.resolve(localDir);
+    const full = path.resolve(root, dir);
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      throw new DeliveryConfigError(`Local delivery dir must be inside DELIVERY_DIR: ${dir}`);
+    }
+    return full;
+  }
+
+  // files: [{ filename, content: Buffer, contentType }]; message: { subject, text } за писмата
+  async function deliver(files, targets, message = {}) {
+    const results = [];
+    for (const t of targets) {
+      const started = Date.now();
+      const target = describe(t, sftp);
+      try {
+        if (t.type === 'local') await toLocal(files, t);
+        else if (t.type === 'sftp') await toSftp(files, t);
+        else await toSmtp(files, t, message);
+        console.log('[DELIVERY✓]', target, files.map(f => f.filename));
+        results.push({ type: t.type, target, status: 'ok', ms: Date.now() - started });
+      } catch (e) {
+        console.error('[DELIVERY✗]', target, e?.stack || String(e));
+        results.push({ type: t.type, target, status: 'failed', error: String(e?.message || e), ms: Date.now() - started });
+      }
+    }
+    return results;
+  }
+
+  async function toLocal(files, { dir }) {
+    const full = localPath(dir);
+    await fs.promises.mkdir(full, { recursive: true });
+    for (const f of files) await fs.promises.writeFile(path.join(full, f.filename), f.content);
+  }
+
+  async function toSftp(files, { dir }) {
+    if (!sftpReady) throw new Error('SFTP_HOST / SFTP_USERNAME are not configured');
+    const client = new SftpClient();
+    try {
+      await client.connect({
+        host: sftp.host,
+        port: sftpPort,
+        username: sftp.username,
+        password: sftp.password || undefined,
+        privateKey: sftp.privateKey ? fs.readFileSync(sftp.privateKey) : undefined,
+        readyTimeout: 20000
+      });
+      if (dir && dir !== '.' && !(await client.exists(dir))) await client.mkdir(dir, true);
+      for (const f of files) await client.put(f.content, path.posix.join(dir || '.', f.filename));
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+
+  let transport = null;
+  async function toSmtp(files, { to, cc }, { subject = 'Inventory report', text = '' }) {
+    if (!smtpReady) throw new Error('SMTP_HOST is not configured');
+    transport ||= nodemailer.createTransport({
+      host: smtp.host,
+      port: Number(smtp.port) || 587,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+    await transport.sendMail({
+      from: smtp.from || smtp.user,
+      to: to.join(', '),
+      cc: cc.length ? cc.join(', ') : undefined,
+      subject,
+      text,
+      attachments: files.map(f => ({ filename: f.filename, content: f.content, contentType: f.contentType }))
+    });
+  }
+
+  return { validate, deliver };
+}
+
+function describe(t, sftp) {
+  if (t.type === 'local') return `local:${t.dir}`;
+  if (t.type === 'sftp') return `sftp://${sftp.username}@${sftp.host}:${Number(sftp.port) || 22}/${t.dir}`;
+  return `smtp:${t.to.join(',')}`;
+}
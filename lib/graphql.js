@@ -0,0 +1,174 @@
+// GraphQL клиентът към Shopify Admin API: заявките отиват към текущия магазин (shops.current():
+// gqlUrl и token), с retries, backoff и изчакване по rate limit-а.
+//
+// Leaky bucket на Shopify: състоянието от последния throttleStatus (за приложението и магазина —
+// отделно за всеки магазин). Преди заявка изчакваме, ако очакваната цена (последната
+// requestedQueryCost за същата операция) е над наличното, вместо да чакаме THROTTLED.
+// THROTTLED, HTTP 429/5xx и мрежовите грешки се повтарят до maxRetries пъти с jitter-нат
+// експоненциален backoff (retryBaseMs · 2^опит, до retryMaxMs), но не по-малко от Retry-After.
+// Mutation-ите — само при THROTTLED и 429 (Shopify не ги е изпълнил); след 5xx или мрежова грешка
+// първият опит може вече да е минал (втора bulk операция, дублиран webhook).
+//
+// request(query, variables) → data; withStats(fn) — fn(stats), а stats събира всички заявки
+// в нея (и вложените async извиквания).
+import { AsyncLocalStorage } from 'async_hooks';
+
+export class GraphQLRetryableError extends Error {
+  constructor(message, { retryAfterMs = null, kind = 'transient' } = {}) {
+    super(message);
+    this.name = 'GraphQLRetryableError';
+    this.retryAfterMs = retryAfterMs;
+    this.kind = kind;
+  }
+}
+
+// грешките, при които Shopify със сигурност не е изпълнил заявката — само те се повтарят за mutation-и
+const NOT_EXECUTED = ['throttled', 'http429'];
+
+// fetch — за тестовете (по подразбиране глобалният)
+export function createGraphQLClient({ shops, maxRetries = 5, retryBaseMs = 1000, retryMaxMs = 30000, fetch = globalThis.fetch }) {
+  const buckets = new Map(); // shop id → { available, maximum, restoreRate, at }
+  const costByOp = new Map();
+  // статистика за retries/throttling на текущия отчет (виж withStats)
+  const statsScope = new AsyncLocalStorage();
+
+  function bucket() {
+    const { id } = shops.current();
+    if (!buckets.has(id)) buckets.set(id, { available: null, maximum: null, restoreRate: null, at: 0 });
+    return buckets.get(id);
+  }
+
+  async function request(query, variables = {}) {
+    const m = query.match(/\b(query|mutation)\s+([A-Za-z0-9_]+)/);
+    const opName = m ? m[2] : 'UnknownOp';
+    const mutation = /^\s*mutation\b/.test(query);
+    const stats = statsScope.getStore();
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForBucket(opName, stats);
+      try {
+        return await requestOnce(opName, query, variables, stats);
+      } catch (e) {
+        const retryable = e instanceof GraphQLRetryableError && (!mutation || NOT_EXECUTED.includes(e.kind));
+        if (!retryable || attempt >= maxRetries) {
+          if (e instanceof GraphQLRetryableError && stats) stats.failed++;
+          if (e instanceof GraphQLRetryableError && !retryable) console.warn(`[GQL✗] ${opName} ${e.kind} — mutation not retried, it may already be applied`);
+          throw e;
+        }
+        const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+        const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        const waitMs = Math.max(jittered, e.retryAfterMs || 0);
+        if (stats) {
+          stats.retries++;
+          stats.backoffMs += waitMs;
+          stats.byKind[e.kind] = (stats.byKind[e.kind] || 0) + 1;
+        }
+        console.warn(`[GQL↻] ${opName} ${e.kind} — retry ${attempt + 1}/${maxRetries} in ${waitMs}ms:`, truncate(String(e.message), 200));
+        await new Promise(r => setTimeout(r, waitMs));
+      }
+    }
+  }
+
+  async function requestOnce(opName, query, variables, stats) {
+    const shop = shops.current();
+    console.log(`[GQL→] ${opName}${shops.multi ? ` @${shop.id}` : ''} vars=`, sanitizeVars(variables));
+    const started = Date.now();
+    if (stats) stats.requests++;
+
+    let res;
+    try {
+      res = await fetch(shop.gqlUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': shop.token
+        },
+        body: JSON.stringify({ query, variables })
+      });
+    } catch (e) {
+      // мрежова грешка (ECONNRESET, таймаут, DNS…)
+      console.error(`[GQL✗] ${opName} fetch failed:`, String(e?.cause?.code || e?.message || e));
+      throw new GraphQLRetryableError(`GraphQL fetch failed: ${e?.cause?.code || e?.message || e}`, { kind: 'network' });
+    }
+
+    let outText = '';
+    try { outText = await res.text(); } catch {}
+    let out = {};
+    try { out = JSON.parse(outText); } catch {}
+
+    const ms = Date.now() - started;
+    const cost = out.extensions?.cost;
+    if (cost) {
+      console.log(`[GQL$] ${opName} cost=`, cost);
+      updateBucket(opName, cost);
+    }
+    if (!res.ok) {
+      console.error(`[GQL✗] ${opName} HTTP ${res.status} in ${ms}ms body=`, truncate(outText, 1000));
+      if (res.status === 429 || res.status >= 500) {
+        throw new GraphQLRetryableError(`GraphQL HTTP ${res.status}: ${truncate(outText, 200)}`, {
+          retryAfterMs: retryAfterMs(res.headers.get('retry-after')),
+          kind: res.status === 429 ? 'http429' : 'http5xx'
+        });
+      }
+      throw new Error(`GraphQL HTTP ${res.status}: ${outText}`);
+    }
+    if (out.errors) {
+      console.error(`[GQL✗] ${opName} errors=`, out.errors);
+      if (out.errors.some(err => err.extensions?.code === 'THROTTLED')) {
+        throw new GraphQLRetryableError('GraphQL THROTTLED', {
+          retryAfterMs: throttleWaitMs(cost?.requestedQueryCost ?? costByOp.get(opName)),
+          kind: 'throttled'
+        });
+      }
+      throw new Error(`GraphQL errors: ${JSON.stringify(out.errors)}`);
+    }
+    console.log(`[GQL✓] ${opName} in ${ms}ms`);
+    return out.data;
+  }
+
+  function updateBucket(opName, cost) {
+    if (cost.requestedQueryCost != null) costByOp.set(opName, cost.requestedQueryCost);
+    const t = cost.throttleStatus;
+    if (!t) return;
+    Object.assign(bucket(), { available: t.currentlyAvailable, maximum: t.maximumAvailable, restoreRate: t.restoreRate, at: Date.now() });
+  }
+
+  // Колко ms докато в bucket-а се съберат cost точки (0, ако вече ги има или не знаем)
+  function throttleWaitMs(cost) {
+    const { available, maximum, restoreRate, at } = bucket();
+    if (available == null || !restoreRate || !cost) return 0;
+    const now = Math.min(maximum ?? Infinity, available + restoreRate * (Date.now() - at) / 1000);
+    const need = Math.min(cost, maximum ?? cost);
+    return now >= need ? 0 : Math.ceil((need - now) / restoreRate * 1000);
+  }
+
+  async function waitForBucket(opName, stats) {
+    const waitMs = throttleWaitMs(costByOp.get(opName));
+    if (!waitMs) return;
+    if (stats) {
+      stats.throttleWaits++;
+      stats.throttleWaitMs += waitMs;
+    }
+    console.log(`[GQL⏳] ${opName} waiting ${waitMs}ms for ${costByOp.get(opName)} cost points`);
+    await new Promise(r => setTimeout(r, waitMs));
+  }
+
+  function withStats(fn) {
+    const stats = { requests: 0, retries: 0, failed: 0, byKind: {}, backoffMs: 0, throttleWaits: 0, throttleWaitMs: 0 };
+    return statsScope.run(stats, () => fn(stats));
+  }
+
+  return { request, withStats };
+}
+
+// Retry-After е секунди или HTTP дата
+export function retryAfterMs(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function truncate(s, n) { return s && s.length > n ? s.slice(0, n) + '…(truncated)' : s; }
+function sanitizeVars(v) { try { return JSON.parse(JSON.stringify(v)); } catch { return v; } }
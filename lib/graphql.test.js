@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGraphQLClient, GraphQLRetryableError, retryAfterMs } from './graphql.js';
+
+const QUERY = 'query Products { products(first: 1) { edges { node { id } } } }';
+const shop = { id: 'test', gqlUrl: 'http://stub.test/graphql.json', token: 'secret' };
+const ok = (data, cost = null) => new Response(JSON.stringify({ data, extensions: cost ? { cost } : undefined }), { status: 200 });
+const throttled = (available) => new Response(JSON.stringify({
+  errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+  extensions: { cost: { requestedQueryCost: 50, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 1000 } } }
+}), { status: 200 });
+
+// responses — Response-и или функции, по една за всяка заявка
+function client(responses, opts = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return typeof next === 'function' ? next() : next.clone();
+  };
+  return { calls, gql: createGraphQLClient({ shops: { current: () => shop, multi: false }, retryBaseMs: 1, retryMaxMs: 4, fetch, ...opts }) };
+}
+
+describe('createGraphQLClient', () => {
+  test('sends the query to the current shop with its token', async () => {
+    const { calls, gql } = client([ok({ products: { edges: [] } })]);
+    assert.deepEqual(await gql.request(QUERY, { first: 1 }), { products: { edges: [] } });
+    assert.equal(calls[0].url, shop.gqlUrl);
+    assert.equal(calls[0].init.headers['X-Shopify-Access-Token'], 'secret');
+    assert.deepEqual(JSON.parse(calls[0].init.body), { query: QUERY, variables: { first: 1 } });
+  });
+
+  test('retries THROTTLED, HTTP 429, HTTP 5xx and network errors, then succeeds', async () => {
+    const { calls, gql } = client([
+      throttled(1000),
+      new Response('Throttled', { status: 429 }),
+      new Response('Service Unavailable', { status: 503 }),
+      () => { throw Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } }); },
+      ok({ shop: { name: 'x' } })
+    ]);
+    const { data, stats } = await gql.withStats(async (stats) => ({ data: await gql.request(QUERY), stats }));
+    assert.deepEqual(data, { shop: { name: 'x' } });
+    assert.equal(calls.length, 5);
+    assert.equal(stats.requests, 5);
+    assert.equal(stats.retries, 4);
+    assert.equal(stats.failed, 0);
+    assert.deepEqual(stats.byKind, { throttled: 1, http429: 1, http5xx: 1, network: 1 });
+  });
+
+  test('gives up after maxRetries and counts the failure', async () => {
+    const { calls, gql } = client([new Response('down', { status: 502 })], { maxRetries: 2 });
+    await gql.withStats(async (stats) => {
+      await assert.rejects(gql.request(QUERY), (e) => e instanceof GraphQLRetryableError && e.kind === 'http5xx');
+      assert.equal(stats.retries, 2);
+      assert.equal(stats.failed, 1);
+    });
+    assert.equal(calls.length, 3);
+  });
+
+  test('retries mutations only on THROTTLED and HTTP 429', async () => {
+    const MUTATION = 'mutation BulkRun($query: String!) { bulkOperationRunQuery(query: $query) { bulkOperation { id } } }';
+    for (const failure of [() => new Response('Bad Gateway', { status: 502 }), () => { throw new Error('socket hang up'); }]) {
+      const { calls, gql } = client([failure, ok({ bulkOperationRunQuery: {} })]);
+      await gql.withStats(async (stats) => {
+        await assert.rejects(gql.request(MUTATION, { query: '{ shop { id } }' }), GraphQLRetryableError);
+        assert.equal(stats.retries, 0);
+        assert.equal(stats.failed, 1);
+      });
+      assert.equal(calls.length, 1);
+    }
+
+    const { calls, gql } = client([throttled(1000), new Response('Throttled', { status: 429 }), ok({ bulkOperationRunQuery: {} })]);
+    assert.deepEqual(await gql.request(MUTATION, { query: '{ shop { id } }' }), { bulkOperationRunQuery: {} });
+    assert.equal(calls.length, 3);
+  });
+
+  test('does not retry other HTTP errors or GraphQL errors', async () => {
+    const bad = client([new Response('Forbidden', { status: 403 })]);
+    await assert.rejects(bad.gql.request(QUERY), (e) => !(e instanceof GraphQLRetryableError) && /HTTP 403/.test(e.message));
+    assert.equal(bad.calls.length, 1);
+
+    const invalid = client([new Response(JSON.stringify({ errors: [{ message: 'Field x does not exist' }] }), { status: 200 })]);
+    await assert.rejects(invalid.gql.request(QUERY), /Field x does not exist/);
+    assert.equal(invalid.calls.length, 1);
+  });
+
+  test('backs off exponentially up to retryMaxMs', async () => {
+    const { gql } = client([new Response('down', { status: 500 })], { maxRetries: 4, retryBaseMs: 8, retryMaxMs: 16 });
+    await gql.withStats(async (stats) => {
+      await assert.rejects(gql.request(QUERY));
+      // опити 8, 16, 16, 16 ms — jitter-ът е между половината и цялото
+      assert.ok(stats.backoffMs >= 4 + 8 + 8 + 8, `backoffMs=${stats.backoffMs}`);
+      assert.ok(stats.backoffMs <= 8 + 16 + 16 + 16, `backoffMs=${stats.backoffMs}`);
+    });
+  });
+
+  test('waits at least Retry-After', async () => {
+    const { gql } = client([
+      new Response('Throttled', { status: 429, headers: { 'Retry-After': '0.2' } }),
+      ok({ shop: null })
+    ]);
+    await gql.withStats(async (stats) => {
+      const started = Date.now();
+      await gql.request(QUERY);
+      assert.ok(stats.backoffMs >= 200, `backoffMs=${stats.backoffMs}`);
+      assert.ok(Date.now() - started >= 190);
+    });
+  });
+
+  test('waits for the bucket before a query that does not fit', async () => {
+    // 50 точки, налични 0, възстановяване 1000/s → ~50ms
+    const { gql } = client([
+      ok({ shop: null }, { requestedQueryCost: 50, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 1000 } }),
+      ok({ shop: null })
+    ]);
+    await gql.withStats(async (stats) => {
+      await gql.request(QUERY);
+      await gql.request(QUERY);
+      assert.equal(stats.throttleWaits, 1);
+      assert.ok(stats.throttleWaitMs > 0 && stats.throttleWaitMs <= 50, `throttleWaitMs=${stats.throttleWaitMs}`);
+    });
+  });
+
+  test('keeps stats per withStats scope', async () => {
+    const { gql } = client([ok({ shop: null })]);
+    const [a, b] = await Promise.all([
+      gql.withStats(async (stats) => { await gql.request(QUERY); await gql.request(QUERY); return stats; }),
+      gql.withStats(async (stats) => { await gql.request(QUERY); return stats; })
+    ]);
+    assert.equal(a.requests, 2);
+    assert.equal(b.requests, 1);
+  });
+});
+
+describe('retryAfterMs', () => {
+  test('reads seconds and HTTP dates', () => {
+    assert.equal(retryAfterMs(null), null);
+    assert.equal(retryAfterMs('2'), 2000);
+    const ms = retryAfterMs(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(ms > 3000 && ms <= 5000, `ms=${ms}`);
+    assert.equal(retryAfterMs(new Date(Date.now() - 5000).toUTCString()), 0);
+    assert.equal(retryAfterMs('soon'), null);
+  });
+});
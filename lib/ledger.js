@@ -0,0 +1,222 @@
+// Ledger на инвентара — append-only движения по вариант от Shopify webhooks, snapshots и baseline.
+// Записите (storage.appendLedger) не се променят и не се трият:
+//   { id, at, type, source, inventoryItemId, variantId, locationId, qty, delta, sku, ref, webhookId }
+//   level   — наличност (available) в локация към at: inventory_levels/update, snapshot, baseline.
+//             qty е абсолютното количество, delta — разликата спрямо предишното известно (или null)
+//   sale    — orders/paid, qty = −продадените (за справка; наличността идва от level записите)
+//   refund  — refunds/create, qty = върнатите, restocked
+//   product — products/update и baseline: връзката inventory item → вариант (+ SKU), само при промяна
+//
+// snapshotAt(at) връща същата форма като нормализиран snapshot (version 2) с последното известно
+// количество за всяка двойка inventory item × локация към at — отчетът може да започва и да свършва
+// в произволен момент. Преди първия level запис за даден item количеството е неизвестно.
+// Ledger-ът се чете поточно (storage.scanLedger) — в паметта остава само последното за всеки
+// item × локация, не целият файл.
+import crypto from 'crypto';
+
+export const LEDGER_TOPICS = ['inventory_levels/update', 'orders/paid', 'refunds/create', 'products/update'];
+export const LEDGER_TYPES = ['level', 'sale', 'refund', 'product'];
+const SEEN_LIMIT = 10000;
+
+// REST payload-ите на webhooks са с числови id — в ledger-а всичко е gid, както в GraphQL
+const gid = (type, id) => id == null || id === '' ? null : String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+const iso = (t) => {
+  const d = new Date(t || Date.now());
+  return Number.isNaN(d.getTime()) ? new Date().toISOString() : d.toISOString();
+};
+
+export function createLedger({ storage }) {
+  const levels = new Map(); // "inventoryItemId|locationId" → { qty, at } — последното известно
+  const items = new Map();  // inventoryItemId → { variantId, sku }
+  const seen = new Set();   // webhookId-та — Shopify праща повторно при timeout/грешка
+  let first = null, last = null, count = 0;
+
+  function track(e) {
+    count++;
+    if (!first || e.at < first) first = e.at;
+    if (!last || e.at > last) last = e.at;
+    if (e.webhookId) remember(e.webhookId);
+    if (e.inventoryItemId && e.variantId) {
+      items.set(e.inventoryItemId, { variantId: e.variantId, sku: e.sku ?? items.get(e.inventoryItemId)?.sku ?? null });
+    }
+    if (e.type === 'level') {
+      const key = `${e.inventoryItemId}|${e.locationId}`;
+      const prev = levels.get(key);
+      if (!prev || e.at >= prev.at) levels.set(key, { qty: e.qty, at: e.at });
+    }
+  }
+  function remember(id) {
+    seen.add(id);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+  }
+
+  async function load() {
+    await storage.scanLedger({}, track);
+    console.log('[LEDGER] Loaded', count, 'entries', { first, last, items: items.size });
+  }
+
+  async function append(entries) {
+    if (!entries.length) return 0;
+    await storage.appendLedger(entries);
+    for (const e of entries) track(e);
+    return entries.length;
+  }
+
+  const entry = (fields) => ({ id: crypto.randomUUID(), ...fields });
+
+  function levelEntry({ inventoryItemId, locationId, qty, at, source, variantId = null, webhookId = null }) {
+    const prev = levels.get(`${inventoryItemId}|${locationId}`);
+    return entry({
+      at,
+      type: 'level',
+      source,
+      inventoryItemId,
+      locationId,
+      variantId: variantId || items.get(inventoryItemId)?.variantId || null,
+      qty,
+      delta: prev ? qty - prev.qty : null,
+      webhookId
+    });
+  }
+
+  // → { recorded } | { duplicate: true } | { ignored: true }
+  async function ingest(topic, payload, { webhookId = null } = {}) {
+    if (webhookId && seen.has(webhookId)) return { duplicate: true, recorded: 0 };
+    // още преди await-а на append — иначе две едновременни доставки на същия webhook минават и двете
+    if (webhookId) remember(webhookId);
+    const source = `webhook:${topic}`;
+    const out = [];
+    switch (topic) {
+      case 'inventory_levels/update':
+        // available е null за неследени items
+        if (payload.available == null) break;
+        out.push(levelEntry({
+          inventoryItemId: gid('InventoryItem', payload.inventory_item_id),
+          locationId: gid('Location', payload.location_id),
+          qty: Number(payload.available),
+          at: iso(payload.updated_at),
+          source,
+          webhookId
+        }));
+        break;
+      case 'orders/paid': {
+        const at = iso(payload.processed_at || payload.created_at);
+        for (const li of payload.line_items || []) {
+          const variantId = gid('ProductVariant', li.variant_id);
+          if (!variantId) continue;
+          out.push(entry({ at, type: 'sale', source, variantId, sku: li.sku || null, qty: -(Number(li.quantity) || 0), ref: gid('Order', payload.id), webhookId }));
+        }
+        break;
+      }
+      case 'refunds/create': {
+        const at = iso(payload.created_at);
+        for (const rli of payload.refund_line_items || []) {
+          const variantId = gid('ProductVariant', rli.line_item?.variant_id);
+          if (!variantId) continue;
+          out.push(entry({
+            at, type: 'refund', source, variantId,
+            sku: rli.line_item?.sku || null,
+            locationId: gid('Location', rli.location_id),
+            qty: Number(rli.quantity) || 0,
+            restocked: rli.restock_type !== 'no_restock',
+            ref: gid('Order', payload.order_id),
+            webhookId
+          }));
+        }
+        break;
+      }
+      case 'products/update': {
+        const at = iso(payload.updated_at);
+        for (const v of payload.variants || []) {
+          const inventoryItemId = gid('InventoryItem', v.inventory_item_id);
+          const variantId = gid('ProductVariant', v.id);
+          const known = items.get(inventoryItemId);
+          if (!inventoryItemId || !variantId || (known?.variantId === variantId && known.sku === (v.sku || null))) continue;
+          out.push(entry({ at, type: 'product', source, inventoryItemId, variantId, sku: v.sku || null, ref: gid('Product', payload.id), webhookId }));
+        }
+        break;
+      }
+      default:
+        return { ignored: true, recorded: 0 };
+    }
+    try {
+      return { recorded: await append(out) };
+    } catch (e) {
+      // незаписан — Shopify ще го прати пак
+      if (webhookId) seen.delete(webhookId);
+      throw e;
+    }
+  }
+
+  // Абсолютните наличности от snapshot или baseline (rows от fetchAllProductsAndInventory).
+  // Записват се само разликите спрямо известното — така пропуснати webhooks се наваксват.
+  async function baseline(rows, { at = new Date().toISOString(), source = 'baseline' } = {}) {
+    const out = [];
+    for (const r of rows) {
+      if (!r.inventoryItemId || !r.variantId) continue;
+      const known = items.get(r.inventoryItemId);
+      if (known?.variantId !== r.variantId || known.sku !== (r.variantSku ?? null)) {
+        out.push(entry({ at, type: 'product', source, inventoryItemId: r.inventoryItemId, variantId: r.variantId, sku: r.variantSku ?? null }));
+      }
+      for (const l of r.locations || []) {
+        if (!l.locationId) continue;
+        const prev = levels.get(`${r.inventoryItemId}|${l.locationId}`);
+        if (prev && prev.qty === l.qty && prev.at <= at) continue;
+        out.push(levelEntry({ inventoryItemId: r.inventoryItemId, locationId: l.locationId, qty: l.qty, at, source, variantId: r.variantId }));
+      }
+    }
+    const recorded = await append(out);
+    console.log('[LEDGER] Baseline', source, 'rows=', rows.length, 'recorded=', recorded);
+    return { recorded };
+  }
+
+  // variantOf — Map inventoryItemId → variantId от текущите данни, за items без product запис
+  async function snapshotAt(at, { variantOf = new Map() } = {}) {
+    const latest = new Map();  // "item|локация" → последният level запис (по at)
+    const mapping = new Map(); // inventoryItemId → { variantId, at }
+    await storage.scanLedger({ until: at }, (e) => {
+      if (e.inventoryItemId && e.variantId && !(mapping.get(e.inventoryItemId)?.at > e.at)) {
+        mapping.set(e.inventoryItemId, { variantId: e.variantId, at: e.at });
+      }
+      if (e.type !== 'level') return;
+      const key = `${e.inventoryItemId}|${e.locationId}`;
+      if (!(latest.get(key)?.at > e.at)) latest.set(key, e);
+    });
+    const variants = {};
+    let unmapped = 0;
+    for (const e of latest.values()) {
+      const variantId = mapping.get(e.inventoryItemId)?.variantId || items.get(e.inventoryItemId)?.variantId || variantOf.get(e.inventoryItemId);
+      if (!variantId) { unmapped++; continue; }
+      const v = variants[variantId] ||= { qty: 0, byLocation: {} };
+      v.qty += e.qty;
+      v.byLocation[e.locationId] = (v.byLocation[e.locationId] || 0) + e.qty;
+    }
+    console.log('[LEDGER] Quantities at', at, 'variants=', Object.keys(variants).length, 'levels=', latest.size, unmapped ? `unmapped=${unmapped}` : '');
+    return { version: 2, label: `ledger@${at}`, createdAt: at, header: null, locations: {}, variants, source: 'ledger' };
+  }
+
+  // най-новите първи; variantId/sku съвпадат и по връзката inventory item → вариант.
+  // Филтрира се поточно и се пазят само най-новите limit записа.
+  async function list({ variantId = null, sku = null, type = null, since = null, until = null, limit = 200 } = {}) {
+    const variantOfEntry = (e) => e.variantId || items.get(e.inventoryItemId)?.variantId || null;
+    const skuOfEntry = (e) => e.sku ?? items.get(e.inventoryItemId)?.sku ?? null;
+    // при равен at — по-късно добавеният е по-нов
+    const newestFirst = (a, b) => b.e.at.localeCompare(a.e.at) || b.n - a.n;
+    let kept = [];
+    let n = 0;
+    await storage.scanLedger({ until }, (e) => {
+      n++;
+      if ((since && e.at < since) || (type && e.type !== type) ||
+        (variantId && variantOfEntry(e) !== variantId) || (sku && skuOfEntry(e) !== sku)) return;
+      kept.push({ e, n });
+      if (kept.length >= limit * 2) kept = kept.sort(newestFirst).slice(0, limit);
+    });
+    return kept.sort(newestFirst).slice(0, limit).map(k => k.e);
+  }
+
+  function status() {
+    return { entries: count, first, last, items: items.size, levels: levels.size };
+  }
+
+  return { load, ingest, baseline, snapshotAt, list, status };
+}
@@ -0,0 +1,104 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from './storage.js';
+import { createLedger } from './ledger.js';
+
+const ITEM = 'gid://shopify/InventoryItem/11';
+const VARIANT = 'gid://shopify/ProductVariant/11';
+const SHOP = 'gid://shopify/Location/1';
+const WAREHOUSE = 'gid://shopify/Location/2';
+
+const productUpdate = { id: 1, updated_at: '2026-10-01T08:00:00Z', variants: [{ id: 11, sku: 'TS-S', inventory_item_id: 11 }] };
+const level = (location_id, available, updated_at) => ({ inventory_item_id: 11, location_id, available, updated_at });
+
+describe('ledger', () => {
+  let tmp, storage, ledger;
+
+  // нов ledger върху същия файл — както при рестарт
+  const reopen = async () => {
+    storage = await createStorage({ driver: 'fs', snapshotDir: path.join(tmp, 'snapshots'), exportDir: path.join(tmp, 'exports') });
+    ledger = createLedger({ storage });
+    await ledger.load();
+  };
+
+  beforeEach(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    await reopen();
+  });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('snapshotAt sums the latest level per location at the given time', async () => {
+    await ledger.ingest('products/update', productUpdate);
+    await ledger.ingest('inventory_levels/update', level(1, 20, '2026-10-02T09:00:00Z'));
+    await ledger.ingest('inventory_levels/update', level(2, 5, '2026-10-02T09:30:00Z'));
+    await ledger.ingest('inventory_levels/update', level(1, 17, '2026-10-03T12:00:00Z'));
+
+    const before = await ledger.snapshotAt('2026-10-02T23:59:59Z');
+    assert.equal(before.version, 2);
+    assert.equal(before.source, 'ledger');
+    assert.deepEqual(before.variants[VARIANT], { qty: 25, byLocation: { [SHOP]: 20, [WAREHOUSE]: 5 } });
+
+    const after = await ledger.snapshotAt('2026-10-04T00:00:00Z');
+    assert.deepEqual(after.variants[VARIANT], { qty: 22, byLocation: { [SHOP]: 17, [WAREHOUSE]: 5 } });
+
+    // преди първия level запис количеството е неизвестно
+    assert.deepEqual((await ledger.snapshotAt('2026-10-01T00:00:00Z')).variants, {});
+  });
+
+  test('snapshotAt picks the latest level by time, not by the order it was received', async () => {
+    await ledger.ingest('products/update', productUpdate);
+    await ledger.ingest('inventory_levels/update', level(1, 9, '2026-10-03T12:00:00Z'));
+    // закъснял webhook за по-ранен момент
+    await ledger.ingest('inventory_levels/update', level(1, 30, '2026-10-02T12:00:00Z'));
+
+    assert.equal((await ledger.snapshotAt('2026-10-05T00:00:00Z')).variants[VARIANT].qty, 9);
+    assert.equal((await ledger.snapshotAt('2026-10-02T23:00:00Z')).variants[VARIANT].qty, 30);
+  });
+
+  test('snapshotAt maps items without a product entry through variantOf', async () => {
+    await ledger.ingest('inventory_levels/update', level(1, 4, '2026-10-02T09:00:00Z'));
+    assert.deepEqual((await ledger.snapshotAt('2026-10-03T00:00:00Z')).variants, {});
+    const snap = await ledger.snapshotAt('2026-10-03T00:00:00Z', { variantOf: new Map([[ITEM, VARIANT]]) });
+    assert.equal(snap.variants[VARIANT].qty, 4);
+  });
+
+  test('ingest skips a webhook id it has already seen, also when both arrive at once', async () => {
+    const payload = level(1, 20, '2026-10-02T09:00:00Z');
+    const results = await Promise.all([
+      ledger.ingest('inventory_levels/update', payload, { webhookId: 'wh-1' }),
+      ledger.ingest('inventory_levels/update', payload, { webhookId: 'wh-1' })
+    ]);
+    assert.deepEqual(results.map(r => r.recorded).sort(), [0, 1]);
+    assert.equal(results.filter(r => r.duplicate).length, 1);
+
+    // и след рестарт — id-тата се четат от файла
+    await reopen();
+    assert.deepEqual(await ledger.ingest('inventory_levels/update', payload, { webhookId: 'wh-1' }), { duplicate: true, recorded: 0 });
+    assert.equal(ledger.status().entries, 1);
+  });
+
+  test('ingest ignores unknown topics and untracked items', async () => {
+    assert.deepEqual(await ledger.ingest('customers/create', {}), { ignored: true, recorded: 0 });
+    assert.deepEqual(await ledger.ingest('inventory_levels/update', level(1, null, '2026-10-02T09:00:00Z')), { recorded: 0 });
+  });
+
+  test('load restores the latest levels and list returns the newest entries first', async () => {
+    await ledger.ingest('products/update', productUpdate);
+    await ledger.ingest('inventory_levels/update', level(1, 20, '2026-10-02T09:00:00Z'));
+    await ledger.ingest('orders/paid', { id: 5, processed_at: '2026-10-03T10:00:00Z', line_items: [{ variant_id: 11, sku: 'TS-S', quantity: 3 }] });
+    await ledger.ingest('inventory_levels/update', level(1, 17, '2026-10-03T10:00:01Z'));
+
+    await reopen();
+    assert.deepEqual(ledger.status(), { entries: 4, first: '2026-10-01T08:00:00.000Z', last: '2026-10-03T10:00:01.000Z', items: 1, levels: 1 });
+
+    const all = await ledger.list();
+    assert.deepEqual(all.map(e => e.type), ['level', 'sale', 'level', 'product']);
+    assert.deepEqual((await ledger.list({ limit: 2 })).map(e => e.at), ['2026-10-03T10:00:01.000Z', '2026-10-03T10:00:00.000Z']);
+    assert.deepEqual((await ledger.list({ type: 'level', until: '2026-10-03T00:00:00Z' })).map(e => e.qty), [20]);
+    // level записите нямат SKU — намират се през product записа
+    assert.equal((await ledger.list({ sku: 'TS-S', type: 'level' })).length, 2);
+  });
+});
@@ -0,0 +1,82 @@
+// Reconciliation на наличностите: expected_ending = starting + received − net_sold ± adjustments;
+// variance = ending − expected.
+//
+// received идва от:
+//   'snapshots' — положителните разлики между поредните записани snapshots от началния до (без) крайния;
+//                 продажбите между два snapshot-а могат да скрият част от доставката, т.е. това е долна
+//                 граница. Крайното количество (end snapshot или текущото) е това, което проверяваме —
+//                 то не влиза във веригата, иначе всяко покачване до него става доставка.
+//                 По подразбиране само с endSnapshotLabel.
+//   'invoice'   — opening_quantity на продукти с vendor_invoice_date в периода (само ако доставките се
+//                 въвеждат така — изрично по избор)
+//   'none'      — без доставки (по подразбиране без endSnapshotLabel)
+// adjustments — ръчни корекции { variantId|SKU: ±qty } (бракувани, инвентаризация и т.н.)
+export const RECEIVED_SOURCES = ['snapshots', 'invoice', 'none'];
+
+const isDateLabel = (label) => /^\d{4}-\d{2}-\d{2}$/.test(label || '');
+
+// snapshots — { list() → labels, load(label) → нормализиран snapshot }
+export async function prepareReconciliation(opts, { productRows, startLabel, startSnapshot, endLabel, since, until, snapshots }){
+  const { receivedFrom = endLabel ? 'snapshots' : 'none', tolerance = 0, adjustments = {} } = opts === true ? {} : opts;
+  const received = new Map();
+
+  if (receivedFrom === 'invoice') {
+    const from = (since || '').split('T')[0];
+    const to = (until || '').split('T')[0];
+    for (const r of productRows) {
+      const d = (r.vendorInvoiceDate || '').slice(0, 10);
+      if (d && d >= from && d <= to && r.openingQty) received.set(r.variantId, r.openingQty);
+    }
+  } else if (receivedFrom === 'snapshots') {
+    const untilDate = (until || '').split('T')[0];
+    const chain = [startSnapshot];
+    for (const label of (await snapshots.list()).sort()) {
+      if (!isDateLabel(label) || label <= startLabel || label > untilDate || label === endLabel) continue;
+      if (isDateLabel(endLabel) && label > endLabel) continue;
+      chain.push(await snapshots.load(label));
+    }
+    console.log('[RECON] Snapshot chain:', [startLabel, ...chain.slice(1).map(s => s.label)].join(' → '), ...(endLabel ? [`(end ${endLabel} excluded)`] : []));
+    for (const [variantId, delta] of snapshotIncreases(chain)) received.set(variantId, delta);
+  }
+
+  console.log('[RECON] receivedFrom=', receivedFrom, 'variantsReceived=', received.size, 'tolerance=', tolerance);
+  return { received, adjustments: new Map(Object.entries(adjustments)), tolerance: Number(tolerance) || 0 };
+}
+
+// Сумата на положителните разлики по вариант между поредните snapshots
+function snapshotIncreases(chain){
+  const out = new Map();
+  for (let i = 1; i < chain.length; i++) {
+    for (const [variantId, entry] of Object.entries(chain[i].variants)) {
+      const delta = entry.qty - (chain[i - 1].variants[variantId]?.qty ?? 0);
+      if (delta > 0) out.set(variantId, (out.get(variantId) || 0) + delta);
+    }
+  }
+  return out;
+}
+
+export function reconcileRow(row, productRow, { received, adjustments, tolerance }){
+  const netSold = row.net_units_sold ?? row.units_sold ?? 0;
+  const receivedQty = received.get(productRow.variantId) || 0;
+  const adjustment = Number(adjustments.get(productRow.variantId) ?? adjustments.get(productRow.variantSku) ?? 0);
+  const expected = (row.starting_inventory_qty ?? 0) + receivedQty - netSold + adjustment;
+  const variance = (row.ending_inventory_qty ?? 0) - expected;
+  let status = 'ok';
+  if (Math.abs(variance) > tolerance) status = variance < 0 ? 'shrinkage' : 'surplus';
+  return {
+    units_received: receivedQty,
+    adjustment_qty: adjustment,
+    expected_ending_qty: expected,
+    variance,
+    reconciliation_status: status
+  };
+}
+
+export function summarizeReconciliation(rows){
+  const out = { ok: 0, shrinkage: 0, surplus: 0, total_variance: 0 };
+  for (const r of rows) {
+    out[r.reconciliation_status]++;
+    out.total_variance += r.variance;
+  }
+  return out;
+}
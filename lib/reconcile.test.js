@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepareReconciliation, reconcileRow, summarizeReconciliation } from './reconcile.js';
+
+const V = 'gid://shopify/ProductVariant/1';
+const snap = (label, qty) => ({ label, variants: { [V]: { qty } } });
+
+// snapshots по етикет, както ги връща loadSnapshot
+function store(...list) {
+  const byLabel = new Map(list.map(s => [s.label, s]));
+  return { list: async () => [...byLabel.keys()], load: async (label) => byLabel.get(label) };
+}
+
+async function reconcile(opts, { start, end, endLabel, sold, snapshots }) {
+  const recon = await prepareReconciliation(opts, {
+    productRows: [{ variantId: V, endingQty: end }],
+    startLabel: '2026-09-01',
+    startSnapshot: snap('2026-09-01', start),
+    endLabel,
+    since: '2026-09-01T00:00:00Z',
+    until: '2026-09-30T23:59:59Z',
+    snapshots
+  });
+  const row = { starting_inventory_qty: start, ending_inventory_qty: end, net_units_sold: sold };
+  return reconcileRow(row, { variantId: V }, recon);
+}
+
+describe('prepareReconciliation', () => {
+  test('snapshots: receipts come from the stored snapshots before the end one', async () => {
+    // 10 в началото, доставка 20 → 30 на 10-ти, продадени 5 след това, накрая 25 — нищо не липсва
+    const snapshots = store(snap('2026-09-01', 10), snap('2026-09-10', 30), snap('2026-09-30', 25));
+    const exact = await reconcile({}, { start: 10, end: 25, endLabel: '2026-09-30', sold: 5, snapshots });
+    assert.deepEqual(exact, { units_received: 20, adjustment_qty: 0, expected_ending_qty: 25, variance: 0, reconciliation_status: 'ok' });
+
+    // същото, но накрая 22 — 3 липсват
+    const short = store(snap('2026-09-01', 10), snap('2026-09-10', 30), snap('2026-09-30', 22));
+    const shrinkage = await reconcile({}, { start: 10, end: 22, endLabel: '2026-09-30', sold: 5, snapshots: short });
+    assert.equal(shrinkage.units_received, 20);
+    assert.equal(shrinkage.variance, -3);
+    assert.equal(shrinkage.reconciliation_status, 'shrinkage');
+  });
+
+  test('snapshots: the ending quantity is never counted as a receipt', async () => {
+    // без доставки, продадени 5, а накрая с 3 повече от началото — излишъкът е 3 + 5 = 8
+    const snapshots = store(snap('2026-09-01', 10), snap('2026-09-30', 13));
+    const out = await reconcile({ receivedFrom: 'snapshots' }, { start: 10, end: 13, endLabel: '2026-09-30', sold: 5, snapshots });
+    assert.equal(out.units_received, 0);
+    assert.equal(out.variance, 8);
+    assert.equal(out.reconciliation_status, 'surplus');
+
+    // snapshots след крайния не влизат във веригата
+    const later = store(snap('2026-09-01', 10), snap('2026-09-20', 40), snap('2026-09-25', 12));
+    assert.equal((await reconcile({}, { start: 10, end: 12, endLabel: '2026-09-20', sold: 0, snapshots: later })).units_received, 0);
+  });
+
+  test('defaults to no receipts without an end snapshot', async () => {
+    const snapshots = store(snap('2026-09-01', 10), snap('2026-09-10', 30));
+    const out = await reconcile(true, { start: 10, end: 25, sold: 5, snapshots });
+    assert.equal(out.units_received, 0);
+    assert.equal(out.variance, 20);
+    // изрично избрани — веригата спира при последния записан snapshot
+    assert.equal((await reconcile({ receivedFrom: 'snapshots' }, { start: 10, end: 25, sold: 5, snapshots })).units_received, 20);
+  });
+
+  test('invoice receipts, adjustments and tolerance', async () => {
+    const recon = await prepareReconciliation({ receivedFrom: 'invoice', tolerance: 1, adjustments: { 'TS-S': -2 } }, {
+      productRows: [
+        { variantId: V, openingQty: 12, vendorInvoiceDate: '2026-09-05' },
+        { variantId: 'v2', openingQty: 7, vendorInvoiceDate: '2026-08-20' }
+      ],
+      since: '2026-09-01T00:00:00Z',
+      until: '2026-09-30T23:59:59Z'
+    });
+    assert.deepEqual([...recon.received], [[V, 12]]);
+    const out = reconcileRow({ starting_inventory_qty: 3, ending_inventory_qty: 9, units_sold: 5 }, { variantId: V, variantSku: 'TS-S' }, recon);
+    assert.deepEqual(out, { units_received: 12, adjustment_qty: -2, expected_ending_qty: 8, variance: 1, reconciliation_status: 'ok' });
+  });
+});
+
+describe('summarizeReconciliation', () => {
+  test('counts statuses and sums the variance', () => {
+    const rows = [{ reconciliation_status: 'ok', variance: 0 }, { reconciliation_status: 'shrinkage', variance: -3 }, { reconciliation_status: 'surplus', variance: 2 }];
+    assert.deepEqual(summarizeReconciliation(rows), { ok: 1, shrinkage: 1, surplus: 1, total_variance: -1 });
+  });
+});
@@ -0,0 +1,157 @@
+// Чистите части на отчета (без Shopify и storage): филтрите и групирането на готовите редове.
+//
+// filters: { vendors, productTypes, tags, collections, sku, invoiceDateFrom, invoiceDateTo }
+// vendors / productTypes / tags / collections отиват в products(query:) — стойностите в една група са с OR,
+// групите с AND. sku (glob с * и ? или /regex/flags) и периодът на vendor_invoice_date (metafield —
+// Shopify не търси по него) се прилагат след изтеглянето, заедно с vendors (за вариантите от snapshot-а).
+//
+// Групиране (groupBy vendor | invoice | product): редовете по вариант се подреждат по групата,
+// а aggregate казва какво излиза:
+//   'subtotals' (по подразбиране) — редовете (row_type detail) + subtotal след всяка група + total накрая
+//   'summary'   — само по един ред на група (row_type group) + total
+// Агрегират се само колоните за експорт: количествата и стойностите се сумират, останалите се
+// запазват, ако са еднакви в цялата група (иначе са празни). Стойностите по себестойност се сумират
+// само ако в групата има една валута на себестойността.
+
+// Грешка във входните параметри → HTTP 400
+export class ReportInputError extends Error {}
+
+const FILTER_LISTS = ['vendors', 'productTypes', 'tags', 'collections'];
+
+// Хвърля ReportInputError; null → без филтри
+export function normalizeReportFilters(raw){
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new ReportInputError('filters must be an object');
+  const out = {};
+  for (const key of FILTER_LISTS) {
+    const list = [].concat(raw[key] ?? []).map(v => String(v).trim()).filter(Boolean);
+    if (list.length) out[key] = list;
+  }
+  for (const id of out.collections || []) {
+    if (!/^(gid:\/\/shopify\/Collection\/)?\d+$/.test(id)) throw new ReportInputError(`Invalid collection id: ${id}`);
+  }
+  if (raw.sku) {
+    out.sku = String(raw.sku);
+    skuMatcher(out.sku);
+  }
+  for (const key of ['invoiceDateFrom', 'invoiceDateTo']) {
+    if (!raw[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw[key])) throw new ReportInputError(`filters.${key} must be YYYY-MM-DD`);
+    out[key] = raw[key];
+  }
+  if (out.invoiceDateFrom && out.invoiceDateTo && out.invoiceDateFrom > out.invoiceDateTo) {
+    throw new ReportInputError('filters.invoiceDateFrom is after invoiceDateTo');
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Частта от филтрите, която Shopify прилага сам; null → без query
+export function productsSearchQuery(filters){
+  if (!filters) return null;
+  const quote = v => `"${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const any = (field, values) => values.length === 1
+    ? `${field}:${values[0]}`
+    : `(${values.map(v => `${field}:${v}`).join(' OR ')})`;
+  const parts = [];
+  if (filters.vendors) parts.push(any('vendor', filters.vendors.map(quote)));
+  if (filters.productTypes) parts.push(any('product_type', filters.productTypes.map(quote)));
+  if (filters.tags) parts.push(any('tag', filters.tags.map(quote)));
+  if (filters.collections) parts.push(any('collection_id', filters.collections.map(id => id.split('/').pop())));
+  return parts.length ? parts.join(' AND ') : null;
+}
+
+// "TS-*" / "MUG-??" (без значение от регистъра) или "/^TS-(S|M)$/i"
+export function skuMatcher(pattern){
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  let re;
+  try {
+    re = m
+      ? new RegExp(m[1], m[2].replace(/[gy]/g, ''))
+      : new RegExp(`^${[...pattern].map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('')}$`, 'i');
+  } catch (e) {
+    throw new ReportInputError(`Invalid filters.sku: ${e.message}`);
+  }
+  return sku => re.test(sku || '');
+}
+
+// Филтърът след изтеглянето. liveIds — вариантите, върнати от products(query:). При филтър по тип,
+// тагове или колекция вариантите само от snapshot-а (изтрити от магазина) отпадат — за тях не може да се провери.
+export function makeProductFilter(filters, liveIds){
+  if (!filters) return null;
+  const vendors = filters.vendors && new Set(filters.vendors.map(v => v.toLowerCase()));
+  const needsLive = !!(filters.productTypes || filters.tags || filters.collections);
+  const sku = filters.sku ? skuMatcher(filters.sku) : null;
+  const { invoiceDateFrom: from, invoiceDateTo: to } = filters;
+  return r => {
+    if (vendors && !vendors.has(String(r.productVendor || '').toLowerCase())) return false;
+    if (needsLive && !liveIds.has(r.variantId)) return false;
+    if (sku && !sku(r.variantSku)) return false;
+    if (from || to) {
+      const d = (r.vendorInvoiceDate || '').slice(0, 10);
+      if (!d || (from && d < from) || (to && d > to)) return false;
+    }
+    return true;
+  };
+}
+
+// groupBy с агрегиране → ключовите колони на групата
+export const GROUP_KEYS = {
+  vendor: ['vendor'],
+  invoice: ['vendor', 'vendor_invoice_number'],
+  product: ['vendor', 'product_title']
+};
+// групата е и по тази скрита колона (не се експортира): продуктите с еднакво заглавие са различни групи
+const GROUP_IDS = { product: 'product_id' };
+
+export const SUM_COLUMNS = [
+  'opening_quantity','starting_inventory_qty','ending_inventory_qty','units_sold',
+  'units_returned','units_restocked','net_units_sold',
+  'starting_value','ending_value','cogs','revenue','gross_margin',
+  'units_received','adjustment_qty','expected_ending_qty','variance',
+  'suggested_reorder_qty','reorder_value'
+];
+const COST_VALUE_COLUMNS = ['starting_value','ending_value','cogs','gross_margin','reorder_value'];
+
+export function roundMoney(n){
+  return n === null || n === undefined ? null : Math.round(n * 100) / 100;
+}
+
+export function groupReportRows(rows, { groupBy, aggregate = 'subtotals', columns }){
+  const keys = GROUP_KEYS[groupBy];
+  if (!keys) return { rows, groups: null };
+  // ключовите колони отпред — групите се подреждат по тях
+  const by = GROUP_IDS[groupBy] ? [...keys, GROUP_IDS[groupBy]] : keys;
+  const groups = new Map();
+  for (const r of rows) {
+    const key = by.map(k => r[k] ?? '').join('\u0000');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  const out = [];
+  const sorted = [...groups].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const [, list] of sorted) {
+    if (aggregate === 'subtotals') for (const r of list) out.push({ row_type: 'detail', ...r });
+    out.push(aggregateRows(list, columns, aggregate === 'summary' ? 'group' : 'subtotal'));
+  }
+  out.push(aggregateRows(rows, columns, 'total'));
+  console.log('[BUILD] Grouped by', groupBy, 'groups=', groups.size, 'aggregate=', aggregate);
+  return { rows: out, groups: groups.size };
+}
+
+export function aggregateRows(list, columns, rowType){
+  const out = { row_type: rowType };
+  const currencies = new Set(list.map(r => r.unit_cost_currency).filter(Boolean));
+  for (const c of columns) {
+    if (c === 'row_type') continue;
+    if (SUM_COLUMNS.includes(c)) {
+      const values = list.map(r => r[c]).filter(v => v !== null && v !== undefined && v !== '');
+      out[c] = values.length && !(COST_VALUE_COLUMNS.includes(c) && currencies.size > 1)
+        ? roundMoney(values.reduce((sum, v) => sum + Number(v), 0))
+        : null;
+    } else {
+      const values = new Set(list.map(r => r[c] ?? null));
+      out[c] = values.size === 1 ? [...values][0] : null;
+    }
+  }
+  return out;
+}
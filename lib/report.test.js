@@ -0,0 +1,162 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  groupReportRows, aggregateRows, normalizeReportFilters, skuMatcher, productsSearchQuery, makeProductFilter, ReportInputError
+} from './report.js';
+
+const row = (over) => ({
+  product_id: 'gid://shopify/Product/1', vendor: 'Acme', vendor_invoice_number: 'INV-1', product_title: 'Тениска',
+  product_variant_sku: 'TS-S', unit_cost: '4.50', unit_cost_currency: 'EUR',
+  ending_inventory_qty: 8, units_sold: 4, ending_value: 36, cogs: 18, ...over
+});
+const rows = [
+  row({}),
+  row({ product_variant_sku: 'TS-M', ending_inventory_qty: 2, units_sold: 1, ending_value: 9, cogs: 4.5 }),
+  row({ product_id: 'gid://shopify/Product/2', vendor: 'Beta', vendor_invoice_number: 'B-7', product_title: 'Mug', product_variant_sku: 'MUG', unit_cost: '2.00', ending_inventory_qty: 7, units_sold: 2, ending_value: 14, cogs: 4 })
+];
+const columns = ['row_type', 'vendor', 'product_title', 'product_variant_sku', 'unit_cost', 'ending_inventory_qty', 'units_sold', 'ending_value', 'cogs'];
+
+describe('groupReportRows', () => {
+  test('returns the rows unchanged without a grouping groupBy', () => {
+    assert.deepEqual(groupReportRows(rows, { groupBy: undefined, columns }), { rows, groups: null });
+    assert.deepEqual(groupReportRows(rows, { groupBy: 'location', columns }), { rows, groups: null });
+  });
+
+  test('subtotals: detail rows, a subtotal after each group and a total', () => {
+    const out = groupReportRows(rows, { groupBy: 'vendor', columns });
+    assert.equal(out.groups, 2);
+    assert.deepEqual(out.rows.map(r => [r.row_type, r.vendor, r.product_variant_sku]), [
+      ['detail', 'Acme', 'TS-S'],
+      ['detail', 'Acme', 'TS-M'],
+      ['subtotal', 'Acme', null],
+      ['detail', 'Beta', 'MUG'],
+      ['subtotal', 'Beta', 'MUG'],
+      ['total', null, null]
+    ]);
+    const acme = out.rows[2];
+    assert.equal(acme.units_sold, 5);
+    assert.equal(acme.ending_value, 45);
+    assert.equal(acme.cogs, 22.5);
+    assert.equal(acme.unit_cost, '4.50'); // еднакъв в групата
+    assert.equal(out.rows.at(-1).units_sold, 7);
+  });
+
+  test('summary: one row per group and a total', () => {
+    const out = groupReportRows(rows, { groupBy: 'invoice', aggregate: 'summary', columns });
+    assert.deepEqual(out.rows.map(r => [r.row_type, r.vendor]), [['group', 'Acme'], ['group', 'Beta'], ['total', null]]);
+    assert.equal(out.rows[0].ending_inventory_qty, 10);
+  });
+
+  test('product: products with the same title are separate groups', () => {
+    const twins = [
+      row({ product_id: 'gid://shopify/Product/1', product_variant_sku: 'A', units_sold: 1 }),
+      row({ product_id: 'gid://shopify/Product/9', product_variant_sku: 'B', units_sold: 2 }),
+      row({ product_id: 'gid://shopify/Product/1', product_variant_sku: 'C', units_sold: 3 })
+    ];
+    const out = groupReportRows(twins, { groupBy: 'product', aggregate: 'summary', columns });
+    assert.equal(out.groups, 2);
+    assert.deepEqual(out.rows.filter(r => r.row_type === 'group').map(r => [r.product_title, r.units_sold]), [['Тениска', 4], ['Тениска', 2]]);
+    // скритата колона не излиза в агрегираните редове
+    assert.ok(!('product_id' in out.rows[0]));
+  });
+});
+
+describe('aggregateRows', () => {
+  test('sums quantities and values, keeps only values that are the same in the group', () => {
+    const out = aggregateRows(rows, columns, 'total');
+    assert.equal(out.row_type, 'total');
+    assert.equal(out.vendor, null);
+    assert.equal(out.ending_inventory_qty, 17);
+    assert.equal(out.ending_value, 59);
+    assert.equal(out.cogs, 26.5);
+    assert.equal(out.unit_cost, null);
+  });
+
+  test('leaves cost values empty when the group has several cost currencies', () => {
+    const mixed = [row({}), row({ unit_cost_currency: 'BGN', ending_value: 10, cogs: 5 })];
+    const out = aggregateRows(mixed, columns, 'subtotal');
+    assert.equal(out.ending_value, null);
+    assert.equal(out.cogs, null);
+    assert.equal(out.units_sold, 8);
+  });
+
+  test('leaves a sum empty when no row has a value and rounds money to cents', () => {
+    const out = aggregateRows([row({ units_sold: null, cogs: 0.1 }), row({ units_sold: '', cogs: 0.2 })], columns, 'group');
+    assert.equal(out.units_sold, null);
+    assert.equal(out.cogs, 0.3);
+  });
+});
+
+describe('normalizeReportFilters', () => {
+  test('keeps only non-empty values and returns null without filters', () => {
+    assert.equal(normalizeReportFilters(undefined), null);
+    assert.equal(normalizeReportFilters({ vendors: [], tags: ' ', sku: '' }), null);
+    assert.deepEqual(
+      normalizeReportFilters({ vendors: 'Acme', tags: [' sale ', ''], collections: ['gid://shopify/Collection/5', '6'], sku: 'TS-*', invoiceDateFrom: '2026-09-01' }),
+      { vendors: ['Acme'], tags: ['sale'], collections: ['gid://shopify/Collection/5', '6'], sku: 'TS-*', invoiceDateFrom: '2026-09-01' }
+    );
+  });
+
+  test('rejects invalid input with ReportInputError', () => {
+    const invalid = [
+      [[], /must be an object/],
+      [{ collections: ['summer'] }, /Invalid collection id/],
+      [{ invoiceDateFrom: '01.09.2026' }, /invoiceDateFrom must be YYYY-MM-DD/],
+      [{ invoiceDateFrom: '2026-10-01', invoiceDateTo: '2026-09-01' }, /after invoiceDateTo/],
+      [{ sku: '/TS-(/' }, /Invalid filters.sku/]
+    ];
+    for (const [raw, message] of invalid) {
+      assert.throws(() => normalizeReportFilters(raw), (e) => e instanceof ReportInputError && message.test(e.message), JSON.stringify(raw));
+    }
+  });
+});
+
+describe('skuMatcher', () => {
+  test('glob patterns match the whole SKU, case-insensitive', () => {
+    const m = skuMatcher('ts-*');
+    assert.equal(m('TS-S'), true);
+    assert.equal(m('TS-'), true);
+    assert.equal(m('XTS-S'), false);
+    assert.equal(m(null), false);
+    const one = skuMatcher('MUG-??');
+    assert.equal(one('mug-01'), true);
+    assert.equal(one('MUG-1'), false);
+  });
+
+  test('other characters are literal in globs', () => {
+    const m = skuMatcher('A.B+(1)');
+    assert.equal(m('A.B+(1)'), true);
+    assert.equal(m('AxB+(1)'), false);
+  });
+
+  test('/regex/flags is used as is, without the g and y flags', () => {
+    const m = skuMatcher('/^TS-(S|M)$/gi');
+    assert.equal(m('ts-s'), true);
+    assert.equal(m('ts-s'), true); // без g lastIndex не се мести
+    assert.equal(m('TS-L'), false);
+    assert.equal(skuMatcher('/S$/')('ts-s'), false);
+  });
+});
+
+describe('product filters', () => {
+  test('productsSearchQuery: OR within a list, AND between lists', () => {
+    assert.equal(productsSearchQuery(null), null);
+    assert.equal(productsSearchQuery({ sku: 'TS-*' }), null);
+    assert.equal(
+      productsSearchQuery({ vendors: ['Acme', 'Beta "B"'], tags: ['sale'], collections: ['gid://shopify/Collection/5'] }),
+      '(vendor:"Acme" OR vendor:"Beta \\"B\\"") AND tag:"sale" AND collection_id:5'
+    );
+  });
+
+  test('makeProductFilter: vendor, SKU, invoice dates and variants missing from the live data', () => {
+    const r = { variantId: 'v1', productVendor: 'Acme', variantSku: 'TS-S', vendorInvoiceDate: '2026-09-05' };
+    assert.equal(makeProductFilter(null, new Set()), null);
+    assert.equal(makeProductFilter({ vendors: ['acme'], sku: 'TS-*' }, new Set())(r), true);
+    assert.equal(makeProductFilter({ vendors: ['Beta'] }, new Set())(r), false);
+    assert.equal(makeProductFilter({ invoiceDateFrom: '2026-09-06' }, new Set())(r), false);
+    assert.equal(makeProductFilter({ invoiceDateTo: '2026-09-05' }, new Set())(r), true);
+    assert.equal(makeProductFilter({ invoiceDateTo: '2026-09-05' }, new Set())({ ...r, vendorInvoiceDate: null }), false);
+    assert.equal(makeProductFilter({ tags: ['sale'] }, new Set(['v1']))(r), true);
+    assert.equal(makeProductFilter({ tags: ['sale'] }, new Set())(r), false);
+  });
+});
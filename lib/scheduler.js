@@ -0,0 +1,271 @@
+// Планирани задачи (snapshots и recurring отчети по разписание). Разписанията идват от config файла (само за четене)
+// и от API-то (пазят се в storage). Всяко изпълнение се записва в историята със статус и времетраене.
+//
+// Разписание: { id, name, task, cron | preset (+ time, weekday), enabled }
+//   cron   — 6 полета с секунди ("59 59 11 1,10,20 * *") или 5 без тях, в TIMEZONE
+//   preset — daily | weekly | start-of-month | end-of-month; time "HH:MM[:SS]" (по подразбиране 11:59:59),
+//            weekday 0–6 (0 = неделя) за weekly
+//
+// Catch-up: при старт за всяко разписание се търси последното планирано изпълнение в рамките на
+// catchUpHours; ако в историята няма успешно изпълнение за него (напр. redeploy точно тогава),
+// задачата се пуска веднага с trigger "catch-up".
+import crypto from 'crypto';
+import cron from 'node-cron';
+import cronParser from 'cron-parser';
+
+export const SCHEDULE_PRESETS = ['daily', 'weekly', 'start-of-month', 'end-of-month'];
+const SCHEDULES = 'schedules';
+const RUNS = 'schedule_runs';
+const DEFAULT_TIME = '11:59:59';
+
+export class ScheduleInputError extends Error {}
+
+export function createScheduler({ storage, timezone = 'UTC', tasks = {}, catchUpHours = 48, historyLimit = 500 }) {
+  const schedules = new Map(); // id → { def, job }
+  const running = new Set();   // id на разписания с текущо изпълнение
+
+  // ===== Дефиниции =====
+  function normalize(raw, source) {
+    if (!raw || typeof raw !== 'object') throw new ScheduleInputError('Schedule must be an object');
+    const task = raw.task || 'snapshot';
+    if (!tasks[task]) throw new ScheduleInputError(`Unknown task: ${task} (expected ${Object.keys(tasks).join(' | ')})`);
+    if (!raw.cron && !raw.preset) throw new ScheduleInputError('Schedule needs cron or preset');
+    if (raw.cron && raw.preset) throw new ScheduleInputError('Use either cron or preset, not both');
+
+    const def = {
+      id: raw.id ? String(raw.id) : crypto.randomUUID().slice(0, 8),
+      name: raw.name || raw.preset || raw.cron,
+      task,
+      enabled: raw.enabled !== false,
+      source
+    };
+    if (source === 'api') def.createdAt = raw.createdAt || new Date().toISOString();
+    if (!/^[a-zA-Z0-9._-]+$/.test(def.id)) throw new ScheduleInputError(`Invalid id: ${def.id}`);
+    // параметри на задачата (напр. reportId) — минават непроменени към tasks[task]
+    if (raw.params && typeof raw.params === 'object') def.params = raw.params;
+
+    if (raw.preset) {
+      if (!SCHEDULE_PRESETS.includes(raw.preset)) {
+        throw new ScheduleInputError(`Unknown preset: ${raw.preset} (expected ${SCHEDULE_PRESETS.join(' | ')})`);
+      }
+      def.preset = raw.preset;
+      def.time = raw.time || DEFAULT_TIME;
+      if (raw.preset === 'weekly') def.weekday = raw.weekday ?? 1;
+      Object.assign(def, presetCron(def));
+    } else {
+      def.cron = String(raw.cron).trim();
+      if (!cron.validate(def.cron)) throw new ScheduleInputError(`Invalid cron expression: ${def.cron}`);
+    }
+    return def;
+  }
+
+  // записва се дефиницията, не изведеното от нея (cron на preset-а се смята наново при зареждане)
+  function stored(def) {
+    const { source, lastDayOfMonth, ...out } = def;
+    if (out.preset) delete out.cron;
+    return out;
+  }
+
+  // preset → cron израз (+ lastDayOfMonth за end-of-month: cron няма "последен ден")
+  function presetCron({ preset, time, weekday }) {
+    const m = String(time).match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!m || +m[1] > 23 || +m[2] > 59 || +(m[3] || 0) > 59) throw new ScheduleInputError(`Invalid time: ${time} (expected HH:MM[:SS])`);
+    const at = `${+(m[3] || 0)} ${+m[2]} ${+m[1]}`;
+    switch (preset) {
+      case 'daily': return { cron: `${at} * * *` };
+      case 'weekly': {
+        const wd = Number(weekday);
+        if (!Number.isInteger(wd) || wd < 0 || wd > 6) throw new ScheduleInputError(`Invalid weekday: ${weekday} (0–6, 0 = Sunday)`);
+        return { cron: `${at} * * ${wd}` };
+      }
+      case 'start-of-month': return { cron: `${at} 1 * *` };
+      case 'end-of-month': return { cron: `${at} 28-31 * *`, lastDayOfMonth: true };
+    }
+  }
+
+  function register(def) {
+    unregister(def.id);
+    const job = def.enabled
+      ? cron.schedule(def.cron, () => {
+        const scheduledFor = new Date();
+        scheduledFor.setMilliseconds(0);
+        if (def.lastDayOfMonth && !isLastDayOfMonth(scheduledFor, timezone)) return;
+        run(def.id, { trigger: 'cron', scheduledFor }).catch(() => {});
+      }, { timezone })
+      : null;
+    schedules.set(def.id, { def, job });
+  }
+  function unregister(id) {
+    schedules.get(id)?.job?.stop();
+    schedules.delete(id);
+  }
+
+  // config разписанията първи; запазените през API с id от config се пропускат
+  async function load(configSchedules = []) {
+    for (const raw of configSchedules) {
+      try {
+        register(normalize(raw, 'config'));
+      } catch (e) {
+        console.error('[SCHED✗] Invalid config schedule', raw?.id || '', e.message);
+      }
+    }
+    for (const raw of await storage.listRecords(SCHEDULES)) {
+      if (schedules.has(raw.id)) {
+        console.warn('[SCHED] Stored schedule', raw.id, 'shadowed by config');
+        continue;
+      }
+      try {
+        register(normalize(raw, 'api'));
+      } catch (e) {
+        console.error('[SCHED✗] Invalid stored schedule', raw.id, e.message);
+      }
+    }
+    // изпълнения, прекъснати от рестарт
+    for (const r of await storage.listRecords(RUNS)) {
+      if (r.status !== 'running') continue;
+      await storage.saveRecord(RUNS, { ...r, status: 'interrupted', finishedAt: null, error: 'Process restarted during the run' });
+      console.warn('[SCHED] Marked interrupted run', r.id, r.scheduleId);
+    }
+    console.log('[SCHED] Loaded', schedules.size, 'schedules', { timezone });
+  }
+
+  async function add(raw) {
+    const def = normalize(raw, 'api');
+    if (schedules.has(def.id)) throw new ScheduleInputError(`Schedule already exists: ${def.id}`);
+    await storage.saveRecord(SCHEDULES, stored(def));
+    register(def);
+    console.log('[SCHED] Added', def.id, def.cron);
+    return view(def);
+  }
+
+  async function remove(id) {
+    const entry = schedules.get(id);
+    if (!entry) return false;
+    if (entry.def.source === 'config') throw new ScheduleInputError(`Schedule ${id} is defined in the config file`);
+    unregister(id);
+    await storage.deleteRecord(SCHEDULES, id);
+    console.log('[SCHED] Removed', id);
+    return true;
+  }
+
+  // ===== Изпълнение =====
+  async function run(id, { trigger = 'manual', scheduledFor = new Date() } = {}) {
+    const entry = schedules.get(id);
+    if (!entry) throw new ScheduleInputError(`Schedule not found: ${id}`);
+    const { def } = entry;
+    const rec = {
+      id: crypto.randomUUID(),
+      scheduleId: id,
+      task: def.task,
+      trigger,
+      scheduledFor: scheduledFor.toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      status: 'running',
+      result: null,
+      error: null
+    };
+
+    if (running.has(id)) {
+      console.warn('[SCHED] Skipped', id, '— previous run still running');
+      return finishRun({ ...rec, status: 'skipped', error: 'Previous run still running' });
+    }
+    running.add(id);
+    await storage.saveRecord(RUNS, rec);
+    console.log(`[SCHED] Run ${id} (${def.task}) trigger=${trigger} scheduledFor=${rec.scheduledFor}`);
+    const started = Date.now();
+    try {
+      const result = await tasks[def.task]({ schedule: def, scheduledFor, trigger });
+      return await finishRun({ ...rec, status: result?.skipped ? 'skipped' : 'ok', result: result || null, durationMs: Date.now() - started });
+    } catch (e) {
+      console.error('[SCHED✗]', id, e?.stack || String(e));
+      await finishRun({ ...rec, status: 'failed', error: String(e?.message || e), durationMs: Date.now() - started });
+      throw e;
+    } finally {
+      running.delete(id);
+    }
+  }
+
+  async function finishRun(rec) {
+    rec.finishedAt = new Date().toISOString();
+    await storage.saveRecord(RUNS, rec);
+    console.log(`[SCHED] ${rec.scheduleId} ${rec.status}`, rec.durationMs != null ? `in ${rec.durationMs}ms` : '');
+    await pruneHistory();
+    return rec;
+  }
+
+  async function pruneHistory() {
+    const runs = await history();
+    for (const r of runs.slice(historyLimit)) await storage.deleteRecord(RUNS, r.id);
+  }
+
+  // последните изпълнения, най-новите първи
+  async function history({ scheduleId = null, limit = null } = {}) {
+    const runs = (await storage.listRecords(RUNS))
+      .filter(r => !scheduleId || r.scheduleId === scheduleId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  // ===== Catch-up =====
+  async function catchUp() {
+    const since = Date.now() - catchUpHours * 60 * 60 * 1000;
+    const runs = await history();
+    for (const { def } of schedules.values()) {
+      if (!def.enabled) continue;
+      const due = previousRun(def, new Date());
+      if (!due || due.getTime() < since) continue;
+      // успешно или съзнателно пропуснато изпълнение за същия момент (±1 мин)
+      const done = runs.some(r => r.scheduleId === def.id && ['ok', 'skipped'].includes(r.status) &&
+        Math.abs(new Date(r.scheduledFor).getTime() - due.getTime()) < 60 * 1000);
+      if (done) continue;
+      console.warn('[SCHED] Missed run of', def.id, 'at', due.toISOString(), '— catching up');
+      await run(def.id, { trigger: 'catch-up', scheduledFor: due }).catch(() => {});
+    }
+  }
+
+  function previousRun(def, from) {
+    return occurrence(def, from, 'prev');
+  }
+  function nextRun(def, from) {
+    return occurrence(def, from, 'next');
+  }
+  function occurrence(def, from, dir) {
+    try {
+      const it = cronParser.parseExpression(def.cron, { tz: timezone, currentDate: from });
+      // end-of-month: 28–31 минус дните, които не са последни (най-много 3 подред)
+      for (let i = 0; i < 5; i++) {
+        const d = it[dir]().toDate();
+        if (!def.lastDayOfMonth || isLastDayOfMonth(d, timezone)) return d;
+      }
+    } catch (e) {
+      console.warn('[SCHED] Cannot compute', dir, 'run for', def.id, e.message);
+    }
+    return null;
+  }
+
+  function view(def, runs = []) {
+    const last = runs.find(r => r.scheduleId === def.id) || null;
+    return {
+      ...def,
+      nextRun: def.enabled ? nextRun(def, new Date())?.toISOString() || null : null,
+      running: running.has(def.id),
+      lastRun: last && { id: last.id, status: last.status, trigger: last.trigger, startedAt: last.startedAt, durationMs: last.durationMs, error: last.error }
+    };
+  }
+
+  async function list() {
+    const runs = await history();
+    return [...schedules.values()].map(({ def }) => view(def, runs));
+  }
+
+  function has(id) { return schedules.has(id); }
+
+  return { load, add, remove, run, list, has, history, catchUp };
+}
+
+function isLastDayOfMonth(date, tz) {
+  const month = (d) => new Intl.DateTimeFormat('en-CA', { timeZone: tz, month: '2-digit' }).format(d);
+  return month(date) !== month(new Date(date.getTime() + 24 * 60 * 60 * 1000));
+}
@@ -0,0 +1,62 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { spawnServer } from '../scripts/spawn-server.js';
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+// App Bridge session token за магазина (HS256 с API secret-а)
+function sessionToken(shop) {
+  const part = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${part({ alg: 'HS256', typ: 'JWT' })}.${part({ iss: `https://${shop}/admin`, dest: `https://${shop}`, aud: API_KEY, sub: '1', exp: now + 60, nbf: now - 5 })}`;
+  return `${unsigned}.${crypto.createHmac('sha256', API_SECRET).update(unsigned).digest('base64url')}`;
+}
+
+// Разписанията са общи за всички магазини — session token-ът на един магазин не стига до тях
+describe('/schedules access', () => {
+  let server, cookie;
+
+  before(async () => {
+    server = await spawnServer({
+      SHOPIFY_SHOPS: JSON.stringify([{ shop: 'other.myshopify.com', token: 'other-token' }]),
+      SHOPIFY_API_KEY: API_KEY,
+      SHOPIFY_API_SECRET: API_SECRET,
+      APP_USERNAME: 'admin',
+      APP_PASSWORD: 'secret',
+      SESSION_SECRET: 'test-session'
+    });
+    const res = await fetch(`${server.base}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'secret' })
+    });
+    assert.equal(res.status, 200);
+    cookie = res.headers.get('set-cookie').split(';')[0];
+  });
+
+  after(() => server?.stop());
+
+  test('refuses every /schedules route for an embedded session token', async () => {
+    const headers = { Authorization: `Bearer ${sessionToken('test.myshopify.com')}`, 'Content-Type': 'application/json' };
+    const calls = [
+      ['GET', '/schedules'],
+      ['GET', '/schedules/runs'],
+      ['POST', '/schedules', { name: 'x', task: 'report', preset: 'daily', params: { shop: 'other.myshopify.com', reportId: 'r1' } }],
+      ['DELETE', '/schedules/daily-snapshot'],
+      ['POST', '/schedules/daily-snapshot/run']
+    ];
+    for (const [method, url, body] of calls) {
+      const res = await fetch(`${server.base}${url}`, { method, headers, body: body && JSON.stringify(body) });
+      assert.equal(res.status, 403, `${method} ${url}`);
+      assert.match((await res.json()).error, /not available in the embedded app/);
+    }
+  });
+
+  test('lists schedules for a password session', async () => {
+    const res = await fetch(`${server.base}/schedules`, { headers: { Cookie: cookie } });
+    assert.equal(res.status, 200);
+    assert.ok(Array.isArray((await res.json()).schedules));
+  });
+});
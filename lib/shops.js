@@ -0,0 +1,92 @@
+// Магазините на инсталацията. Основният е SHOPIFY_SHOP / SHOPIFY_ADMIN_TOKEN (както досега);
+// допълнителни се задават в SHOPIFY_SHOPS като JSON:
+//   [{ "shop": "second.myshopify.com", "token": "shpat_…", "name": "Romania", "webhookSecret": "…" }]
+// name и webhookSecret са по избор; gqlUrl замества URL-а на Admin API (локален mock).
+//
+// Текущият магазин се пренася с AsyncLocalStorage (като статистиката на GraphQL заявките):
+// run(shop, fn) — всичко в fn, вкл. вложените async извиквания, работи с този магазин; извън
+// run() (boot, cron) current() е основният. scoped() прави обект, който препраща всяко
+// извикване към инстанцията (storage, ledger…) на текущия магазин.
+import { AsyncLocalStorage } from 'async_hooks';
+
+export class ShopConfigError extends Error {}
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9.-]*(:\d+)?$/i;
+
+export function createShops({ primary, token, name = null, extra, apiVersion, gqlUrl = null }) {
+  const shops = new Map(); // id (домейн) → { id, key, name, token, gqlUrl, webhookSecret, primary }
+  const scope = new AsyncLocalStorage();
+
+  function add(def, isPrimary) {
+    const id = String(def.shop || '').trim().toLowerCase();
+    // основният идва от SHOPIFY_SHOP — без него/token-а server.js само предупреждава (както досега)
+    if (!isPrimary && !SHOP_DOMAIN.test(id)) throw new ShopConfigError(`Invalid shop domain: ${def.shop}`);
+    if (shops.has(id)) throw new ShopConfigError(`Shop configured twice: ${id}`);
+    if (!isPrimary && !def.token) throw new ShopConfigError(`Shop ${id} has no token`);
+    shops.set(id, {
+      id,
+      // за пътища, колекции и id на разписания
+      key: id.replace(/\.myshopify\.com$/, '').replace(/[^a-z0-9.-]/g, '-'),
+      name: def.name || id.replace(/\.myshopify\.com$/, ''),
+      token: def.token,
+      gqlUrl: def.gqlUrl || (isPrimary && gqlUrl) || `https://${id}/admin/api/${apiVersion}/graphql.json`,
+      webhookSecret: def.webhookSecret || null,
+      primary: isPrimary
+    });
+  }
+
+  add({ shop: primary, token, name }, true);
+  let list = [];
+  if (extra) {
+    try {
+      list = JSON.parse(extra);
+    } catch (e) {
+      throw new ShopConfigError(`SHOPIFY_SHOPS is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(list)) throw new ShopConfigError('SHOPIFY_SHOPS must be a JSON array');
+  }
+  for (const def of list) add(def, false);
+  const primaryShop = [...shops.values()].find(s => s.primary);
+  console.log('[SHOPS] Configured:', [...shops.keys()], { primary: primaryShop.id });
+
+  // id, домейн без .myshopify.com или key → магазин (или null)
+  function get(ref) {
+    const s = String(ref || '').trim().toLowerCase();
+    return shops.get(s) || shops.get(`${s}.myshopify.com`) || [...shops.values()].find(x => x.key === s) || null;
+  }
+
+  function current() {
+    return scope.getStore() || primaryShop;
+  }
+
+  function run(shop, fn) {
+    return scope.run(shop, fn);
+  }
+
+  // byShop: Map id → инстанция; методите се викат на инстанцията на current()
+  function scoped(byShop) {
+    const sample = byShop.get(primaryShop.id);
+    const out = {};
+    for (const k of Object.keys(sample)) {
+      out[k] = typeof sample[k] === 'function'
+        ? (...args) => byShop.get(current().id)[k](...args)
+        : sample[k];
+    }
+    return out;
+  }
+
+  function view(s) {
+    return { id: s.id, name: s.name, primary: s.primary };
+  }
+
+  return {
+    primary: primaryShop,
+    multi: shops.size > 1,
+    list: () => [...shops.values()],
+    get,
+    current,
+    run,
+    scoped,
+    view
+  };
+}
@@ -0,0 +1,284 @@
+// Storage за snapshots и експорти. Два драйвера със същия интерфейс:
+//   fs      — JSON файлове в SNAPSHOT_DIR, файлове в EXPORT_DIR и записите в RECORD_DIR (както досега)
+//   mongodb — snapshots като документи, експортите в GridFS (оцеляват при redeploy)
+// Избира се с STORAGE_DRIVER (по подразбиране fs).
+// namespace (магазин, виж lib/shops.js) — fs: поддиректории <dir>/<namespace>; mongodb: колекциите
+// и bucket-ът с префикс "<namespace>.". Без namespace всичко е на старите места.
+//
+// Интерфейс (всичко е async):
+//   saveSnapshot(label, doc) → { location, absPath? }
+//   loadSnapshot(label)      → суровият документ (какъвто е записан) или null
+//   listSnapshots()          → [{ label, bytes }] сортирани по label
+//   deleteSnapshot(label)    → true/false
+//   writeExport(name, data)  → { location, bytes }
+//   readExport(name)         → Buffer или null
+//   listExports()            → [{ name, bytes, createdAt }]
+//   deleteExport(name)       → true/false
+//   listRecords(collection)  → [doc] — малки записи с id (schedules, история на изпълненията…)
+//   saveRecord(collection, doc)
+//   deleteRecord(collection, id) → true/false
+//   appendLedger(entries)    — append-only движения по инвентара (lib/ledger.js)
+//   scanLedger({ until }, fn) — fn(entry) за всеки запис с at ≤ until (ISO), без да се зарежда целият
+//                              ledger в паметта; редът не е гарантиран (fs — реда на добавяне)
+//   close()
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { MongoClient, GridFSBucket } from 'mongodb';
+
+export const STORAGE_DRIVERS = ['fs', 'mongodb'];
+
+// recordDir — по подразбиране до snapshots (<snapshotDir>/../records)
+export async function createStorage({ driver = 'fs', snapshotDir, exportDir, recordDir, mongoUri, mongoDb, namespace = null } = {}) {
+  if (driver === 'fs') {
+    recordDir ||= path.join(snapshotDir, '..', 'records');
+    if (!namespace) return createFsStorage({ snapshotDir, exportDir, recordDir });
+    return createFsStorage({
+      snapshotDir: path.join(snapshotDir, namespace),
+      exportDir: path.join(exportDir, namespace),
+      recordDir: path.join(recordDir, namespace)
+    });
+  }
+  if (driver === 'mongodb') return createMongoStorage({ uri: mongoUri, dbName: mongoDb, prefix: namespace ? `${namespace}.` : '' });
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected ${STORAGE_DRIVERS.join(' | ')})`);
+}
+
+// ===== FS =====
+// recordDir: един JSON файл { id: doc } на колекция.
+// Ledger-ът е отделен JSONL файл (data/records/ledger.jsonl) — само добавяне, без пренаписване.
+function createFsStorage({ snapshotDir, exportDir, recordDir }) {
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  fs.mkdirSync(exportDir, { recursive: true });
+  fs.mkdirSync(recordDir, { recursive: true });
+  console.log('[STORE] fs driver', { snapshotDir, exportDir, recordDir });
+
+  const snapshotPath = (label) => path.join(snapshotDir, `${label}.json`);
+  const exportPath = (name) => path.join(exportDir, name);
+  const recordPath = (collection) => path.join(recordDir, `${collection}.json`);
+  const ledgerPath = path.join(recordDir, 'ledger.jsonl');
+  let ledgerLock = Promise.resolve();
+
+  // read-modify-write на файла — сериализирано по колекция
+  const recordLocks = new Map();
+  const readRecords = async (collection) => {
+    const file = recordPath(collection);
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  };
+  const updateRecords = (collection, fn) => {
+    const run = (recordLocks.get(collection) || Promise.resolve()).then(async () => {
+      const all = await readRecords(collection);
+      const out = fn(all);
+      await fs.promises.writeFile(recordPath(collection), JSON.stringify(all, null, 2));
+      return out;
+    });
+    recordLocks.set(collection, run.catch(() => {}));
+    return run;
+  };
+
+  return {
+    driver: 'fs',
+
+    async saveSnapshot(label, doc) {
+      const file = snapshotPath(label);
+      await fs.promises.writeFile(file, JSON.stringify(doc, null, 2));
+      return { location: file, absPath: file };
+    },
+    async loadSnapshot(label) {
+      const file = snapshotPath(label);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    },
+    async listSnapshots() {
+      const files = (await fs.promises.readdir(snapshotDir)).filter(f => f.endsWith('.json'));
+      const out = [];
+      for (const f of files) {
+        const { size } = await fs.promises.stat(path.join(snapshotDir, f));
+        out.push({ label: f.slice(0, -'.json'.length), bytes: size });
+      }
+      return out.sort((a, b) => a.label.localeCompare(b.label));
+    },
+    async deleteSnapshot(label) {
+      const file = snapshotPath(label);
+      if (!fs.existsSync(file)) return false;
+      await fs.promises.unlink(file);
+      return true;
+    },
+
+    async writeExport(name, data) {
+      const file = exportPath(name);
+      await fs.promises.writeFile(file, data);
+      const { size } = await fs.promises.stat(file);
+      return { location: file, bytes: size };
+    },
+    async readExport(name) {
+      const file = exportPath(name);
+      if (!fs.existsSync(file)) return null;
+      return fs.promises.readFile(file);
+    },
+    async listExports() {
+      const out = [];
+      for (const name of await fs.promises.readdir(exportDir)) {
+        const st = await fs.promises.stat(exportPath(name));
+        if (st.isFile()) out.push({ name, bytes: st.size, createdAt: st.mtime.toISOString() });
+      }
+      return out;
+    },
+    async deleteExport(name) {
+      const file = exportPath(name);
+      if (!fs.existsSync(file)) return false;
+      await fs.promises.unlink(file);
+      return true;
+    },
+
+    async listRecords(collection) {
+      await recordLocks.get(collection);
+      return Object.values(await readRecords(collection));
+    },
+    saveRecord(collection, doc) {
+      return updateRecords(collection, all => { all[doc.id] = doc; });
+    },
+    deleteRecord(collection, id) {
+      return updateRecords(collection, all => {
+        if (!(id in all)) return false;
+        delete all[id];
+        return true;
+      });
+    },
+
+    appendLedger(entries) {
+      if (!entries.length) return Promise.resolve();
+      const run = ledgerLock.then(() =>
+        fs.promises.appendFile(ledgerPath, entries.map(e => JSON.stringify(e)).join('\n') + '\n'));
+      ledgerLock = run.catch(() => {});
+      return run;
+    },
+    async scanLedger({ until = null } = {}, fn) {
+      await ledgerLock;
+      if (!fs.existsSync(ledgerPath)) return;
+      const lines = readline.createInterface({ input: fs.createReadStream(ledgerPath), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        const e = JSON.parse(line);
+        if (!until || e.at <= until) fn(e);
+      }
+    },
+
+    async close() {}
+  };
+}
+
+// ===== MONGODB =====
+// snapshots:      { _id: label, version, header, legacy?, rowCount, bytes, savedAt }
+// snapshot_rows:  { label, i, row } — редовете на version 3 поотделно (16MB лимит на документ)
+// exports (GridFS bucket): файловете по име
+// rec_<collection>: { _id: id, ...doc } — listRecords/saveRecord/deleteRecord
+// ledger:         движенията по инвентара (индекс по at)
+// С namespace всички имена са с префикс "<namespace>." (напр. "second.snapshots").
+async function createMongoStorage({ uri, dbName, prefix = '' }) {
+  if (!uri) throw new Error('STORAGE_DRIVER=mongodb needs MONGODB_URI');
+  const client = new MongoClient(uri);
+  await client.connect();
+  const db = client.db(dbName || undefined);
+  const collection = (name) => db.collection(`${prefix}${name}`);
+  const snapshots = collection('snapshots');
+  const snapshotRows = collection('snapshot_rows');
+  const bucket = new GridFSBucket(db, { bucketName: `${prefix}exports` });
+  const ledger = collection('ledger');
+  await snapshotRows.createIndex({ label: 1, i: 1 });
+  await ledger.createIndex({ at: 1 });
+  console.log('[STORE] mongodb driver', { db: db.databaseName, prefix: prefix || undefined });
+
+  const ROW_BATCH = 1000;
+
+  return {
+    driver: 'mongodb',
+
+    async saveSnapshot(label, doc) {
+      const bytes = Buffer.byteLength(JSON.stringify(doc));
+      await snapshotRows.deleteMany({ label });
+      if (Array.isArray(doc.rows)) {
+        const { rows, ...head } = doc;
+        for (let i = 0; i < rows.length; i += ROW_BATCH) {
+          await snapshotRows.insertMany(rows.slice(i, i + ROW_BATCH).map((row, k) => ({ label, i: i + k, row })));
+        }
+        await snapshots.replaceOne(
+          { _id: label },
+          { ...head, rowCount: rows.length, bytes, savedAt: new Date() },
+          { upsert: true }
+        );
+      } else {
+        // по-старите формати (от миграция) се пазят както са
+        await snapshots.replaceOne({ _id: label }, { legacy: doc, bytes, savedAt: new Date() }, { upsert: true });
+      }
+      return { location: `mongodb:snapshots/${label}` };
+    },
+    async loadSnapshot(label) {
+      const head = await snapshots.findOne({ _id: label });
+      if (!head) return null;
+      if (head.legacy) return head.legacy;
+      const rows = await snapshotRows.find({ label }, { projection: { _id: 0, row: 1 } }).sort({ i: 1 }).toArray();
+      const { _id, rowCount, bytes, savedAt, ...doc } = head;
+      return { ...doc, rows: rows.map(r => r.row) };
+    },
+    async listSnapshots() {
+      const docs = await snapshots.find({}, { projection: { bytes: 1 } }).sort({ _id: 1 }).toArray();
+      return docs.map(d => ({ label: d._id, bytes: d.bytes ?? null }));
+    },
+    async deleteSnapshot(label) {
+      const { deletedCount } = await snapshots.deleteOne({ _id: label });
+      await snapshotRows.deleteMany({ label });
+      return deletedCount > 0;
+    },
+
+    async writeExport(name, data) {
+      const buf = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+      for (const f of await bucket.find({ filename: name }).toArray()) await bucket.delete(f._id);
+      await new Promise((resolve, reject) => {
+        const up = bucket.openUploadStream(name);
+        up.on('error', reject).on('finish', resolve);
+        up.end(buf);
+      });
+      return { location: `mongodb:exports/${name}`, bytes: buf.length };
+    },
+    async readExport(name) {
+      const [file] = await bucket.find({ filename: name }).sort({ uploadDate: -1 }).limit(1).toArray();
+      if (!file) return null;
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(file._id)) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+    async listExports() {
+      const files = await bucket.find({}, { projection: { filename: 1, length: 1, uploadDate: 1 } }).toArray();
+      return files.map(f => ({ name: f.filename, bytes: f.length, createdAt: f.uploadDate.toISOString() }));
+    },
+    async deleteExport(name) {
+      const files = await bucket.find({ filename: name }).toArray();
+      for (const f of files) await bucket.delete(f._id);
+      return files.length > 0;
+    },
+
+    async listRecords(name) {
+      const docs = await collection(`rec_${name}`).find({}).toArray();
+      return docs.map(({ _id, ...doc }) => doc);
+    },
+    async saveRecord(name, doc) {
+      await collection(`rec_${name}`).replaceOne({ _id: doc.id }, doc, { upsert: true });
+    },
+    async deleteRecord(name, id) {
+      const { deletedCount } = await collection(`rec_${name}`).deleteOne({ _id: id });
+      return deletedCount > 0;
+    },
+
+    async appendLedger(entries) {
+      // копия — insertMany добавя _id към обектите
+      if (entries.length) await ledger.insertMany(entries.map(e => ({ ...e })));
+    },
+    async scanLedger({ until = null } = {}, fn) {
+      const cursor = ledger.find(until ? { at: { $lte: until } } : {}, { projection: { _id: 0 } }).sort({ at: 1 });
+      for await (const e of cursor) fn(e);
+    },
+
+    async close() { await client.close(); }
+  };
+}
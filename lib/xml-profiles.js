@@ -0,0 +1,164 @@
+// XML профили за импорт в счетоводни програми. Всеки профил описва имената на елементите,
+// кое поле е атрибут и кое елемент, десетичния знак, формата на датите, групирането
+// (напр. по номер на фактура) и по избор XSD, срещу който файлът се проверява преди сваляне.
+//
+// Профилите са в XML_PROFILES_FILE (config/xml-profiles.json) — { "<id>": { ... } }:
+//   name                 — за UI-то
+//   root, rootAttributes — коренът и постоянни атрибути към него
+//   group                — { by: <колона>, element, fields: [...] } (по избор)
+//   record               — елементът за всеки ред
+//   fields               — [{ column | value, name, as: element | attribute, type: string | integer | decimal | date }]
+//   decimalSeparator, decimals, dateFormat (YYYY, MM, DD), skipEmpty
+//   xsd                  — път спрямо файла с профилите
+import fs from 'fs';
+import path from 'path';
+import { create } from 'xmlbuilder2';
+import { validateXML } from 'xmllint-wasm';
+
+export class XmlProfileError extends Error {}
+
+const FIELD_TYPES = ['string', 'integer', 'decimal', 'date'];
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+const MAX_ERRORS = 50;
+
+export function createXmlProfiles({ file }) {
+  const profiles = new Map(); // id → { ...profile, xsdContents }
+
+  if (file && fs.existsSync(file)) {
+    let raw = {};
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error('[XMLP✗] Cannot read', file, e.message);
+    }
+    for (const [id, def] of Object.entries(raw)) {
+      try {
+        profiles.set(id, normalize(id, def, path.dirname(file)));
+      } catch (e) {
+        console.error('[XMLP✗] Invalid profile', id, e.message);
+      }
+    }
+  }
+  console.log('[XMLP] Loaded', profiles.size, 'XML profiles', { file });
+
+  function normalize(id, def, baseDir) {
+    if (!def || typeof def !== 'object') throw new XmlProfileError('Profile must be an object');
+    for (const key of ['root', 'record']) {
+      if (!XML_NAME.test(def[key] || '')) throw new XmlProfileError(`${key} must be an XML element name`);
+    }
+    const fields = (f, where) => {
+      if (!Array.isArray(f) || !f.length) throw new XmlProfileError(`${where} must be a non-empty array`);
+      return f.map((x, i) => {
+        if (!XML_NAME.test(x?.name || '')) throw new XmlProfileError(`${where}[${i}].name must be an XML name`);
+        if (!x.column && x.value === undefined) throw new XmlProfileError(`${where}[${i}] needs column or value`);
+        const type = x.type || 'string';
+        if (!FIELD_TYPES.includes(type)) throw new XmlProfileError(`${where}[${i}].type must be one of ${FIELD_TYPES.join(' | ')}`);
+        const as = x.as || 'element';
+        if (!['element', 'attribute'].includes(as)) throw new XmlProfileError(`${where}[${i}].as must be element | attribute`);
+        return { column: x.column || null, value: x.value, name: x.name, as, type };
+      });
+    };
+    const out = {
+      id,
+      name: def.name || id,
+      root: def.root,
+      rootAttributes: def.rootAttributes || {},
+      record: def.record,
+      fields: fields(def.fields, 'fields'),
+      group: null,
+      decimalSeparator: def.decimalSeparator || '.',
+      decimals: def.decimals ?? 2,
+      dateFormat: def.dateFormat || 'YYYY-MM-DD',
+      skipEmpty: def.skipEmpty !== false,
+      xsd: def.xsd || null,
+      xsdContents: null
+    };
+    if (def.group) {
+      if (!def.group.by) throw new XmlProfileError('group.by must be a column');
+      if (!XML_NAME.test(def.group.element || '')) throw new XmlProfileError('group.element must be an XML element name');
+      out.group = { by: def.group.by, element: def.group.element, fields: def.group.fields ? fields(def.group.fields, 'group.fields') : [] };
+    }
+    if (out.xsd) {
+      const xsdPath = path.resolve(baseDir, out.xsd);
+      if (!fs.existsSync(xsdPath)) throw new XmlProfileError(`XSD not found: ${xsdPath}`);
+      out.xsdContents = fs.readFileSync(xsdPath, 'utf8');
+    }
+    return out;
+  }
+
+  function format(v, type, p) {
+    if (v === null || v === undefined || v === '') return '';
+    if (type === 'integer' || type === 'decimal') {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return String(v);
+      const s = type === 'integer' ? String(Math.round(n)) : n.toFixed(p.decimals);
+      return p.decimalSeparator === '.' ? s : s.replace('.', p.decimalSeparator);
+    }
+    if (type === 'date') {
+      const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (!m) return String(v);
+      return p.dateFormat.replace('YYYY', m[1]).replace('MM', m[2]).replace('DD', m[3]);
+    }
+    return String(v);
+  }
+
+  // атрибутите и под-елементите на един възел според fields
+  function fill(node, row, fields, p) {
+    for (const f of fields) {
+      const v = format(f.column ? row[f.column] : f.value, f.type, p);
+      if (v === '' && p.skipEmpty) continue;
+      if (f.as === 'attribute') node.att(f.name, v);
+      else node.ele(f.name).txt(v);
+    }
+    return node;
+  }
+
+  function get(id) {
+    const p = profiles.get(id);
+    if (!p) throw new XmlProfileError(`Unknown XML profile: ${id}`);
+    return p;
+  }
+
+  // → XML низ (UTF-8)
+  function render(id, rows) {
+    const p = get(id);
+    const root = create({ version: '1.0', encoding: 'UTF-8' }).ele(p.root);
+    for (const [k, v] of Object.entries(p.rootAttributes)) root.att(k, String(v));
+    if (!p.group) {
+      for (const r of rows) fill(root.ele(p.record), r, p.fields, p);
+    } else {
+      // групите в реда на първата поява
+      const groups = new Map();
+      for (const r of rows) {
+        const key = r[p.group.by] ?? '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(r);
+      }
+      for (const list of groups.values()) {
+        const g = fill(root.ele(p.group.element), list[0], p.group.fields, p);
+        for (const r of list) fill(g.ele(p.record), r, p.fields, p);
+      }
+    }
+    return root.end({ prettyPrint: true });
+  }
+
+  // → { valid, errors } или null, ако профилът няма XSD
+  async function validate(id, xml) {
+    const p = get(id);
+    if (!p.xsdContents) return null;
+    const result = await validateXML({
+      xml: [{ fileName: `${id}.xml`, contents: xml }],
+      schema: [p.xsdContents]
+    });
+    return {
+      valid: result.valid,
+      errors: result.errors.slice(0, MAX_ERRORS).map(e => e.loc ? `line ${e.loc.lineNumber}: ${e.message}` : e.message)
+    };
+  }
+
+  function list() {
+    return [...profiles.values()].map(p => ({ id: p.id, name: p.name, grouped: p.group?.by || null, xsd: !!p.xsd }));
+  }
+
+  return { list, has: (id) => profiles.has(id), render, validate };
+}
@@ -1,19 +1,3 @@
-// === Columns (all pre-selected) ===
-const COLUMNS = [
-  "vendor",
-  "vendor_invoice_date",
-  "vendor_invoice_number",
-  "product_title",
-  "product_type",
-  "product_variant_sku",
-  "opening_quantity",
-  "unit_cost",
-  "unit_cost_currency",
-  "starting_inventory_qty",
-  "ending_inventory_qty",
-  "units_sold",
-];
-
 // footer timezone
 const tzEl = document.getElementById("tz");
 if (tzEl) tzEl.textContent = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -38,25 +22,96 @@ function showToast(title, message = "", type = "success", timeoutMs = 3500) {
   }, timeoutMs);
 }
 
+// HTML escape за данни от магазина (заглавия, SKU…)
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  }[ch]));
+}
+
+// избраният магазин (превключвателят в header-а); вградено в Admin магазинът е от session token-а
+const SHOP_KEY = "shop";
+
+// fetch към API-то: вградено в Shopify Admin праща session token от App Bridge, иначе
+// разчита на сесийната бисквитка. При 401 извън Admin — към login страницата.
+async function apiFetch(url, opts = {}) {
+  const headers = new Headers(opts.headers || {});
+  if (window.shopify?.idToken) headers.set("Authorization", `Bearer ${await window.shopify.idToken()}`);
+  else if (localStorage.getItem(SHOP_KEY)) headers.set("X-Shop", localStorage.getItem(SHOP_KEY));
+  const res = await fetch(url, { ...opts, headers });
+  if (res.status === 401 && !window.shopify) {
+    location.href = `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+  }
+  return res;
+}
+
 // Глобален error catcher (за по-лесен дебъг в бъдеще)
 window.addEventListener("error", (e) => {
   showToast("UI error", String(e.message || e.error || e), "error", 6000);
 });
 
-// Build column chips
+// ===== SHOPS =====
+// Превключвателят се вижда само при повече от един магазин; смяната презарежда страницата,
+// защото всичко (snapshots, експорти, разписания на отчетите) е на избрания магазин.
+const shopSelect = document.getElementById("shopSelect");
+
+async function loadShops() {
+  try {
+    const res = await apiFetch("/shops");
+    const json = await res.json();
+    if (!json.ok) {
+      // запомненият магазин вече не е в конфигурацията
+      if (res.status === 400 && localStorage.getItem(SHOP_KEY)) {
+        localStorage.removeItem(SHOP_KEY);
+        location.reload();
+        return;
+      }
+      throw new Error(json.error || "Error");
+    }
+    const multi = json.shops.length > 1;
+    if (shopSelect) {
+      shopSelect.innerHTML = json.shops.map((s) => `<option value="${esc(s.id)}">${esc(s.name)}</option>`).join("");
+      shopSelect.value = json.current;
+      shopSelect.closest(".shop-switch").hidden = !multi;
+    }
+    document.querySelectorAll(".shops-field").forEach((el) => { el.hidden = !multi; });
+  } catch (err) {
+    showToast("Stores failed", String(err.message || err), "error", 6000);
+  }
+}
+
+if (shopSelect) {
+  shopSelect.onchange = () => {
+    localStorage.setItem(SHOP_KEY, shopSelect.value);
+    location.reload();
+  };
+  loadShops();
+}
+
+// Column chips (all pre-selected) — от GET /columns: вградените и тези от config/columns.json
 const colBar = document.getElementById("columnsBar");
-if (colBar) {
-  COLUMNS.forEach((c) => {
-    const id = `col_${c}`;
-    const wrap = document.createElement("label");
-    wrap.className = "chip";
-    wrap.innerHTML = `
-      <input type="checkbox" id="${id}" checked />
-      <span>${c}</span>
-    `;
-    colBar.appendChild(wrap);
-  });
+async function loadColumns() {
+  try {
+    const res = await apiFetch("/columns");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    colBar.innerHTML = "";
+    json.columns.forEach((c) => {
+      const hint = [c.label, c.source, c.when && `only with ${c.when}`].filter(Boolean).join(" · ");
+      const wrap = document.createElement("label");
+      wrap.className = "chip";
+      if (hint) wrap.title = hint;
+      wrap.innerHTML = `
+        <input type="checkbox" id="col_${esc(c.name)}" data-col="${esc(c.name)}" checked />
+        <span>${esc(c.name)}</span>
+      `;
+      colBar.appendChild(wrap);
+    });
+  } catch (err) {
+    showToast("Columns unavailable", String(err.message || err), "error", 6000);
+  }
 }
+if (colBar) loadColumns();
 
 // === Dates helpers ===
 function toYMD(d) {
@@ -110,7 +165,7 @@ if (snapshotForm) {
     if (snapshotResult) snapshotResult.textContent = "Working…";
     const label = snapshotDate?.value || toYMD(new Date());
     try {
-      const res = await fetch("/snapshot", {
+      const res = await apiFetch("/snapshot", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ label }),
@@ -120,6 +175,7 @@ if (snapshotForm) {
         if (snapshotResult)
           snapshotResult.innerHTML = `✅ Snapshot <code>${json.label}</code> saved (${json.count} variants).`;
         showToast("Snapshot created", `Label: ${json.label} · Variants: ${json.count}`, "success");
+        loadSnapshots();
       } else {
         if (snapshotResult) snapshotResult.innerHTML = `❌ ${json.error || "Error"}`;
         showToast("Snapshot failed", json.error || "Error", "error", 6000);
@@ -131,15 +187,427 @@ if (snapshotForm) {
   };
 }
 
+// ===== SNAPSHOT BROWSER =====
+const snapshotListEl = document.getElementById("snapshotList");
+const snapshotDiffForm = document.getElementById("snapshotDiffForm");
+const snapshotDiffEl = document.getElementById("snapshotDiff");
+const diffFromSel = document.getElementById("diffFrom");
+const diffToSel = document.getElementById("diffTo");
+let snapshotLabels = [];
+
+// всички <select class="snapshot-select"> предлагат само съществуващи labels
+function fillSnapshotSelects() {
+  document.querySelectorAll("select.snapshot-select").forEach((sel) => {
+    const prev = sel.value;
+    sel.innerHTML = "";
+    if (sel.dataset.empty) sel.add(new Option(sel.dataset.empty, ""));
+    snapshotLabels.forEach((l) => sel.add(new Option(l, l)));
+    if (snapshotLabels.includes(prev)) sel.value = prev;
+  });
+  if (diffFromSel && diffToSel && snapshotLabels.length > 1 && !diffFromSel.value) {
+    diffFromSel.value = snapshotLabels[snapshotLabels.length - 2];
+    diffToSel.value = snapshotLabels[snapshotLabels.length - 1];
+  }
+}
+
+// избира label в select, само ако такъв snapshot съществува
+function selectSnapshot(sel, label) {
+  if (!sel) return;
+  if (snapshotLabels.includes(label)) {
+    sel.value = label;
+  } else {
+    sel.value = "";
+    showToast("No snapshot", `Няма snapshot за ${label}.`, "error");
+  }
+}
+
+async function loadSnapshots() {
+  try {
+    const res = await apiFetch("/snapshots");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    snapshotLabels = json.snapshots.filter((s) => !s.error).map((s) => s.label);
+    fillSnapshotSelects();
+    renderSnapshotList(json.snapshots);
+  } catch (err) {
+    showToast("Snapshots unavailable", String(err.message || err), "error", 6000);
+  }
+}
+
+function renderSnapshotList(list) {
+  if (!snapshotListEl) return;
+  if (!list.length) {
+    snapshotListEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Няма snapshots.</p>`;
+    return;
+  }
+  const rows = list.slice().reverse().map((s) => `
+    <tr>
+      <td><code>${esc(s.label)}</code></td>
+      <td>${s.createdAt ? esc(new Date(s.createdAt).toLocaleString()) : ""}</td>
+      <td>${esc(s.trigger ?? "")}</td>
+      <td class="num">${s.error ? "unreadable" : s.variants}</td>
+      <td class="num">${s.totalQty ?? ""}</td>
+      <td class="num">v${esc(s.version ?? "?")}</td>
+      <td><button type="button" class="btn subtle" data-delete="${esc(s.label)}">Delete</button></td>
+    </tr>`).join("");
+  snapshotListEl.innerHTML = `<table>
+    <thead><tr><th>Label</th><th>Created</th><th>Trigger</th><th>Variants</th><th>Total qty</th><th>Format</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+  snapshotListEl.querySelectorAll("[data-delete]").forEach((btn) => {
+    btn.onclick = () => deleteSnapshot(btn.dataset.delete);
+  });
+}
+
+async function deleteSnapshot(label) {
+  if (!confirm(`Delete snapshot ${label}?`)) return;
+  try {
+    const res = await apiFetch(`/snapshots/${encodeURIComponent(label)}`, { method: "DELETE" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Snapshot deleted", `Label: ${label}`, "success");
+    loadSnapshots();
+  } catch (err) {
+    showToast("Delete failed", String(err.message || err), "error", 6000);
+  }
+}
+
+const snapshotRefreshBtn = document.getElementById("snapshotRefresh");
+if (snapshotRefreshBtn) snapshotRefreshBtn.onclick = () => loadSnapshots();
+
+if (snapshotDiffForm) {
+  snapshotDiffForm.onsubmit = async (e) => {
+    e.preventDefault();
+    const from = diffFromSel?.value;
+    const to = diffToSel?.value;
+    if (!from || !to) {
+      showToast("Pick snapshots", "Choose both From and To.", "error");
+      return;
+    }
+    if (snapshotDiffEl) snapshotDiffEl.innerHTML = `<div class="result-line">Working…</div>`;
+    try {
+      const res = await apiFetch(`/snapshots/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Error");
+      renderSnapshotDiff(json);
+    } catch (err) {
+      if (snapshotDiffEl) snapshotDiffEl.innerHTML = `<div class="result-line">❌ ${esc(err.message || err)}</div>`;
+      showToast("Compare failed", String(err.message || err), "error", 6000);
+    }
+  };
+}
+
+function renderSnapshotDiff(json) {
+  if (!snapshotDiffEl) return;
+  const t = json.totals;
+  const summary = `<div class="result-line">
+    <code>${esc(json.from)}</code> → <code>${esc(json.to)}</code>:
+    changed variants <strong>${t.variants}</strong> ·
+    <span class="delta-up">+${t.increase}</span> / <span class="delta-down">${t.decrease}</span>
+  </div>`;
+  if (!json.changes.length) {
+    snapshotDiffEl.innerHTML = summary;
+    return;
+  }
+  const rows = json.changes.map((c) => `
+    <tr>
+      <td>${esc(c.vendor)}</td>
+      <td>${esc(c.title)}</td>
+      <td>${esc(c.sku ?? c.variantId)}</td>
+      <td>${esc(c.status)}</td>
+      <td class="num">${c.from_qty ?? ""}</td>
+      <td class="num">${c.to_qty ?? ""}</td>
+      <td class="num ${c.delta > 0 ? "delta-up" : "delta-down"}">${c.delta > 0 ? "+" : ""}${c.delta}</td>
+    </tr>`).join("");
+  snapshotDiffEl.innerHTML = `${summary}<div class="table-wrap"><table>
+    <thead><tr><th>Vendor</th><th>Product</th><th>SKU</th><th>Status</th><th>From</th><th>To</th><th>Δ</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+if (snapshotListEl || document.querySelector("select.snapshot-select")) loadSnapshots();
+
+// ===== SCHEDULES =====
+const scheduleListEl = document.getElementById("scheduleList");
+const scheduleRunsEl = document.getElementById("scheduleRuns");
+const scheduleForm = document.getElementById("scheduleForm");
+const schedPresetSel = document.getElementById("schedPreset");
+
+function formatWhen(iso) {
+  return iso ? esc(new Date(iso).toLocaleString()) : "";
+}
+
+async function loadSchedules() {
+  // вградено в Admin разписанията (общи за всички магазини) не са достъпни
+  if (window.shopify) {
+    if (scheduleListEl) scheduleListEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Schedules are available after signing in with a password.</p>`;
+    return;
+  }
+  try {
+    const [sRes, rRes] = await Promise.all([apiFetch("/schedules"), apiFetch("/schedules/runs?limit=20")]);
+    const sJson = await sRes.json();
+    const rJson = await rRes.json();
+    if (!sJson.ok) throw new Error(sJson.error || "Error");
+    if (!rJson.ok) throw new Error(rJson.error || "Error");
+    renderScheduleList(sJson.schedules);
+    renderScheduleRuns(rJson.runs);
+  } catch (err) {
+    showToast("Schedules unavailable", String(err.message || err), "error", 6000);
+  }
+}
+
+function renderScheduleList(list) {
+  if (!scheduleListEl) return;
+  if (!list.length) {
+    scheduleListEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Няма разписания.</p>`;
+    return;
+  }
+  const rows = list.map((s) => `
+    <tr>
+      <td>${esc(s.name)}<br /><code class="muted">${esc(s.id)}</code></td>
+      <td>${esc(s.task)}</td>
+      <td>${s.preset ? `${esc(s.preset)} ${esc(s.time)}` : ""}<br /><code class="muted">${esc(s.cron)}</code></td>
+      <td>${s.enabled ? formatWhen(s.nextRun) : "disabled"}</td>
+      <td>${s.running ? "running…" : s.lastRun ? `${esc(s.lastRun.status)} · ${formatWhen(s.lastRun.startedAt)}` : "—"}</td>
+      <td>${esc(s.source)}</td>
+      <td>
+        <button type="button" class="btn subtle" data-run="${esc(s.id)}">Run now</button>
+        ${s.source === "api" ? `<button type="button" class="btn subtle" data-delete="${esc(s.id)}">Delete</button>` : ""}
+      </td>
+    </tr>`).join("");
+  scheduleListEl.innerHTML = `<table>
+    <thead><tr><th>Name</th><th>Task</th><th>When</th><th>Next run</th><th>Last run</th><th>Source</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+  scheduleListEl.querySelectorAll("[data-run]").forEach((btn) => {
+    btn.onclick = () => runSchedule(btn.dataset.run);
+  });
+  scheduleListEl.querySelectorAll("[data-delete]").forEach((btn) => {
+    btn.onclick = () => deleteSchedule(btn.dataset.delete);
+  });
+}
+
+function renderScheduleRuns(runs) {
+  if (!scheduleRunsEl) return;
+  if (!runs.length) {
+    scheduleRunsEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Още няма изпълнения.</p>`;
+    return;
+  }
+  const rows = runs.map((r) => `
+    <tr>
+      <td><code>${esc(r.scheduleId)}</code></td>
+      <td>${esc(r.trigger)}</td>
+      <td>${formatWhen(r.scheduledFor)}</td>
+      <td>${formatWhen(r.startedAt)}</td>
+      <td class="num">${r.durationMs != null ? `${(r.durationMs / 1000).toFixed(1)}s` : ""}</td>
+      <td class="${r.status === "ok" ? "delta-up" : r.status === "failed" || r.status === "interrupted" ? "delta-down" : ""}">${esc(r.status)}</td>
+      <td>${esc(r.error || r.result?.label || "")}</td>
+    </tr>`).join("");
+  scheduleRunsEl.innerHTML = `<table>
+    <thead><tr><th>Schedule</th><th>Trigger</th><th>Scheduled for</th><th>Started</th><th>Duration</th><th>Status</th><th>Result</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+async function runSchedule(id) {
+  try {
+    const res = await apiFetch(`/schedules/${encodeURIComponent(id)}/run`, { method: "POST" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Schedule started", `Schedule: ${id}`, "success");
+    setTimeout(loadSchedules, 1000);
+  } catch (err) {
+    showToast("Run failed", String(err.message || err), "error", 6000);
+  }
+}
+
+async function deleteSchedule(id) {
+  if (!confirm(`Delete schedule ${id}?`)) return;
+  try {
+    const res = await apiFetch(`/schedules/${encodeURIComponent(id)}`, { method: "DELETE" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Schedule deleted", `Schedule: ${id}`, "success");
+    loadSchedules();
+  } catch (err) {
+    showToast("Delete failed", String(err.message || err), "error", 6000);
+  }
+}
+
+function syncScheduleFields() {
+  const preset = schedPresetSel?.value;
+  const toggle = (id, show) => { const el = document.getElementById(id); if (el) el.hidden = !show; };
+  toggle("schedTimeField", preset !== "cron");
+  toggle("schedWeekdayField", preset === "weekly");
+  toggle("schedCronField", preset === "cron");
+}
+if (schedPresetSel) {
+  schedPresetSel.onchange = syncScheduleFields;
+  syncScheduleFields();
+}
+
+if (scheduleForm) {
+  scheduleForm.onsubmit = async (e) => {
+    e.preventDefault();
+    const preset = schedPresetSel?.value;
+    const body = { task: "snapshot" };
+    const name = document.getElementById("schedName")?.value.trim();
+    if (name) body.name = name;
+    if (preset === "cron") {
+      body.cron = document.getElementById("schedCron")?.value.trim();
+    } else {
+      body.preset = preset;
+      body.time = document.getElementById("schedTime")?.value.trim() || undefined;
+      if (preset === "weekly") body.weekday = Number(document.getElementById("schedWeekday")?.value);
+    }
+    try {
+      const res = await apiFetch("/schedules", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Error");
+      showToast("Schedule added", `Next run: ${new Date(json.schedule.nextRun).toLocaleString()}`, "success");
+      loadSchedules();
+    } catch (err) {
+      showToast("Schedule failed", String(err.message || err), "error", 6000);
+    }
+  };
+}
+
+const scheduleRefreshBtn = document.getElementById("scheduleRefresh");
+if (scheduleRefreshBtn) scheduleRefreshBtn.onclick = () => loadSchedules();
+
+if (scheduleListEl) loadSchedules();
+
 // ===== REPORT =====
 const reportForm = document.getElementById("reportForm");
 const sinceDateEl = document.getElementById("sinceDate");
 const untilDateEl = document.getElementById("untilDate");
 const startLabelDateEl = document.getElementById("startLabelDate");
+const endLabelDateEl = document.getElementById("endLabelDate");
 const encSel = document.getElementById("encoding");
+const groupBySel = document.getElementById("groupBy");
+const aggregateSel = document.getElementById("aggregate");
+const salesModeSel = document.getElementById("salesMode");
+const qtySourceSel = document.getElementById("qtySource");
+const reconcileSel = document.getElementById("reconcile");
+const replenishmentSel = document.getElementById("replenishment");
+const reportShopsSel = document.getElementById("reportShops");
+const locationsSel = document.getElementById("locations");
+const xlsxSheetsSel = document.getElementById("xlsxSheets");
+const xmlProfileSel = document.getElementById("xmlProfile");
+const filterVendorsSel = document.getElementById("filterVendors");
+const filterTypesSel = document.getElementById("filterTypes");
+const filterTagsSel = document.getElementById("filterTags");
+const filterCollectionsSel = document.getElementById("filterCollections");
+const filterSkuEl = document.getElementById("filterSku");
+const filterInvoiceFromEl = document.getElementById("filterInvoiceFrom");
+const filterInvoiceToEl = document.getElementById("filterInvoiceTo");
 const linksEl = document.getElementById("reportLinks");
 const previewEl = document.getElementById("reportPreview");
 
+// aggregate има смисъл само при групиране по vendor / invoice / product
+const AGGREGATE_GROUPS = ["vendor", "invoice", "product"];
+if (groupBySel && aggregateSel) {
+  const syncAggregate = () => { aggregateSel.disabled = !AGGREGATE_GROUPS.includes(groupBySel.value); };
+  groupBySel.addEventListener("change", syncAggregate);
+  syncAggregate();
+}
+
+// настройките за replenishment се виждат само при On; празно → от config/replenishment.json
+if (replenishmentSel) {
+  const syncReplenishment = () => {
+    document.querySelectorAll(".replenishment-field").forEach((el) => { el.hidden = !replenishmentSel.value; });
+  };
+  replenishmentSel.addEventListener("change", syncReplenishment);
+  syncReplenishment();
+}
+
+function replenishmentOptions() {
+  if (!replenishmentSel?.value) return undefined;
+  const num = (id) => {
+    const v = document.getElementById(id)?.value.trim();
+    return v ? Number(v) : undefined;
+  };
+  return {
+    leadTimeDays: num("replLeadTime"),
+    safetyDays: num("replSafety"),
+    orderDays: num("replOrderDays"),
+    deadStockDays: num("replDeadDays")
+  };
+}
+
+// при ledger количествата са към since / until — snapshot labels не се ползват
+if (qtySourceSel) {
+  const syncQtySource = () => {
+    const ledger = qtySourceSel.value === "ledger";
+    if (startLabelDateEl) startLabelDateEl.disabled = ledger;
+    if (endLabelDateEl) endLabelDateEl.disabled = ledger;
+  };
+  qtySourceSel.addEventListener("change", syncQtySource);
+  syncQtySource();
+}
+
+// Locations (за филтъра и groupBy=location)
+async function loadLocations() {
+  if (!locationsSel) return;
+  try {
+    const res = await apiFetch("/locations");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    locationsSel.innerHTML = "";
+    json.locations.forEach((l) => {
+      const opt = document.createElement("option");
+      opt.value = l.id;
+      opt.textContent = l.isActive ? l.name : `${l.name} (inactive)`;
+      locationsSel.appendChild(opt);
+    });
+  } catch (err) {
+    showToast("Locations unavailable", String(err.message || err), "error", 6000);
+  }
+}
+loadLocations();
+
+// Стойности за филтрите (доставчици, типове, тагове, колекции от магазина)
+async function loadFacets() {
+  if (!filterVendorsSel) return;
+  try {
+    const res = await apiFetch("/facets");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    const fill = (sel, items) => {
+      if (!sel) return;
+      sel.innerHTML = "";
+      items.forEach(([value, label]) => sel.add(new Option(label, value)));
+    };
+    fill(filterVendorsSel, json.vendors.map(v => [v, v]));
+    fill(filterTypesSel, json.productTypes.map(t => [t, t]));
+    fill(filterTagsSel, json.tags.map(t => [t, t]));
+    fill(filterCollectionsSel, json.collections.map(c => [c.id, c.title]));
+  } catch (err) {
+    showToast("Filters unavailable", String(err.message || err), "error", 6000);
+  }
+}
+loadFacets();
+
+// XML профили (config/xml-profiles.json)
+async function loadXmlProfiles() {
+  if (!xmlProfileSel) return;
+  try {
+    const res = await apiFetch("/xml-profiles");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    json.profiles.forEach((p) => {
+      xmlProfileSel.add(new Option(p.xsd ? `${p.name} (XSD)` : p.name, p.id));
+    });
+  } catch (err) {
+    showToast("XML profiles unavailable", String(err.message || err), "error", 6000);
+  }
+}
+loadXmlProfiles();
+
 // Presets
 const presetLast = document.getElementById("presetLastMonth");
 if (presetLast) {
@@ -149,7 +617,8 @@ if (presetLast) {
     const last = new Date(now.getFullYear(), now.getMonth(), 0);
     sinceDateEl.value = toYMD(first);
     untilDateEl.value = toYMD(last);
-    startLabelDateEl.value = toYMD(first);
+    selectSnapshot(startLabelDateEl, toYMD(first));
+    selectSnapshot(endLabelDateEl, toYMD(last));
   };
 }
 const presetThis = document.getElementById("presetThisMonth");
@@ -159,15 +628,55 @@ if (presetThis) {
     const first = new Date(now.getFullYear(), now.getMonth(), 1);
     sinceDateEl.value = toYMD(first);
     untilDateEl.value = toYMD(now);
-    startLabelDateEl.value = toYMD(first);
+    selectSnapshot(startLabelDateEl, toYMD(first));
+    if (endLabelDateEl) endLabelDateEl.value = ""; // текущ инвентар
+  };
+}
+
+// колони и опции от формата (и за Recurring reports)
+function reportOptions() {
+  const selected = colBar
+    ? Array.from(colBar.querySelectorAll("input[data-col]:checked")).map(el => el.dataset.col)
+    : [];
+
+  const locations = locationsSel
+    ? Array.from(locationsSel.selectedOptions).map(o => o.value)
+    : [];
+
+  const picked = (sel) => sel ? Array.from(sel.selectedOptions).map(o => o.value) : [];
+  const filters = {
+    vendors: picked(filterVendorsSel),
+    productTypes: picked(filterTypesSel),
+    tags: picked(filterTagsSel),
+    collections: picked(filterCollectionsSel),
+    sku: filterSkuEl?.value.trim() || undefined,
+    invoiceDateFrom: filterInvoiceFromEl?.value || undefined,
+    invoiceDateTo: filterInvoiceToEl?.value || undefined
+  };
+  const hasFilters = Object.values(filters).some(v => Array.isArray(v) ? v.length : v);
+
+  return {
+    columns: selected,
+    locations: locations.length ? locations : undefined,
+    filters: hasFilters ? filters : undefined,
+    groupBy: groupBySel?.value || undefined,
+    aggregate: AGGREGATE_GROUPS.includes(groupBySel?.value) ? aggregateSel?.value || undefined : undefined,
+    salesMode: salesModeSel?.value || "gross",
+    qtySource: qtySourceSel?.value === "ledger" ? "ledger" : undefined,
+    reconcile: reconcileSel?.value ? { receivedFrom: reconcileSel.value } : undefined,
+    replenishment: replenishmentOptions(),
+    shops: reportShopsSel?.value || undefined,
+    xlsxSheets: xlsxSheetsSel?.value || undefined,
+    xmlProfile: xmlProfileSel?.value || undefined
   };
 }
 
 if (reportForm) {
   reportForm.onsubmit = async (e) => {
     e.preventDefault();
-    if (linksEl) linksEl.textContent = "Working…";
+    if (linksEl) linksEl.textContent = "Starting…";
     if (previewEl) previewEl.innerHTML = "";
+    if (viewerEl) viewerEl.hidden = true;
 
     const sinceYMD = sinceDateEl.value;
     const untilYMD = untilDateEl.value;
@@ -179,22 +688,25 @@ if (reportForm) {
 
     const sinceISO = isoStartOfDayPlusOne(sinceYMD);
     const untilISO = isoEndOfDayOrNow(untilYMD);
-    const startLabel = startLabelDateEl.value || "";
-
-    const selected = COLUMNS.filter(c => {
-      const el = document.getElementById(`col_${c}`);
-      return el && el.checked;
-    });
+    const fromLedger = qtySourceSel?.value === "ledger";
+    const startLabel = fromLedger ? "" : startLabelDateEl.value || "";
+    const endLabel = fromLedger ? "" : endLabelDateEl?.value || "";
 
     const body = {
       since: sinceISO,
       until: untilISO,
       startSnapshotLabel: startLabel || undefined,
-      columns: selected
+      endSnapshotLabel: endLabel || undefined,
+      ...reportOptions()
     };
+    if (body.reconcile && !body.startSnapshotLabel && !fromLedger) {
+      if (linksEl) linksEl.textContent = "Reconciliation needs a start snapshot or the ledger.";
+      showToast("Missing snapshot", "Pick a start snapshot label (or quantities from the ledger) for reconciliation.", "error");
+      return;
+    }
 
     try {
-      const res = await fetch("/report", {
+      const res = await apiFetch("/reports", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(body),
@@ -206,34 +718,523 @@ if (reportForm) {
         showToast("Report failed", json.error || "Error", "error", 6000);
         return;
       }
+      localStorage.setItem(JOB_KEY, json.id);
+      pollReportJob(json.id);
+    } catch (err) {
+      if (linksEl) linksEl.innerHTML = `❌ ${err.message || err}`;
+      showToast("Report failed", String(err.message || err), "error", 6000);
+    }
+  };
+}
 
-      const enc = encSel?.value || "utf8";
-      const csvUrl = enc === "win1251" && json.csv_win1251 ? json.csv_win1251 : json.csv;
-      const xmlUrl = enc === "win1251" && json.xml_win1251 ? json.xml_win1251 : json.xml;
+// ===== REPORT JOB (progress polling) =====
+// id-то на текущия job е в localStorage, за да продължим след презареждане
+const JOB_KEY = "reportJobId";
+const progressEl = document.getElementById("reportProgress");
+const progressBar = progressEl?.querySelector(".bar");
+const progressText = document.getElementById("reportProgressText");
+const cancelBtn = document.getElementById("reportCancel");
+const generateBtn = reportForm?.querySelector("button[type=submit]");
+let pollTimer = null;
 
-      if (linksEl) {
-        linksEl.innerHTML = `
-          ✅ Rows: <strong>${json.rows}</strong> &nbsp;—&nbsp;
-          <a href="${csvUrl}" download>Download CSV</a> &nbsp;|&nbsp;
-          <a href="${xmlUrl}" download>Download XML</a>
-        `;
-      }
+function setRunning(running) {
+  if (progressEl) progressEl.hidden = !running;
+  if (cancelBtn) cancelBtn.hidden = !running;
+  if (generateBtn) generateBtn.disabled = running;
+  if (!running && progressText) progressText.textContent = "";
+}
 
-      // preview table (first 50 rows)
-      const rows = json.sample && json.sample.length ? json.sample : [];
-      if (rows.length && previewEl) {
-        const cols = body.columns && body.columns.length ? body.columns : COLUMNS;
-        const thead = `<thead><tr>${cols.map(c=>`<th>${c}</th>`).join("")}</tr></thead>`;
-        const tbody = `<tbody>${rows.slice(0,50).map(r=>{
-          return `<tr>${cols.map(c=>`<td>${(r[c] ?? "")}</td>`).join("")}</tr>`;
-        }).join("")}</tbody>`;
-        previewEl.innerHTML = `<div class="table-wrap"><table>${thead}${tbody}</table></div>`;
-      }
+function formatEta(sec) {
+  if (sec == null) return "";
+  if (sec < 60) return ` · ~${sec}s left`;
+  return ` · ~${Math.round(sec / 60)} min left`;
+}
+
+async function pollReportJob(id) {
+  clearTimeout(pollTimer);
+  setRunning(true);
+  if (linksEl) linksEl.textContent = "";
+  try {
+    const res = await apiFetch(`/reports/${encodeURIComponent(id)}`);
+    const job = await res.json();
+    if (!job.ok) {
+      localStorage.removeItem(JOB_KEY);
+      setRunning(false);
+      if (res.status !== 404) showToast("Report failed", job.error || "Error", "error", 6000);
+      return;
+    }
+
+    const p = job.progress || {};
+    if (progressBar) progressBar.style.width = `${p.percent ?? 5}%`;
+    if (progressText) {
+      const est = p.pagesEstimated ? ` / ~${p.pagesEstimated}` : "";
+      progressText.textContent = `${job.phase} · pages ${p.pagesFetched}${est}${formatEta(p.etaSeconds)}`;
+    }
+
+    if (job.status === "running" || job.status === "cancelling") {
+      pollTimer = setTimeout(() => pollReportJob(id), 1500);
+      return;
+    }
+
+    localStorage.removeItem(JOB_KEY);
+    setRunning(false);
+    if (job.status === "done") {
+      renderReportResult(job.result);
+    } else if (job.status === "cancelled") {
+      if (linksEl) linksEl.textContent = "Report cancelled.";
+      showToast("Report cancelled", "", "error");
+    } else {
+      if (linksEl) linksEl.innerHTML = `❌ ${esc(job.error || "Error")}`;
+      showToast("Report failed", job.error || "Error", "error", 6000);
+    }
+  } catch (err) {
+    // временна мрежова грешка — опитваме пак
+    pollTimer = setTimeout(() => pollReportJob(id), 5000);
+  }
+}
 
-      showToast("Report ready", `Rows: ${json.rows}. Pick CSV/XML to download.`, "success");
+if (cancelBtn) {
+  cancelBtn.onclick = async () => {
+    const id = localStorage.getItem(JOB_KEY);
+    if (!id) return;
+    try {
+      await apiFetch(`/reports/${encodeURIComponent(id)}`, { method: "DELETE" });
+      if (progressText) progressText.textContent = "Cancelling…";
     } catch (err) {
-      if (linksEl) linksEl.innerHTML = `❌ ${err.message || err}`;
-      showToast("Report failed", String(err.message || err), "error", 6000);
+      showToast("Cancel failed", String(err.message || err), "error", 6000);
+    }
+  };
+}
+
+function renderReportResult(json) {
+  const enc = encSel?.value || "utf8";
+  const csvUrl = enc === "win1251" && json.csv_win1251 ? json.csv_win1251 : json.csv;
+  const xmlUrl = enc === "win1251" && json.xml_win1251 ? json.xml_win1251 : json.xml;
+
+  if (linksEl) {
+    linksEl.innerHTML = `
+      ✅ Rows: <strong>${json.rows}</strong>${json.groups != null ? ` · groups: <strong>${json.groups}</strong>` : ""} &nbsp;—&nbsp;
+      <a href="${csvUrl}" download>Download CSV</a>${xmlUrl ? ` &nbsp;|&nbsp;
+      <a href="${xmlUrl}" download>Download XML</a>` : ""}${json.xlsx ? ` &nbsp;|&nbsp;
+      <a href="${json.xlsx}" download>Download XLSX</a>` : ""}
+    `;
+  }
+
+  if (json.exportBase) openReportViewer(json.exportBase);
+
+  if (json.shops) {
+    linksEl?.insertAdjacentHTML("beforeend",
+      `<div>Consolidated by SKU: ${json.shops.map((s) => `<strong>${esc(s.name)}</strong>`).join(" + ")}</div>`);
+  }
+
+  if (json.reconciliation) {
+    const r = json.reconciliation;
+    linksEl?.insertAdjacentHTML("beforeend",
+      `<div>Reconciliation: ok <strong>${r.ok}</strong> · shrinkage <strong>${r.shrinkage}</strong> · surplus <strong>${r.surplus}</strong> · total variance <strong>${r.total_variance}</strong></div>`);
+  }
+
+  if (json.replenishment) {
+    const r = json.replenishment;
+    linksEl?.insertAdjacentHTML("beforeend",
+      `<div>Replenishment: out <strong>${r.out}</strong> · low <strong>${r.low}</strong> · dead <strong>${r.dead}</strong> (value <strong>${esc(r.dead_stock_value)}</strong>) · ok <strong>${r.ok}</strong></div>`);
+    if (r.byVendor.length) {
+      const body = r.byVendor.map((t) => `<tr><td>${esc(t.vendor || "—")}</td><td class="num">${t.variants}</td>
+        <td class="num">${t.units}</td><td class="num">${esc(t.value)}</td><td>${esc(t.currency)}</td></tr>`).join("");
+      previewEl?.insertAdjacentHTML("beforeend", `<h3 class="muted" style="font-size:13px;margin:16px 0 0;">Reorder by vendor</h3>
+        <div class="table-wrap"><table>
+          <thead><tr><th>Vendor</th><th>Variants</th><th>Units</th><th>Value</th><th>Currency</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table></div>`);
     }
+  }
+
+  if (json.valuation && json.valuation.byCurrency.length) {
+    const money = (n) => (n ?? 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const line = (t, label) => `<tr><td>${label}</td><td>${esc(t.currency)}</td>
+      <td class="num">${money(t.starting_value)}</td><td class="num">${money(t.ending_value)}</td>
+      <td class="num">${money(t.cogs)}</td><td class="num">${money(t.revenue)}</td><td class="num">${money(t.gross_margin)}</td></tr>`;
+    const body = [
+      ...json.valuation.byVendor.map((t) => line(t, esc(t.vendor || "—"))),
+      ...json.valuation.byCurrency.map((t) => line(t, "<strong>Total</strong>")),
+    ].join("");
+    previewEl?.insertAdjacentHTML("beforeend", `<h3 class="muted" style="font-size:13px;margin:16px 0 0;">Valuation by vendor</h3>
+      <div class="table-wrap"><table>
+        <thead><tr><th>Vendor</th><th>Currency</th><th>Starting value</th><th>Ending value</th><th>COGS</th><th>Revenue</th><th>Gross margin</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table></div>`);
+  }
+
+  if (json.xmlValidation && !json.xmlValidation.valid) {
+    const errs = json.xmlValidation.errors.slice(0, 5).map((e) => `<li>${esc(e)}</li>`).join("");
+    linksEl?.insertAdjacentHTML("beforeend",
+      `<div>❌ XML (${esc(json.xmlProfile)}) failed XSD validation — not offered for download:<ul>${errs}</ul></div>`);
+  }
+
+  if (json.warnings) {
+    const parts = Object.entries(json.extraPages || {}).map(([k, n]) => `${esc(k)}: ${n}`).join(", ");
+    linksEl?.insertAdjacentHTML("beforeend",
+      `<div>⚠️ ${json.warnings} extra page(s) fetched for nested data (${parts}) — totals are complete.</div>`);
+  }
+
+  showToast("Report ready", `Rows: ${json.rows}. Pick CSV/XML/XLSX to download.`, "success");
+  if (exportListEl) loadExports();
+}
+
+// ===== REPORT VIEWER =====
+// Целият отчет от GET /reports/:base/rows — сортиране (клик по колона: ↑, ↓, без), търсене,
+// страници и ред с тоталите на всички намерени редове.
+const viewerEl = document.getElementById("reportViewer");
+const viewerTable = document.getElementById("viewerTable");
+const viewerSearchEl = document.getElementById("viewerSearch");
+const viewerCountEl = document.getElementById("viewerCount");
+const viewerSizeSel = document.getElementById("viewerPageSize");
+const viewerPrevBtn = document.getElementById("viewerPrev");
+const viewerNextBtn = document.getElementById("viewerNext");
+const viewer = { base: null, offset: 0, sort: "", q: "", total: 0, seq: 0 };
+
+function openReportViewer(base) {
+  if (!viewerEl) return;
+  Object.assign(viewer, { base, offset: 0, sort: "", q: "" });
+  if (viewerSearchEl) viewerSearchEl.value = "";
+  viewerEl.hidden = false;
+  loadViewerRows();
+}
+
+async function loadViewerRows() {
+  const seq = ++viewer.seq; // по-стар отговор (бързо писане в търсенето) не презаписва по-нов
+  const limit = Number(viewerSizeSel?.value) || 50;
+  const qs = new URLSearchParams({ offset: viewer.offset, limit });
+  if (viewer.sort) qs.set("sort", viewer.sort);
+  if (viewer.q) qs.set("q", viewer.q);
+  try {
+    const res = await apiFetch(`/reports/${encodeURIComponent(viewer.base)}/rows?${qs}`);
+    const json = await res.json();
+    if (seq !== viewer.seq) return;
+    if (!json.ok) throw new Error(json.error || "Error");
+    viewer.total = json.total;
+    renderViewer(json);
+  } catch (err) {
+    if (seq !== viewer.seq) return;
+    if (viewerCountEl) viewerCountEl.textContent = `❌ ${err.message || err}`;
+  }
+}
+
+function renderViewer({ columns, numeric, rows, totals, total, offset, limit }) {
+  const isNum = (c) => numeric.includes(c);
+  const fmt = (v) => (typeof v === "number" ? v.toLocaleString(undefined, { maximumFractionDigits: 2 }) : v);
+  const arrow = (c) => (viewer.sort === c ? " ▲" : viewer.sort === `-${c}` ? " ▼" : "");
+  const thead = `<thead><tr>${columns.map((c) =>
+    `<th data-sort="${esc(c)}" class="${viewer.sort.replace(/^-/, "") === c ? "sorted" : ""}${isNum(c) ? " num" : ""}">${esc(c)}${arrow(c)}</th>`).join("")}</tr></thead>`;
+  // subtotal / group редове от групирането
+  const tbody = `<tbody>${rows.length ? rows.map((r) => {
+    const cls = ["subtotal", "group"].includes(r.row_type) ? ` class="row-${r.row_type}"` : "";
+    return `<tr${cls}>${columns.map((c) => `<td${isNum(c) ? ` class="num"` : ""}>${esc(fmt(r[c]))}</td>`).join("")}</tr>`;
+  }).join("") : `<tr><td colspan="${columns.length}" class="muted">No rows.</td></tr>`}</tbody>`;
+  const tfoot = total ? `<tfoot><tr>${columns.map((c, i) =>
+    `<td${isNum(c) ? ` class="num"` : ""}>${c in totals ? esc(fmt(totals[c])) : i === 0 ? "Total" : ""}</td>`).join("")}</tr></tfoot>` : "";
+  viewerTable.innerHTML = thead + tbody + tfoot;
+  viewerTable.querySelectorAll("th[data-sort]").forEach((th) => {
+    th.onclick = () => {
+      const c = th.dataset.sort;
+      viewer.sort = viewer.sort === c ? `-${c}` : viewer.sort === `-${c}` ? "" : c;
+      viewer.offset = 0;
+      loadViewerRows();
+    };
+  });
+  if (viewerCountEl) {
+    viewerCountEl.textContent = total ? `${offset + 1}–${Math.min(offset + limit, total)} of ${total}` : "0 rows";
+  }
+  if (viewerPrevBtn) viewerPrevBtn.disabled = offset <= 0;
+  if (viewerNextBtn) viewerNextBtn.disabled = offset + limit >= total;
+}
+
+if (viewerEl) {
+  let searchTimer;
+  viewerSearchEl?.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      viewer.q = viewerSearchEl.value.trim();
+      viewer.offset = 0;
+      loadViewerRows();
+    }, 300);
+  });
+  viewerSizeSel?.addEventListener("change", () => { viewer.offset = 0; loadViewerRows(); });
+  if (viewerPrevBtn) viewerPrevBtn.onclick = () => {
+    viewer.offset = Math.max(0, viewer.offset - (Number(viewerSizeSel?.value) || 50));
+    loadViewerRows();
+  };
+  if (viewerNextBtn) viewerNextBtn.onclick = () => {
+    const next = viewer.offset + (Number(viewerSizeSel?.value) || 50);
+    if (next < viewer.total) { viewer.offset = next; loadViewerRows(); }
   };
 }
+
+// продължаваме започнат job след презареждане
+const pendingJob = localStorage.getItem(JOB_KEY);
+if (pendingJob && reportForm) pollReportJob(pendingJob);
+
+// ===== PAST EXPORTS =====
+const exportListEl = document.getElementById("exportList");
+
+async function loadExports() {
+  try {
+    const res = await apiFetch("/exports?limit=100");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    const retentionEl = document.getElementById("exportRetention");
+    if (retentionEl) {
+      const { days, count } = json.retention;
+      const parts = [days ? `${days} days` : "", count ? `last ${count}` : ""].filter(Boolean);
+      retentionEl.textContent = `Retention: ${parts.length ? parts.join(", ") : "off"}`;
+    }
+    renderExportList(json.exports);
+  } catch (err) {
+    showToast("Exports unavailable", String(err.message || err), "error", 6000);
+  }
+}
+
+function renderExportList(list) {
+  if (!exportListEl) return;
+  if (!list.length) {
+    exportListEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Още няма експорти.</p>`;
+    return;
+  }
+  const win = encSel?.value === "win1251";
+  const rows = list.map((e) => {
+    const links = e.files
+      .filter((f) => e.links[f.format])
+      .map((f) => `<a href="${esc((win && e.links[`${f.format}_win1251`]) || e.links[f.format])}" download>${esc(f.format.toUpperCase())}</a>`)
+      .join(" | ");
+    const period = e.legacy ? `<span class="muted">—</span>` : `${esc(e.since.slice(0, 10))} → ${esc(e.until.slice(0, 10))}`;
+    const snaps = e.legacy ? "" : `${esc(e.startSnapshotLabel || "—")} → ${esc(e.endSnapshotLabel || "live")}`;
+    const opts = e.legacy ? "" : [e.salesMode, e.groupBy && `by ${e.groupBy}${e.aggregate === "summary" ? " (summary)" : ""}`, e.filters && "filtered", e.qtySource === "ledger" && "ledger", e.reconcile && "reconcile", e.replenishment && "replenishment", e.shops && "all stores"].filter(Boolean).map(esc).join(" · ");
+    return `
+    <tr>
+      <td>${formatWhen(e.createdAt)}<br /><code class="muted">${esc(e.id)}</code></td>
+      <td>${period}<br /><span class="muted">${snaps}</span></td>
+      <td title="${esc((e.columns || []).join(", "))}">${e.columns ? `${e.columns.length} columns` : ""}<br /><span class="muted">${opts}</span></td>
+      <td class="num">${e.rows ?? ""}</td>
+      <td>${esc(e.ranBy || "")}${e.trigger && e.trigger !== "manual" ? `<br /><span class="muted">${esc(e.trigger)}</span>` : ""}</td>
+      <td>${links || `<span class="muted">files missing</span>`}</td>
+      <td>${viewerEl && e.files.some((f) => f.format === "json") ? `<button type="button" class="btn subtle" data-view="${esc(e.id)}">View</button> ` : ""}<button type="button" class="btn subtle" data-delete="${esc(e.id)}">Delete</button></td>
+    </tr>`;
+  }).join("");
+  exportListEl.innerHTML = `<table>
+    <thead><tr><th>Created</th><th>Period / snapshots</th><th>Columns</th><th>Rows</th><th>Ran by</th><th>Files</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+  exportListEl.querySelectorAll("[data-view]").forEach((btn) => {
+    btn.onclick = () => {
+      openReportViewer(btn.dataset.view);
+      if (previewEl) previewEl.innerHTML = "";
+      viewerEl.scrollIntoView({ behavior: "smooth", block: "start" });
+    };
+  });
+  exportListEl.querySelectorAll("[data-delete]").forEach((btn) => {
+    btn.onclick = () => deleteExport(btn.dataset.delete);
+  });
+}
+
+async function deleteExport(base) {
+  if (!confirm(`Delete export ${base}?`)) return;
+  try {
+    const res = await apiFetch(`/exports/${encodeURIComponent(base)}`, { method: "DELETE" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Export deleted", base, "success");
+    loadExports();
+  } catch (err) {
+    showToast("Delete failed", String(err.message || err), "error", 6000);
+  }
+}
+
+const exportRefreshBtn = document.getElementById("exportRefresh");
+if (exportRefreshBtn) exportRefreshBtn.onclick = () => loadExports();
+// линковете следват избраното encoding
+if (encSel && exportListEl) encSel.addEventListener("change", () => loadExports());
+
+if (exportListEl) loadExports();
+
+// ===== RECURRING REPORTS =====
+const recurringListEl = document.getElementById("recurringList");
+const recurringForm = document.getElementById("recurringForm");
+const recScheduleSel = document.getElementById("recSchedule");
+
+async function loadRecurring() {
+  try {
+    const res = await apiFetch("/report-definitions");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    renderRecurringList(json.definitions);
+  } catch (err) {
+    showToast("Recurring reports unavailable", String(err.message || err), "error", 6000);
+  }
+}
+
+function describeDelivery(d) {
+  if (d.type === "local") return `folder ${d.dir}`;
+  if (d.type === "smtp") return `email ${d.to.join(", ")}`;
+  return `sftp ${d.dir}`;
+}
+
+function renderRecurringList(list) {
+  if (!recurringListEl) return;
+  if (!list.length) {
+    recurringListEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Няма запазени отчети.</p>`;
+    return;
+  }
+  const rows = list.map((d) => `
+    <tr>
+      <td>${esc(d.name)}<br /><code class="muted">${esc(d.id)}</code></td>
+      <td>${esc(d.range)}<br /><span class="muted">${esc(d.startSnapshot)} → ${esc(d.endSnapshot)}</span></td>
+      <td>${esc(d.formats.join(", "))} · ${esc(d.encoding)}</td>
+      <td>${d.schedule ? esc(d.schedule.preset ? `${d.schedule.preset} ${d.schedule.time || ""}` : d.schedule.cron) : "manual"}</td>
+      <td>${d.delivery.length ? d.delivery.map((t) => esc(describeDelivery(t))).join("<br />") : "—"}</td>
+      <td>
+        <button type="button" class="btn subtle" data-run="${esc(d.id)}">Run now</button>
+        <button type="button" class="btn subtle" data-delete="${esc(d.id)}">Delete</button>
+      </td>
+    </tr>`).join("");
+  recurringListEl.innerHTML = `<table>
+    <thead><tr><th>Name</th><th>Period</th><th>Files</th><th>Schedule</th><th>Delivery</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+  recurringListEl.querySelectorAll("[data-run]").forEach((btn) => {
+    btn.onclick = () => runRecurring(btn.dataset.run);
+  });
+  recurringListEl.querySelectorAll("[data-delete]").forEach((btn) => {
+    btn.onclick = () => deleteRecurring(btn.dataset.delete);
+  });
+}
+
+async function runRecurring(id) {
+  try {
+    const res = await apiFetch(`/report-definitions/${encodeURIComponent(id)}/run`, { method: "POST" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Report started", "Резултатът ще се появи в Report history.", "success");
+  } catch (err) {
+    showToast("Run failed", String(err.message || err), "error", 6000);
+  }
+}
+
+async function deleteRecurring(id) {
+  if (!confirm(`Delete recurring report ${id}?`)) return;
+  try {
+    const res = await apiFetch(`/report-definitions/${encodeURIComponent(id)}`, { method: "DELETE" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    showToast("Report deleted", `Report: ${id}`, "success");
+    loadRecurring();
+  } catch (err) {
+    showToast("Delete failed", String(err.message || err), "error", 6000);
+  }
+}
+
+// доставка от полетата на формата; празно поле = без такава цел
+function recurringDelivery() {
+  const val = (id) => document.getElementById(id)?.value.trim() || "";
+  const out = [];
+  if (val("recLocalDir")) out.push({ type: "local", dir: val("recLocalDir") });
+  const to = val("recEmail").split(",").map((s) => s.trim()).filter(Boolean);
+  if (to.length) out.push({ type: "smtp", to });
+  if (val("recSftpDir")) out.push({ type: "sftp", dir: val("recSftpDir") });
+  return out;
+}
+
+if (recScheduleSel) {
+  const syncRecTime = () => {
+    const field = document.getElementById("recTimeField");
+    if (field) field.hidden = !recScheduleSel.value;
+  };
+  recScheduleSel.onchange = syncRecTime;
+  syncRecTime();
+}
+
+if (recurringForm) {
+  recurringForm.onsubmit = async (e) => {
+    e.preventDefault();
+    const preset = recScheduleSel?.value;
+    const body = {
+      name: document.getElementById("recName")?.value.trim(),
+      range: document.getElementById("recRange")?.value,
+      startSnapshot: document.getElementById("recStartSnapshot")?.value,
+      endSnapshot: document.getElementById("recEndSnapshot")?.value,
+      formats: Array.from(document.getElementById("recFormats")?.selectedOptions || []).map((o) => o.value),
+      encoding: document.getElementById("recEncoding")?.value,
+      delivery: recurringDelivery(),
+      schedule: preset
+        ? { preset, time: document.getElementById("recTime")?.value.trim() || undefined, weekday: preset === "weekly" ? 1 : undefined }
+        : undefined,
+      ...reportOptions()
+    };
+    try {
+      const res = await apiFetch("/report-definitions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Error");
+      showToast("Report saved", json.definition.schedule ? "Ще се изпълнява по разписание." : "Пуска се с Run now.", "success");
+      loadRecurring();
+      loadSchedules();
+    } catch (err) {
+      showToast("Save failed", String(err.message || err), "error", 6000);
+    }
+  };
+}
+
+const recurringRefreshBtn = document.getElementById("recurringRefresh");
+if (recurringRefreshBtn) recurringRefreshBtn.onclick = () => loadRecurring();
+
+if (recurringListEl) loadRecurring();
+
+// ===== REPORT HISTORY (history.html) =====
+const reportRunsEl = document.getElementById("reportRunsList");
+
+async function loadReportRuns() {
+  try {
+    const res = await apiFetch("/report-runs?limit=100");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || "Error");
+    renderReportRuns(json.runs);
+  } catch (err) {
+    showToast("History unavailable", String(err.message || err), "error", 6000);
+  }
+}
+
+function renderReportRuns(runs) {
+  if (!reportRunsEl) return;
+  if (!runs.length) {
+    reportRunsEl.innerHTML = `<p class="muted" style="padding:8px 10px;margin:0;">Още няма изпълнения.</p>`;
+    return;
+  }
+  const rows = runs.map((r) => {
+    const links = Object.entries(r.links || {}).map(([fmt, url]) => `<a href="${esc(url)}" download>${esc(fmt.toUpperCase())}</a>`).join(" | ");
+    const deliveries = (r.deliveries || []).map((d) =>
+      `<span class="${d.status === "ok" ? "delta-up" : "delta-down"}" title="${esc(d.error || "")}">${esc(d.target)}</span>`).join("<br />");
+    const notes = [r.error, ...(r.warnings || [])].filter(Boolean).map(esc).join("<br />");
+    return `
+    <tr>
+      <td>${esc(r.name)}<br /><code class="muted">${esc(r.reportId)}</code></td>
+      <td>${esc(r.trigger)}</td>
+      <td>${esc(r.since.slice(0, 10))} → ${esc(r.until.slice(0, 10))}<br /><span class="muted">${esc(r.startSnapshotLabel || "—")} → ${esc(r.endSnapshotLabel || "live")}</span></td>
+      <td>${formatWhen(r.startedAt)}</td>
+      <td class="num">${r.rows ?? ""}</td>
+      <td class="${r.status === "ok" ? "delta-up" : r.status === "running" ? "" : "delta-down"}">${esc(r.status)}</td>
+      <td>${deliveries || "—"}</td>
+      <td>${links}</td>
+      <td>${notes}</td>
+    </tr>`;
+  }).join("");
+  reportRunsEl.innerHTML = `<table>
+    <thead><tr><th>Report</th><th>Trigger</th><th>Period</th><th>Started</th><th>Rows</th><th>Status</th><th>Delivered to</th><th>Files</th><th>Notes</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+const reportRunsRefreshBtn = document.getElementById("reportRunsRefresh");
+if (reportRunsRefreshBtn) reportRunsRefreshBtn.onclick = () => loadReportRuns();
+
+if (reportRunsEl) loadReportRuns();
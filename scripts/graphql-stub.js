@@ -0,0 +1,120 @@
+// Локален GraphQL stub за проверка на retry/throttling логиката на shopifyGraphQL() и на bulk пътя.
+//
+//   npm run stub:graphql -- [--port 4010] [--fail throttled,429,503] [--every 2] [--bucket 100]
+//                           [--bulk-dir scripts/bulk-samples]
+//   SHOPIFY_GQL_URL=http://localhost:4010/graphql.json npm start
+//
+// На всяка --every-та заявка връща следващия отговор от --fail (THROTTLED с throttleStatus,
+// HTTP 429 с Retry-After: 1, HTTP 503); останалите минават. --fail none изключва грешките.
+// Данните за paged заявките са празен магазин (без продукти и поръчки) — отчетът минава целия
+// път, а в payload.api се виждат retries.
+// --bucket задава currentlyAvailable в throttleStatus, за да се провери изчакването преди заявка.
+//
+// Bulk операциите (FETCH_MODE=bulk) завършват веднага: bulkOperationRunQuery избира файла по
+// заявката (orders → orders.jsonl, иначе products.jsonl от --bulk-dir), а node(id) /
+// currentBulkOperation връщат COMPLETED с url към GET /bulk/<файл> на stub-а.
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const args = process.argv.slice(2);
+const arg = (name, def) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
+};
+const PORT = Number(arg('port', 4010));
+const FAILS = arg('fail', 'throttled,429,503').split(',').filter(f => f && f !== 'none');
+const EVERY = Math.max(1, Number(arg('every', 2)));
+const BUCKET = Number(arg('bucket', 1000));
+const BULK_DIR = path.resolve(arg('bulk-dir', path.join(path.dirname(fileURLToPath(import.meta.url)), 'bulk-samples')));
+const MAX = 2000, RESTORE = 100, COST = 50;
+
+const emptyConnection = { pageInfo: { hasNextPage: false, endCursor: null }, edges: [] };
+const DATA = {
+  products: emptyConnection,
+  orders: { ...emptyConnection, count: 0 }, // и ReportCounts (orders: ordersCount)
+  locations: emptyConnection,
+  productsCount: { count: 0 },
+  ordersCount: { count: 0 },
+  refunds: { count: 0 }
+};
+
+const cost = (available) => ({
+  requestedQueryCost: COST,
+  actualQueryCost: available >= COST ? COST : null,
+  throttleStatus: { maximumAvailable: MAX, currentlyAvailable: available, restoreRate: RESTORE }
+});
+
+// последната bulk операция (Shopify пуска по една наведнъж)
+let bulkOp = null;
+function startBulk(query = '') {
+  const file = /^\s*\{\s*orders\b/.test(query) ? 'orders.jsonl' : 'products.jsonl';
+  const full = path.join(BULK_DIR, file);
+  const exists = fs.existsSync(full);
+  const lines = exists ? fs.readFileSync(full, 'utf8').split('\n').filter(l => l.trim()).length : 0;
+  bulkOp = {
+    id: `gid://shopify/BulkOperation/${Date.now()}`,
+    status: 'COMPLETED',
+    errorCode: null,
+    objectCount: String(lines),
+    // без обекти Shopify не дава файл
+    url: lines ? `http://localhost:${PORT}/bulk/${file}` : null,
+    partialDataUrl: null
+  };
+  console.log('[STUB] Bulk', file, exists ? `objects=${lines}` : '(no file)');
+  return { bulkOperation: { id: bulkOp.id, status: 'CREATED' }, userErrors: [] };
+}
+
+function bulkData(op, variables) {
+  if (op === 'BulkRun') return { bulkOperationRunQuery: startBulk(variables?.query) };
+  if (op === 'BulkStatus') return { node: bulkOp && bulkOp.id === variables?.id ? bulkOp : null };
+  if (op === 'BulkCancel') return { bulkOperationCancel: { bulkOperation: bulkOp && { id: bulkOp.id, status: 'CANCELED' }, userErrors: [] } };
+  return { currentBulkOperation: bulkOp };
+}
+
+let n = 0, failIdx = 0;
+http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url.startsWith('/bulk/')) {
+    const full = path.join(BULK_DIR, path.basename(req.url.slice('/bulk/'.length)));
+    if (!fs.existsSync(full)) {
+      res.statusCode = 404;
+      return res.end('Not found');
+    }
+    console.log('[STUB] GET', req.url);
+    res.setHeader('Content-Type', 'application/jsonl');
+    return fs.createReadStream(full).pipe(res);
+  }
+
+  let body = '';
+  req.on('data', c => body += c);
+  req.on('end', () => {
+    n++;
+    const op = (body.match(/\b(query|mutation)\s+([A-Za-z0-9_]+)/) || [])[2] || '?';
+    const fail = n % EVERY === 0 && FAILS.length ? FAILS[failIdx++ % FAILS.length] : null;
+    console.log(`[STUB] #${n} ${op}`, fail || 'ok');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (fail === '429') {
+      res.statusCode = 429;
+      res.setHeader('Retry-After', '1');
+      return res.end(JSON.stringify({ errors: 'Throttled' }));
+    }
+    if (fail === '503') {
+      res.statusCode = 503;
+      return res.end('Service Unavailable');
+    }
+    if (fail === 'throttled') {
+      return res.end(JSON.stringify({
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+        extensions: { cost: cost(10) }
+      }));
+    }
+    let variables = {};
+    try { variables = JSON.parse(body).variables || {}; } catch {}
+    const data = op.startsWith('Bulk') || body.includes('currentBulkOperation')
+      ? { ...DATA, ...bulkData(op, variables) }
+      : DATA;
+    res.end(JSON.stringify({ data, extensions: { cost: cost(BUCKET) } }));
+  });
+}).listen(PORT, () => console.log(`[STUB] GraphQL stub on http://localhost:${PORT}/graphql.json`, { FAILS, EVERY, BUCKET, BULK_DIR }));
@@ -0,0 +1,69 @@
+// Импорт на съществуващи JSON snapshot файлове в конфигурирания storage (напр. MongoDB).
+//
+//   STORAGE_DRIVER=mongodb MONGODB_URI=… npm run migrate:snapshots -- [dir] [--force] [--dry-run]
+//
+// dir е по подразбиране SNAPSHOT_DIR или ./data/snapshots. Файловете се записват както са
+// (всички формати се зареждат от server.js); вече съществуващи labels се пропускат без --force.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage } from '../lib/storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const dryRun = args.includes('--dry-run');
+const dir = path.resolve(
+  args.find(a => !a.startsWith('--')) || process.env.SNAPSHOT_DIR || path.join(ROOT, 'data', 'snapshots')
+);
+
+const { STORAGE_DRIVER = 'fs', MONGODB_URI, MONGODB_DB } = process.env;
+if (STORAGE_DRIVER === 'fs' && path.resolve(process.env.SNAPSHOT_DIR || path.join(ROOT, 'data', 'snapshots')) === dir) {
+  console.error('[MIGRATE] Source and target are the same directory — set STORAGE_DRIVER=mongodb');
+  process.exit(1);
+}
+if (!fs.existsSync(dir)) {
+  console.error('[MIGRATE] Directory not found:', dir);
+  process.exit(1);
+}
+
+const storage = await createStorage({
+  driver: STORAGE_DRIVER,
+  snapshotDir: process.env.SNAPSHOT_DIR || path.join(ROOT, 'data', 'snapshots'),
+  exportDir: path.join(ROOT, 'exports'),
+  mongoUri: MONGODB_URI,
+  mongoDb: MONGODB_DB
+});
+
+let imported = 0, skipped = 0, failed = 0;
+try {
+  const existing = new Set((await storage.listSnapshots()).map(s => s.label));
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  console.log('[MIGRATE] Found', files.length, 'snapshot files in', dir, '→', storage.driver, dryRun ? '(dry run)' : '');
+
+  for (const f of files) {
+    const label = f.slice(0, -'.json'.length);
+    if (existing.has(label) && !force) {
+      console.log('[MIGRATE] skip (exists):', label);
+      skipped++;
+      continue;
+    }
+    try {
+      const doc = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      if (!dryRun) await storage.saveSnapshot(label, doc);
+      console.log('[MIGRATE] imported:', label, `v${doc.version || 1}`);
+      imported++;
+    } catch (e) {
+      console.error('[MIGRATE✗]', label, e?.message || String(e));
+      failed++;
+    }
+  }
+} finally {
+  await storage.close();
+}
+
+console.log('[MIGRATE] Done.', { imported, skipped, failed });
+process.exit(failed ? 1 : 0);
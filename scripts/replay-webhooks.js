@@ -0,0 +1,78 @@
+// Повторно изпращане на записани Shopify webhooks към локален сървър (за ledger-а).
+//
+//   npm run webhooks:replay -- [--url http://localhost:3000] [--new-ids] <file|dir>...
+//
+// Файловете са във формата на WEBHOOK_RECORD_DIR ({ topic, webhookId, shop, payload }); директориите
+// се обхождат по име на файла, т.е. по реда на получаване. Тялото се подписва с SHOPIFY_WEBHOOK_SECRET
+// (или SHOPIFY_API_SECRET), както го подписва Shopify — или с webhookSecret на магазина от SHOPIFY_SHOPS,
+// ако записът е за него и той има собствен. С --new-ids всеки webhook получава ново
+// X-Shopify-Webhook-Id — иначе вече приетите се отчитат като duplicate.
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const args = process.argv.slice(2);
+const arg = (name, def) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
+};
+const URL_BASE = arg('url', `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const NEW_IDS = args.includes('--new-ids');
+const SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+const inputs = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--url');
+// домейн → собствен webhookSecret (виж lib/shops.js)
+const SHOP_SECRETS = new Map();
+try {
+  for (const s of JSON.parse(process.env.SHOPIFY_SHOPS || '[]')) {
+    if (s?.shop && s.webhookSecret) SHOP_SECRETS.set(String(s.shop).toLowerCase(), s.webhookSecret);
+  }
+} catch (e) {
+  console.warn('[REPLAY] Cannot parse SHOPIFY_SHOPS:', e.message);
+}
+
+if (!SECRET) {
+  console.error('[REPLAY] Missing SHOPIFY_WEBHOOK_SECRET or SHOPIFY_API_SECRET');
+  process.exit(1);
+}
+if (!inputs.length) {
+  console.error('[REPLAY] Usage: npm run webhooks:replay -- [--url http://localhost:3000] [--new-ids] <file|dir>...');
+  process.exit(1);
+}
+
+const files = inputs.flatMap(p => {
+  if (!fs.existsSync(p)) {
+    console.error('[REPLAY] Not found:', p);
+    process.exit(1);
+  }
+  if (!fs.statSync(p).isDirectory()) return [p];
+  return fs.readdirSync(p).filter(f => f.endsWith('.json')).sort().map(f => path.join(p, f));
+});
+
+let failed = 0;
+for (const file of files) {
+  const rec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!rec.topic || !rec.payload) {
+    console.warn('[REPLAY] Skipped (no topic/payload):', file);
+    continue;
+  }
+  const body = JSON.stringify(rec.payload);
+  const shop = rec.shop || process.env.SHOPIFY_SHOP || '';
+  const secret = SHOP_SECRETS.get(shop.toLowerCase()) || SECRET;
+  const res = await fetch(`${URL_BASE}/webhooks/shopify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': rec.topic,
+      'X-Shopify-Webhook-Id': NEW_IDS || !rec.webhookId ? crypto.randomUUID() : rec.webhookId,
+      'X-Shopify-Shop-Domain': shop,
+      'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64')
+    },
+    body
+  });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) failed++;
+  console.log(`[REPLAY] ${path.basename(file)} ${rec.topic} → ${res.status}`, out);
+}
+console.log('[REPLAY] Done', { files: files.length, failed });
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,61 @@
+// За тестовете: пуска scripts/graphql-stub.js и server.js на свободни портове, с данните във временна
+// папка. → { base, tmp, logs, stop() }; stop() спира процесите и трие папката.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().listen(0, () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  }).on('error', reject);
+});
+
+export async function spawnServer(env = {}) {
+  const children = [];
+  const logs = [];
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  const start = (args, extraEnv) => {
+    const child = spawn(process.execPath, args, { cwd: ROOT, env: { ...process.env, ...extraEnv }, stdio: ['ignore', 'pipe', 'pipe'] });
+    child.stdout.on('data', (d) => logs.push(String(d)));
+    child.stderr.on('data', (d) => logs.push(String(d)));
+    children.push(child);
+  };
+  const stop = () => {
+    for (const child of children) child.kill();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  };
+
+  const stubPort = await freePort();
+  const port = await freePort();
+  start(['scripts/graphql-stub.js', '--port', String(stubPort), '--fail', 'none']);
+  start(['server.js'], {
+    PORT: String(port),
+    SHOPIFY_SHOP: 'test.myshopify.com',
+    SHOPIFY_ADMIN_TOKEN: 'test',
+    SHOPIFY_GQL_URL: `http://localhost:${stubPort}/graphql.json`,
+    STORAGE_DRIVER: 'fs',
+    SNAPSHOT_DIR: path.join(tmp, 'snapshots'),
+    EXPORT_DIR: path.join(tmp, 'exports'),
+    RECORD_DIR: path.join(tmp, 'records'),
+    DELIVERY_DIR: path.join(tmp, 'deliveries'),
+    SCHEDULES_FILE: path.join(tmp, 'schedules.json'),
+    COLUMNS_FILE: path.join(tmp, 'columns.json'),
+    ...env
+  });
+  const base = `http://localhost:${port}`;
+
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(`${base}/health`)).ok) return { base, tmp, logs, stop };
+    } catch {}
+    await new Promise(r => setTimeout(r, 100));
+  }
+  stop();
+  throw new Error(`${base} did not come up:\n${logs.join('')}`);
+}
@@ -1,12 +1,29 @@
 import 'dotenv/config';
 import express from 'express';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import cron from 'node-cron';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Readable } from 'stream';
 import { Parser as Json2CsvParser } from 'json2csv';
 import { create } from 'xmlbuilder2';
 import iconv from 'iconv-lite';
+import ExcelJS from 'exceljs';
+import { createStorage } from './lib/storage.js';
+import { createAuth } from './lib/auth.js';
+import { createScheduler, ScheduleInputError, SCHEDULE_PRESETS } from './lib/scheduler.js';
+import { createDelivery, DeliveryConfigError } from './lib/delivery.js';
+import { createXmlProfiles } from './lib/xml-profiles.js';
+import { createLedger, LEDGER_TOPICS, LEDGER_TYPES } from './lib/ledger.js';
+import { createShops } from './lib/shops.js';
+import { createColumnRegistry } from './lib/columns.js';
+import { readBulkJsonl } from './lib/bulk.js';
+import { RECEIVED_SOURCES, prepareReconciliation, reconcileRow, summarizeReconciliation } from './lib/reconcile.js';
+import { createGraphQLClient } from './lib/graphql.js';
+import {
+  ReportInputError, GROUP_KEYS, SUM_COLUMNS, groupReportRows, aggregateRows, roundMoney,
+  normalizeReportFilters, productsSearchQuery, makeProductFilter
+} from './lib/report.js';
 
 // fetch polyfill (за Node < 18)
 (async () => {
@@ -23,10 +40,54 @@ const __dirname = path.dirname(__filename);
 const {
   SHOPIFY_SHOP,
   SHOPIFY_ADMIN_TOKEN,
+  SHOPIFY_SHOP_NAME,
+  SHOPIFY_SHOPS,
   SHOPIFY_API_VERSION = '2024-10',
   TIMEZONE = 'Europe/Sofia',
   APP_URL = '',
-  SNAPSHOT_DIR: SNAPSHOT_DIR_ENV
+  SNAPSHOT_DIR: SNAPSHOT_DIR_ENV,
+  EXPORT_DIR: EXPORT_DIR_ENV,
+  RECORD_DIR: RECORD_DIR_ENV,
+  STORAGE_DRIVER = 'fs',
+  MONGODB_URI,
+  MONGODB_DB,
+  SHOPIFY_GQL_URL,
+  FETCH_MODE = 'auto',
+  BULK_PRODUCTS_THRESHOLD = '2000',
+  BULK_ORDERS_THRESHOLD = '5000',
+  BULK_POLL_MS = '2000',
+  GQL_MAX_RETRIES = '5',
+  GQL_RETRY_BASE_MS = '1000',
+  GQL_RETRY_MAX_MS = '30000',
+  SHOPIFY_API_KEY,
+  SHOPIFY_API_SECRET,
+  SHOPIFY_WEBHOOK_SECRET,
+  WEBHOOK_RECORD_DIR,
+  APP_USERNAME,
+  APP_PASSWORD,
+  SESSION_SECRET,
+  SESSION_TTL_HOURS = '12',
+  DOWNLOAD_LINK_TTL_MIN = '60',
+  EXPORT_RETENTION_DAYS = '0',
+  EXPORT_RETENTION_COUNT = '0',
+  AUTH_DISABLED,
+  SCHEDULES_FILE: SCHEDULES_FILE_ENV,
+  XML_PROFILES_FILE,
+  COLUMNS_FILE,
+  REPLENISHMENT_FILE,
+  SCHEDULE_CATCHUP_HOURS = '48',
+  DELIVERY_DIR: DELIVERY_DIR_ENV,
+  SMTP_HOST,
+  SMTP_PORT = '587',
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  SMTP_FROM,
+  SFTP_HOST,
+  SFTP_PORT,
+  SFTP_USERNAME,
+  SFTP_PASSWORD,
+  SFTP_PRIVATE_KEY
 } = process.env;
 
 const PORT = process.env.PORT || 3000;
@@ -37,20 +98,42 @@ console.log('[BOOT] Config:', {
   SHOPIFY_API_VERSION,
   TIMEZONE,
   APP_URL,
-  SNAPSHOT_DIR: SNAPSHOT_DIR_ENV || '(default ./data/snapshots)'
+  SNAPSHOT_DIR: SNAPSHOT_DIR_ENV || '(default ./data/snapshots)',
+  EXPORT_DIR: EXPORT_DIR_ENV || '(default ./exports)',
+  RECORD_DIR: RECORD_DIR_ENV || '(default next to SNAPSHOT_DIR)',
+  STORAGE_DRIVER,
+  MONGODB_DB,
+  FETCH_MODE,
+  SHOPIFY_GQL_URL: SHOPIFY_GQL_URL || undefined
 });
 
 if (!SHOPIFY_SHOP || !SHOPIFY_ADMIN_TOKEN) {
   console.error('[BOOT] Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN — API calls will fail!');
 }
 
+// ===== SHOPS =====
+// Основният магазин (SHOPIFY_SHOP) + SHOPIFY_SHOPS — виж lib/shops.js. Всяка заявка, задача и
+// webhook работи в scope на един магазин; storage и ledger по-долу са отделни за всеки от тях.
+const shops = createShops({
+  primary: SHOPIFY_SHOP,
+  token: SHOPIFY_ADMIN_TOKEN,
+  name: SHOPIFY_SHOP_NAME,
+  extra: SHOPIFY_SHOPS,
+  apiVersion: SHOPIFY_API_VERSION,
+  gqlUrl: SHOPIFY_GQL_URL
+});
+
 // ===== APP & STATIC =====
 const app = express();
-app.use(express.json({ limit: '2mb' }));
+// суровото тяло на webhooks е нужно за HMAC проверката (виж WEBHOOKS)
+app.use(express.json({
+  limit: '2mb',
+  verify: (req, _res, buf) => { if (req.url.startsWith('/webhooks/')) req.rawBody = buf; }
+}));
 
 // simple request logger (за нашите endpoints)
 app.use((req, _res, next) => {
-  if (['/health','/snapshot','/report','/download','/exports'].some(p => req.path.startsWith(p))) {
+  if (['/health','/snapshot','/report','/download','/exports','/locations','/login','/logout','/schedules','/xml-profiles','/facets','/webhooks','/ledger','/shops','/columns'].some(p => req.path.startsWith(p))) {
     console.log(`[REQ] ${req.method} ${req.path}`);
   }
   next();
@@ -65,190 +148,462 @@ app.use((_req, res, next) => {
   next();
 });
 
-// Статика
+// ===== AUTH =====
+// Виж lib/auth.js. Login/logout и статиката за login страницата са публични; /download/* се
+// проверява по подписа на линка (виж signReportLinks).
 const PUBLIC_DIR = path.join(__dirname, 'public');
-app.use(express.static(PUBLIC_DIR));
+const auth = createAuth({
+  apiKey: SHOPIFY_API_KEY,
+  apiSecret: SHOPIFY_API_SECRET,
+  webhookSecret: SHOPIFY_WEBHOOK_SECRET,
+  shops: shops.list().map(s => s.id).filter(Boolean),
+  username: APP_USERNAME,
+  password: APP_PASSWORD,
+  sessionSecret: SESSION_SECRET,
+  sessionTtlHours: SESSION_TTL_HOURS,
+  downloadTtlMinutes: DOWNLOAD_LINK_TTL_MIN,
+  secureCookies: APP_URL.startsWith('https://'),
+  disabled: AUTH_DISABLED === 'true' || AUTH_DISABLED === '1'
+});
+
+// неуспешни опити по IP: след LOGIN_MAX_FAILURES — пауза LOGIN_LOCK_MS
+const loginFailures = new Map();
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+app.get('/login', (_req, res) => res.sendFile(path.join(PUBLIC_DIR, 'login.html')));
+app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  const ip = req.ip;
+  const wantsJson = req.is('application/json');
+  const next = safeNext(req.body?.next || req.query.next);
+  const fail = (status, error) => wantsJson
+    ? res.status(status).json({ ok: false, error })
+    : res.redirect(`/login?error=${encodeURIComponent(error)}&next=${encodeURIComponent(next)}`);
+
+  const f = loginFailures.get(ip);
+  if (f && f.count >= LOGIN_MAX_FAILURES && Date.now() - f.at < LOGIN_LOCK_MS) {
+    console.warn('[AUTH] Login locked for', ip);
+    return fail(429, 'Too many attempts, try again later');
+  }
+  if (!auth.checkPassword(req.body?.username, req.body?.password)) {
+    loginFailures.set(ip, { count: (f && Date.now() - f.at < LOGIN_LOCK_MS ? f.count : 0) + 1, at: Date.now() });
+    console.warn('[AUTH] Login failed for', ip);
+    return fail(401, auth.passwordEnabled ? 'Invalid username or password' : 'Password login is not configured');
+  }
+  loginFailures.delete(ip);
+  console.log('[AUTH] Login', req.body.username, ip);
+  res.setHeader('Set-Cookie', auth.sessionCookie(req.body.username));
+  return wantsJson ? res.json({ ok: true }) : res.redirect(next);
+});
+app.post('/logout', (_req, res) => {
+  res.setHeader('Set-Cookie', auth.clearSessionCookie());
+  res.json({ ok: true });
+});
+// само локален път — без open redirect към друг домейн
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+app.use(auth.middleware({ publicPaths: ['/health', '/download', '/webhooks', '/style.css', '/app.js'] }));
+
+// Магазинът на заявката: от session token-а (вградено в Admin — само този магазин), иначе
+// X-Shop header (UI-то) или ?shop= (линковете за сваляне); без тях — основният.
+app.use((req, res, next) => {
+  const ref = req.auth?.method === 'shopify' ? req.auth.shop : (req.get('X-Shop') || req.query.shop);
+  if (!ref) return next();
+  const shop = shops.get(ref);
+  if (!shop) return res.status(400).json({ ok: false, error: `Unknown shop: ${ref}` });
+  shops.run(shop, next);
+});
+
+// index.html с App Bridge (session tokens за fetch), когато е настроен SHOPIFY_API_KEY
+const INDEX_HTML = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+app.get(['/', '/index.html'], (_req, res) => {
+  const html = auth.apiKey
+    ? INDEX_HTML.replace('</head>',
+      `  <meta name="shopify-api-key" content="${auth.apiKey}" />\n  <script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>\n</head>`)
+    : INDEX_HTML;
+  res.type('html').send(html);
+});
+
+// Статика
+app.use(express.static(PUBLIC_DIR, { index: false }));
 
-// Директории за експорти/снимки
-const EXPORT_DIR = path.join(__dirname, 'exports');
+// Директории за експорти/снимки/записи (за fs драйвера)
+const EXPORT_DIR = EXPORT_DIR_ENV || path.join(__dirname, 'exports');
 const SNAPSHOT_DIR = SNAPSHOT_DIR_ENV || path.join(__dirname, 'data', 'snapshots');
-fs.mkdirSync(EXPORT_DIR, { recursive: true });
-fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
-console.log('[BOOT] EXPORT_DIR:', EXPORT_DIR);
-console.log('[BOOT] SNAPSHOT_DIR:', SNAPSHOT_DIR);
+// storage и ledger за всеки магазин; основният е на старите места (без namespace), останалите —
+// в namespace по shop.key. storage/ledger препращат към тези на текущия магазин (shops.current()).
+const storages = new Map();
+const ledgers = new Map();
+for (const shop of shops.list()) {
+  const store = await createStorage({
+    driver: STORAGE_DRIVER,
+    snapshotDir: SNAPSHOT_DIR,
+    exportDir: EXPORT_DIR,
+    recordDir: RECORD_DIR_ENV,
+    mongoUri: MONGODB_URI,
+    mongoDb: MONGODB_DB,
+    namespace: shop.primary ? null : shop.key
+  });
+  storages.set(shop.id, store);
+  ledgers.set(shop.id, createLedger({ storage: store }));
+  await ledgers.get(shop.id).load();
+}
+const storage = shops.scoped(storages);
+const ledger = shops.scoped(ledgers);
+console.log('[BOOT] Storage:', storage.driver);
 
 // ===== TIME HELPERS =====
 function labelForTodayTZ(tz = 'UTC') {
+  return labelForDateTZ(new Date(), tz);
+}
+function labelForDateTZ(date, tz = 'UTC') {
   const parts = new Intl.DateTimeFormat('en-CA', {
     timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
-  }).formatToParts(new Date());
+  }).formatToParts(date);
   const Y = parts.find(p => p.type === 'year').value;
   const M = parts.find(p => p.type === 'month').value;
   const D = parts.find(p => p.type === 'day').value;
   return `${Y}-${M}-${D}`; // YYYY-MM-DD
 }
-function isLastDayOfMonthTZ(tz = 'UTC') {
-  const todayLabel = labelForTodayTZ(tz);
-  const [y, m, d] = todayLabel.split('-').map(n => parseInt(n, 10));
-  const todayLocal = new Date(Date.UTC(y, m - 1, d, 12, 0, 0));
-  const tomorrow = new Date(todayLocal.getTime() + 24 * 60 * 60 * 1000);
-  const mNow = new Intl.DateTimeFormat('en-CA', { timeZone: tz, month: '2-digit' }).format(todayLocal);
-  const mTom = new Intl.DateTimeFormat('en-CA', { timeZone: tz, month: '2-digit' }).format(tomorrow);
-  return mNow !== mTom;
+// Отместването на tz спрямо UTC в момента date (ms; + на изток от Greenwich)
+function tzOffsetMs(date, tz = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const n = (type) => Number(parts.find(p => p.type === type).value);
+  const asUTC = Date.UTC(n('year'), n('month') - 1, n('day'), n('hour'), n('minute'), n('second'));
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+// Часът "YYYY-MM-DD HH:MM:SS" в tz → ISO в UTC. Отместването се проверява втори път в
+// получения момент — около смяната на лятното часово време то може да е друго.
+function isoForLocalTZ(ymd, time, tz = 'UTC') {
+  const wall = Date.parse(`${ymd}T${time}Z`);
+  let at = wall - tzOffsetMs(new Date(wall), tz);
+  at = wall - tzOffsetMs(new Date(at), tz);
+  return new Date(at).toISOString().replace(/\.\d+Z$/, 'Z');
 }
 
 // ===== SHOPIFY GRAPHQL =====
-const GQL_URL = `https://${SHOPIFY_SHOP}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
-async function shopifyGraphQL(query, variables = {}) {
-  const opName = (() => {
-    const m = query.match(/\b(query|mutation)\s+([A-Za-z0-9_]+)/);
-    return m ? m[2] : 'UnknownOp';
-  })();
-
-  console.log(`[GQL→] ${opName} vars=`, sanitizeVars(variables));
-  const started = Date.now();
-
-  const res = await fetch(GQL_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN
-    },
-    body: JSON.stringify({ query, variables })
-  });
-
-  let outText = '';
-  try { outText = await res.text(); } catch {}
-  let out = {};
-  try { out = JSON.parse(outText); } catch {}
+// Заявките отиват към текущия магазин (shops.current(): URL и token); SHOPIFY_GQL_URL — пълен URL
+// за локален mock (тестове на bulk/paged fetcher-ите). Rate limit, retries и backoff — lib/graphql.js.
+const graphql = createGraphQLClient({
+  shops,
+  maxRetries: Number(GQL_MAX_RETRIES),
+  retryBaseMs: Number(GQL_RETRY_BASE_MS),
+  retryMaxMs: Number(GQL_RETRY_MAX_MS)
+});
+const shopifyGraphQL = graphql.request;
+// Изпълнява fn(stats); stats събира всички GraphQL заявки в нея (и вложените async извиквания)
+const withGraphQLStats = graphql.withStats;
 
-  const ms = Date.now() - started;
-  if (!res.ok) {
-    console.error(`[GQL✗] ${opName} HTTP ${res.status} in ${ms}ms body=`, truncate(outText, 1000));
-    throw new Error(`GraphQL HTTP ${res.status}: ${outText}`);
-  }
-  if (out.errors) {
-    console.error(`[GQL✗] ${opName} errors=`, out.errors);
-    throw new Error(`GraphQL errors: ${JSON.stringify(out.errors)}`);
+// ===== QUERIES =====
+// Вложените connections (variants, inventoryLevels, lineItems, …) връщат pageInfo; ако първата
+// страница не стига, останалото се дочита с *_PAGE заявките по-долу (виж fetchRemainingEdges).
+const LEVEL_FIELDS = `
+  fragment LevelFields on InventoryLevel {
+    location { id name }
+    quantities(names: $qtyNames) {
+      name
+      quantity
+    }
   }
-  if (out.extensions?.cost) {
-    console.log(`[GQL$] ${opName} cost=`, out.extensions.cost);
+`;
+
+// Полетата и metafields на колоните (виж COLUMN REGISTRY) се добавят в заявките динамично,
+// затова тези с продукти/варианти са функции.
+const variantFields = () => `
+  fragment VariantFields on ProductVariant {
+    id
+    sku
+    ${columnRegistry.selection('variant')}
+    inventoryItem {
+      id
+      tracked
+      unitCost { amount currencyCode }
+      inventoryLevels(first: 50) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ...LevelFields } }
+      }
+    }
   }
-  console.log(`[GQL✓] ${opName} in ${ms}ms`);
-  return out.data;
-}
-function truncate(s, n) { return s && s.length > n ? s.slice(0, n) + '…(truncated)' : s; }
-function sanitizeVars(v) { try { return JSON.parse(JSON.stringify(v)); } catch { return v; } }
+  ${LEVEL_FIELDS}
+`;
 
-// ===== QUERIES =====
-const PRODUCTS_PAGE_QUERY = `
-  query ProductsPage($cursor: String, $qtyNames: [String!]!) {
-    products(first: 50, after: $cursor) {
+const productsPageQuery = () => `
+  query ProductsPage($cursor: String, $query: String, $qtyNames: [String!]!) {
+    products(first: 50, after: $cursor, query: $query) {
       pageInfo { hasNextPage endCursor }
       edges {
         node {
           id
           title
           vendor
-          vendorInvoiceDate: metafield(namespace: "custom", key: "vendor_invoice_date") { value }
-          vendorInvoiceNumber: metafield(namespace: "custom", key: "vendor_invoice_number") { value }
+          ${columnRegistry.selection('product')}
           variants(first: 50) {
-            edges {
-              node {
-                id
-                sku
-                openingQty: metafield(namespace: "custom", key: "opening_quantity") { value }
-                inventoryItem {
-                  tracked
-                  unitCost { amount currencyCode }
-                  inventoryLevels(first: 50) {
-                    edges {
-                      node {
-                        quantities(names: $qtyNames) {
-                          name
-                          quantity
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
+            pageInfo { hasNextPage endCursor }
+            edges { node { ...VariantFields } }
           }
         }
       }
     }
   }
+  ${variantFields()}
+`;
+
+const productVariantsPageQuery = () => `
+  query ProductVariantsPage($id: ID!, $cursor: String, $qtyNames: [String!]!) {
+    product(id: $id) {
+      variants(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ...VariantFields } }
+      }
+    }
+  }
+  ${variantFields()}
+`;
+
+const INVENTORY_LEVELS_PAGE_QUERY = `
+  query InventoryLevelsPage($id: ID!, $cursor: String, $qtyNames: [String!]!) {
+    inventoryItem(id: $id) {
+      inventoryLevels(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ...LevelFields } }
+      }
+    }
+  }
+  ${LEVEL_FIELDS}
+`;
+
+const LINE_ITEM_FIELDS = `
+  fragment LineItemFields on LineItem {
+    id
+    quantity
+    currentQuantity @include(if: $net)
+    sku
+    variant { id sku }
+    product { id title vendor }
+    discountedTotalSet { shopMoney { amount currencyCode } }
+  }
 `;
 
+// $withLocations включва данните за fulfillment локация (само при разбивка по локации),
+// $net — currentQuantity и refunds за нетните продажби
 const ORDERS_PAGE_QUERY = `
-  query OrdersPage($cursor: String, $query: String!) {
+  query OrdersPage($cursor: String, $query: String!, $withLocations: Boolean = false, $net: Boolean = false) {
     orders(first: 100, after: $cursor, query: $query) {
       pageInfo { hasNextPage endCursor }
       edges {
         node {
           id
           createdAt
-          lineItems(first: 250) {
-            edges {
-              node {
-                quantity
-                sku
-                variant { id sku }
-                product { id title vendor }
+          refunds @include(if: $net) {
+            id
+            refundLineItems(first: 250) {
+              pageInfo { hasNextPage endCursor }
+              edges {
+                node {
+                  quantity
+                  lineItem { id }
+                }
+              }
+            }
+          }
+          retailLocation @include(if: $withLocations) { id name }
+          fulfillments(first: 50) @include(if: $withLocations) {
+            id
+            location { id name }
+            fulfillmentLineItems(first: 250) {
+              pageInfo { hasNextPage endCursor }
+              edges {
+                node {
+                  quantity
+                  lineItem { id }
+                }
               }
             }
           }
+          lineItems(first: 250) {
+            pageInfo { hasNextPage endCursor }
+            edges { node { ...LineItemFields } }
+          }
+        }
+      }
+    }
+  }
+  ${LINE_ITEM_FIELDS}
+`;
+
+const ORDER_LINE_ITEMS_PAGE_QUERY = `
+  query OrderLineItemsPage($id: ID!, $cursor: String, $net: Boolean = false) {
+    order(id: $id) {
+      lineItems(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ...LineItemFields } }
+      }
+    }
+  }
+  ${LINE_ITEM_FIELDS}
+`;
+
+const FULFILLMENT_LINE_ITEMS_PAGE_QUERY = `
+  query FulfillmentLineItemsPage($id: ID!, $cursor: String) {
+    fulfillment(id: $id) {
+      fulfillmentLineItems(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            quantity
+            lineItem { id }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const REFUND_LINE_ITEM_FIELDS = `
+  fragment RefundLineItemFields on RefundLineItem {
+    quantity
+    restockType
+    location { id }
+    subtotalSet { shopMoney { amount } }
+    lineItem {
+      id
+      sku
+      variant { id }
+    }
+  }
+`;
+
+// Refunds се датират по refund.createdAt, затова търсим поръчки, обновени след началото
+// на периода, а самите refunds филтрираме по дата в fetchRefunds().
+const REFUNDS_PAGE_QUERY = `
+  query RefundsPage($cursor: String, $query: String!) {
+    orders(first: 100, after: $cursor, query: $query) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          cancelledAt
+          refunds {
+            id
+            createdAt
+            refundLineItems(first: 250) {
+              pageInfo { hasNextPage endCursor }
+              edges { node { ...RefundLineItemFields } }
+            }
+          }
         }
       }
     }
   }
+  ${REFUND_LINE_ITEM_FIELDS}
+`;
+
+const REFUND_LINE_ITEMS_PAGE_QUERY = `
+  query RefundLineItemsPage($id: ID!, $cursor: String) {
+    refund(id: $id) {
+      refundLineItems(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ...RefundLineItemFields } }
+      }
+    }
+  }
+  ${REFUND_LINE_ITEM_FIELDS}
+`;
+
+// За прогнозата на страниците в report jobs
+const REPORT_COUNTS_QUERY = `
+  query ReportCounts($productsQuery: String, $ordersQuery: String!, $refundsQuery: String!, $net: Boolean = false) {
+    productsCount(query: $productsQuery) { count }
+    orders: ordersCount(query: $ordersQuery) { count }
+    refunds: ordersCount(query: $refundsQuery) @include(if: $net) { count }
+  }
+`;
+
+// стойностите за филтрите в UI-то (GET /facets); над 250 стойности — следващите страници
+// с FACET_PAGE_QUERIES (виж fetchFacets)
+const FACETS_QUERY = `
+  query Facets {
+    shop {
+      productVendors(first: 250) { pageInfo { hasNextPage endCursor } edges { node } }
+      productTypes(first: 250) { pageInfo { hasNextPage endCursor } edges { node } }
+      productTags(first: 250) { pageInfo { hasNextPage endCursor } edges { node } }
+    }
+    collections(first: 250, sortKey: TITLE) { pageInfo { hasNextPage endCursor } edges { node { id title } } }
+  }
+`;
+
+const shopFacetPageQuery = (field) => `
+  query ShopFacetPage($cursor: String) {
+    shop {
+      ${field}(first: 250, after: $cursor) { pageInfo { hasNextPage endCursor } edges { node } }
+    }
+  }
+`;
+const FACET_PAGE_QUERIES = {
+  productVendors: shopFacetPageQuery('productVendors'),
+  productTypes: shopFacetPageQuery('productTypes'),
+  productTags: shopFacetPageQuery('productTags'),
+  collections: `
+    query CollectionsPage($cursor: String) {
+      collections(first: 250, after: $cursor, sortKey: TITLE) { pageInfo { hasNextPage endCursor } edges { node { id title } } }
+    }
+  `
+};
+
+const LOCATIONS_QUERY = `
+  query Locations {
+    locations(first: 250, includeInactive: true) {
+      edges {
+        node { id name isActive }
+      }
+    }
+  }
 `;
 
 // ===== FETCHERS =====
-async function fetchAllProductsAndInventory() {
-  console.log('[INV] Fetching products & inventory…');
+// ctx (по избор) — контекстът на report job: прогрес по страници и отказ.
+// extraPages (по избор) — брояч на допълнителните страници за вложените connections.
+// Над BULK_PRODUCTS_THRESHOLD продукта данните идват с Bulk Operation (виж BULK OPERATIONS).
+// query (по избор) — products(query:) от productsSearchQuery() за филтрите на отчета.
+async function fetchAllProductsAndInventory(ctx = null, { extraPages = null, query = null } = {}) {
+  if (await pickFetchMode('products', query) === 'bulk') return fetchAllProductsAndInventoryBulk(ctx, query);
+  console.log('[INV] Fetching products & inventory…', query ? `query=${query}` : '');
   let cursor = null, hasNext = true;
   const rows = [];
   let page = 0, totalVariants = 0;
+  const qtyNames = ['available'];
+  const more = { ctx, extraPages };
 
   while (hasNext) {
+    ctx?.throwIfCancelled();
     page++;
-    const data = await shopifyGraphQL(PRODUCTS_PAGE_QUERY, {
+    const data = await shopifyGraphQL(productsPageQuery(), {
       cursor,
-      qtyNames: ['available']
+      query,
+      qtyNames
     });
+    ctx?.pageFetched('products');
 
     const { edges, pageInfo } = data.products;
     console.log(`[INV] Page ${page} products=${edges.length} hasNext=${pageInfo.hasNextPage}`);
 
     for (const { node: p } of edges) {
+      await fetchRemainingEdges(p.variants, 'variants', productVariantsPageQuery(),
+        { id: p.id, qtyNames }, d => d.product?.variants, more);
       for (const vEdge of p.variants.edges) {
         const v = vEdge.node;
 
         // само tracked
         if (v.inventoryItem?.tracked !== true) continue;
 
-        const levels = v.inventoryItem?.inventoryLevels?.edges || [];
-        const endingQty = levels.reduce((sum, lev) => {
-          const qList = lev.node.quantities || [];
-          const avail = qList.find(q => q.name === 'available');
-          return sum + (avail?.quantity ?? 0);
-        }, 0);
-
-        rows.push({
-          productId: p.id,
-          productTitle: p.title,
-          productVendor: p.vendor,
-          vendorInvoiceDate: p.vendorInvoiceDate?.value || null,
-          vendorInvoiceNumber: p.vendorInvoiceNumber?.value || null,
-          variantId: v.id,
-          variantSku: v.sku,
-          openingQty: v.openingQty?.value ? Number(v.openingQty.value) : null,
-          unitCost: v.inventoryItem?.unitCost?.amount ?? null,
-          unitCostCurrency: v.inventoryItem?.unitCost?.currencyCode ?? null,
-          endingQty
-        });
+        await fetchRemainingEdges(v.inventoryItem.inventoryLevels, 'inventoryLevels', INVENTORY_LEVELS_PAGE_QUERY,
+          { id: v.inventoryItem.id, qtyNames }, d => d.inventoryItem?.inventoryLevels, more);
+        rows.push(inventoryRow(p, v, (v.inventoryItem?.inventoryLevels?.edges || []).map(e => e.node)));
         totalVariants++;
       }
     }
@@ -260,266 +615,2714 @@ async function fetchAllProductsAndInventory() {
   return rows;
 }
 
-async function fetchUnitsSold(sinceISO, untilISO) {
-  // Използваме само YYYY-MM-DD и range синтаксис "a..b" за order search
-  const toDateOnly = (s) => (s || '').split('T')[0];
-  const sinceDate = toDateOnly(sinceISO);
-  const untilDate = toDateOnly(untilISO);
+// Редът за един вариант — общ за paged и bulk fetcher-а. levels са inventoryLevel node-ове.
+function inventoryRow(p, v, levels) {
+  const locations = levels.map(lev => {
+    const qList = lev.quantities || [];
+    const avail = qList.find(q => q.name === 'available');
+    return {
+      locationId: lev.location?.id || null,
+      locationName: lev.location?.name || null,
+      qty: avail?.quantity ?? 0
+    };
+  });
+  const endingQty = locations.reduce((sum, l) => sum + l.qty, 0);
+  const values = columnRegistry.read(p, v);
+
+  return {
+    productId: p.id,
+    productTitle: p.title,
+    productVendor: p.vendor,
+    vendorInvoiceDate: values.vendor_invoice_date,
+    vendorInvoiceNumber: values.vendor_invoice_number,
+    variantId: v.id,
+    variantSku: v.sku,
+    inventoryItemId: v.inventoryItem?.id ?? null,
+    openingQty: values.opening_quantity,
+    unitCost: v.inventoryItem?.unitCost?.amount ?? null,
+    unitCostCurrency: v.inventoryItem?.unitCost?.currencyCode ?? null,
+    endingQty,
+    locations,
+    // колоните от config-а (без вградените по-горе) — { колона: стойност }
+    fields: Object.fromEntries(columnRegistry.custom.map(c => [c, values[c]]))
+  };
+}
 
-  const q = `created_at:${sinceDate}..${untilDate} financial_status:paid -status:cancelled`;
+// Връща { byVariant, byLocation } (брутно продадени). byLocation е ключ "variantKey|locationId";
+// при byLocation=true продадените бройки се разпределят по локацията на fulfillment-а,
+// а неизпълнените остатъци — по retailLocation (POS) или под празна локация.
+// При net=true добавя { returned, restocked, removed } в същата форма — виж fetchRefunds().
+// revenue (същата форма, суми вместо бройки) е discountedTotalSet на редовете във валутата на магазина
+// (currency); в net режим revenueReturned/revenueRemoved са сумите на върнатото и премахнатото.
+async function fetchUnitsSold(sinceISO, untilISO, { byLocation: withLocations = false, net = false, ctx = null, extraPages = null } = {}) {
+  const q = ordersSearchQuery(sinceISO, untilISO, net);
   console.log('[ORDERS SEARCH]', q);
+  // bulk пътят покрива само брутните продажби без локации (fulfillments/refunds са списъци
+  // с вложени connections, които bulk заявките не поддържат)
+  if (!withLocations && !net && await pickFetchMode('orders', q) === 'bulk') return fetchUnitsSoldBulk(q, ctx);
 
   let cursor = null, hasNext = true;
-  const byVariant = new Map();
+  const sold = { ...newTally(), revenue: newTally(), currency: null };
+  const removed = newTally();
+  const revenueRemoved = newTally();
   let page = 0, totalOrders = 0, totalLines = 0;
 
   while (hasNext) {
+    ctx?.throwIfCancelled();
     page++;
-    const data = await shopifyGraphQL(ORDERS_PAGE_QUERY, { cursor, query: q });
+    const data = await shopifyGraphQL(ORDERS_PAGE_QUERY, { cursor, query: q, withLocations, net });
+    ctx?.pageFetched('orders');
     const { edges, pageInfo } = data.orders;
     console.log(`[ORD] Page ${page} orders=${edges.length} hasNext=${pageInfo.hasNextPage}`);
 
     for (const { node: o } of edges) {
       totalOrders++;
+      await fetchRemainingOrderEdges(o, { net, ctx, extraPages });
+      const fulfilledAt = withLocations ? fulfilledQtyByLineItem(o) : null;
+      const refundedQty = net ? refundedQtyByLineItem(o) : null;
       for (const liEdge of o.lineItems.edges) {
         const li = liEdge.node;
         totalLines++;
         const vId = li.variant?.id || (li.sku ? `SKU:${li.sku}` : null);
         if (!vId) continue;
-        byVariant.set(vId, (byVariant.get(vId) || 0) + (li.quantity || 0));
+        sold.byVariant.set(vId, (sold.byVariant.get(vId) || 0) + (li.quantity || 0));
+        const amount = lineRevenue(li, sold);
+        addToMap(sold.revenue.byVariant, vId, amount);
+        // цена за бройка — за разпределението по локации и за премахнатото с order edit
+        const unitPrice = li.quantity ? amount / li.quantity : 0;
+
+        if (withLocations) {
+          let rest = li.quantity || 0;
+          for (const [locId, qty] of fulfilledAt.get(li.id) || []) {
+            const take = Math.min(qty, rest);
+            addToMap(sold.byLocation, locationKey(vId, locId), take);
+            addToMap(sold.revenue.byLocation, locationKey(vId, locId), take * unitPrice);
+            rest -= take;
+          }
+          if (rest > 0) {
+            addToMap(sold.byLocation, locationKey(vId, o.retailLocation?.id || ''), rest);
+            addToMap(sold.revenue.byLocation, locationKey(vId, o.retailLocation?.id || ''), rest * unitPrice);
+          }
+        }
+
+        // премахнатото с order edit: currentQuantity не включва нито него, нито върнатото с refund
+        if (net && li.currentQuantity != null) {
+          const edited = (li.quantity || 0) - li.currentQuantity - (refundedQty.get(li.id) || 0);
+          if (edited > 0) {
+            const locId = withLocations ? (o.retailLocation?.id || '') : null;
+            addToTally(removed, vId, locId, edited);
+            addToTally(revenueRemoved, vId, locId, edited * unitPrice);
+          }
+        }
       }
     }
     hasNext = pageInfo.hasNextPage;
     cursor = pageInfo.endCursor;
   }
 
-  console.log('[ORD] Done. orders=', totalOrders, 'lines=', totalLines, 'variantsWithSales=', byVariant.size);
-  return byVariant;
-}
+  console.log('[ORD] Done. orders=', totalOrders, 'lines=', totalLines, 'variantsWithSales=', sold.byVariant.size);
+  if (!net) return sold;
 
-// ===== SNAPSHOTS =====
-function snapshotPath(label){ return path.join(SNAPSHOT_DIR, `${label}.json`); }
-async function createSnapshot(label){
-  console.log('[SNAPSHOT] Creating snapshot for label:', label);
-  const rows = await fetchAllProductsAndInventory();
-  const snap = {};
-  for (const r of rows) snap[r.variantId] = (snap[r.variantId] || 0) + (r.endingQty || 0);
-  const file = snapshotPath(label);
-  fs.writeFileSync(file, JSON.stringify(snap, null, 2));
-  console.log('[SNAPSHOT] Saved file:', file, 'variants=', Object.keys(snap).length);
-  return { count: Object.keys(snap).length, file: file.replace(__dirname, ''), absPath: file };
+  const { returned, restocked, revenueReturned } = await fetchRefunds(sinceISO, untilISO, { withLocations, ctx, extraPages });
+  return { ...sold, returned, restocked, removed, revenueReturned, revenueRemoved };
 }
 
-// ===== BUILD/EXPORT =====
-function buildReportRows(productRows, unitsSoldMap, startSnapshot=null){
-  const out = productRows.map(r=>{
-    const vKey = r.variantId || (r.variantSku ? `SKU:${r.variantSku}` : null);
-    const sold = vKey ? (unitsSoldMap.get(vKey) || 0) : 0;
-    const startingQty = (startSnapshot && r.variantId && startSnapshot[r.variantId] !== undefined)
-      ? startSnapshot[r.variantId] : null;
-    return {
-      vendor: r.productVendor,
-      vendor_invoice_date: r.vendorInvoiceDate,
-      vendor_invoice_number: r.vendorInvoiceNumber,
-      product_title: r.productTitle,
-      product_variant_sku: r.variantSku,
-      opening_quantity: r.openingQty,
-      unit_cost: r.unitCost,
-      unit_cost_currency: r.unitCostCurrency,
-      starting_inventory_qty: startingQty,   // от snapshot-а (начало на периода)
-      ending_inventory_qty: r.endingQty,     // текущо (или endSnapshot в бъдеща версия)
-      units_sold: sold
-    };
-  });
-  console.log('[BUILD] Rows built:', out.length);
-  return out;
-}
-function writeCSV(rows, base, columns){
-  const defaultFields = [
-    'vendor','vendor_invoice_date','vendor_invoice_number',
-    'product_title','product_variant_sku',
-    'opening_quantity',
-    'unit_cost','unit_cost_currency',
-    'starting_inventory_qty','ending_inventory_qty','units_sold'
-  ];
-  const fields = (Array.isArray(columns) && columns.length) ? columns : defaultFields;
-  const csv = new Json2CsvParser({ fields }).parse(rows);
-  const file = path.join(EXPORT_DIR, `${base}.csv`);
-  fs.writeFileSync(file, csv, 'utf8');
-  console.log('[WRITE] CSV:', file, 'bytes=', fs.statSync(file).size);
-  return path.basename(file, '.csv'); // връщаме base name
-}
-function writeXML(rows, base, columns){
-  const mapped = (Array.isArray(columns) && columns.length)
-    ? rows.map(r => { const o = {}; for (const c of columns) o[c] = r[c]; return o; })
-    : rows;
-  const xml = create({ version: '1.0' }).ele({ report: { row: mapped }}).end({ prettyPrint: true });
-  const file = path.join(EXPORT_DIR, `${base}.xml`);
-  fs.writeFileSync(file, xml, 'utf8');
-  console.log('[WRITE] XML:', file, 'bytes=', fs.statSync(file).size);
-  return path.basename(file, '.xml'); // връщаме base name
+// discountedTotalSet на реда (след отстъпките); валутата на магазина се запомня в sales.currency
+function lineRevenue(li, sales) {
+  const money = li.discountedTotalSet?.shopMoney;
+  if (!money) return 0;
+  sales.currency ||= money.currencyCode;
+  return Number(money.amount) || 0;
 }
 
-// ===== DOWNLOAD =====
-function safeBase(name) {
-  return String(name).replace(/[^a-zA-Z0-9._-]/g, '');
+// Върнати бройки по дата на refund-а (не на поръчката). returned — всички refund line items,
+// restocked — само върнатите обратно в наличност (restockType ≠ NO_RESTOCK).
+// Refunds на отказани поръчки се пропускат: -status:cancelled ги изключва и от продажбите.
+async function fetchRefunds(sinceISO, untilISO, { withLocations = false, ctx = null, extraPages = null } = {}) {
+  const from = new Date(sinceISO).getTime();
+  const to = new Date(untilISO).getTime();
+  const q = refundsSearchQuery(sinceISO, untilISO);
+  console.log('[REFUNDS SEARCH]', q);
+
+  let cursor = null, hasNext = true;
+  const returned = newTally();
+  const restocked = newTally();
+  const revenueReturned = newTally();
+  let page = 0, totalRefunds = 0;
+
+  while (hasNext) {
+    ctx?.throwIfCancelled();
+    page++;
+    const data = await shopifyGraphQL(REFUNDS_PAGE_QUERY, { cursor, query: q });
+    ctx?.pageFetched('refunds');
+    const { edges, pageInfo } = data.orders;
+    console.log(`[REF] Page ${page} orders=${edges.length} hasNext=${pageInfo.hasNextPage}`);
+
+    for (const { node: o } of edges) {
+      if (o.cancelledAt) continue;
+      for (const refund of o.refunds || []) {
+        const at = new Date(refund.createdAt).getTime();
+        if (at < from || at > to) continue;
+        totalRefunds++;
+        await fetchRemainingEdges(refund.refundLineItems, 'refundLineItems', REFUND_LINE_ITEMS_PAGE_QUERY,
+          { id: refund.id }, d => d.refund?.refundLineItems, { ctx, extraPages });
+        for (const { node: rli } of refund.refundLineItems?.edges || []) {
+          const li = rli.lineItem || {};
+          const vId = li.variant?.id || (li.sku ? `SKU:${li.sku}` : null);
+          if (!vId) continue;
+          const locId = withLocations ? (rli.location?.id || '') : null;
+          addToTally(returned, vId, locId, rli.quantity || 0);
+          addToTally(revenueReturned, vId, locId, Number(rli.subtotalSet?.shopMoney?.amount) || 0);
+          if (rli.restockType && rli.restockType !== 'NO_RESTOCK') addToTally(restocked, vId, locId, rli.quantity || 0);
+        }
+      }
+    }
+    hasNext = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+
+  console.log('[REF] Done. refunds=', totalRefunds, 'variantsReturned=', returned.byVariant.size);
+  return { returned, restocked, revenueReturned };
 }
-app.get('/download/csv/:base', (req, res) => {
-  const base = safeBase(req.params.base);
-  const enc = (req.query.enc || 'utf8').toLowerCase();
-  const filePath = path.join(EXPORT_DIR, `${base}.csv`);
-  if (!fs.existsSync(filePath)) {
-    console.warn('[DL] CSV not found:', filePath);
-    return res.status(404).send('File not found');
+
+// Дочита вложен connection след първата му страница. conn.edges се допълва на място, така че
+// останалият код не различава една от няколко страници; pick(data) връща connection-а от
+// follow-up заявката. Всяка допълнителна страница се брои в extraPages[kind].
+async function fetchRemainingEdges(conn, kind, query, variables, pick, { ctx = null, extraPages = null } = {}) {
+  let pageInfo = conn?.pageInfo;
+  if (!pageInfo?.hasNextPage) return;
+  let pages = 0;
+  while (pageInfo?.hasNextPage) {
+    ctx?.throwIfCancelled();
+    const next = pick(await shopifyGraphQL(query, { ...variables, cursor: pageInfo.endCursor }));
+    if (!next) break;
+    conn.edges.push(...next.edges);
+    pageInfo = next.pageInfo;
+    pages++;
   }
+  conn.pageInfo = pageInfo;
+  if (extraPages) extraPages[kind] = (extraPages[kind] || 0) + pages;
+  console.warn(`[PAGE] ${kind}${variables.id ? ` of ${variables.id}` : ''}: ${pages} extra page(s), ${conn.edges.length} total`);
+}
 
-  console.log('[DL] CSV', { base, enc });
-  let csv = fs.readFileSync(filePath, 'utf8');
-  let buf;
-  if (enc === 'win1251' || enc === 'windows-1251') {
-    buf = iconv.encode(csv, 'windows-1251');
-    res.setHeader('Content-Type', 'text/csv; charset=windows-1251');
-  } else {
-    csv = '\uFEFF' + csv; // BOM за Excel
-    buf = Buffer.from(csv, 'utf8');
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+// lineItems, а в net/location режим и refundLineItems/fulfillmentLineItems на поръчката
+async function fetchRemainingOrderEdges(o, { net, ctx, extraPages }) {
+  const more = { ctx, extraPages };
+  await fetchRemainingEdges(o.lineItems, 'lineItems', ORDER_LINE_ITEMS_PAGE_QUERY,
+    { id: o.id, net }, d => d.order?.lineItems, more);
+  for (const refund of o.refunds || []) {
+    await fetchRemainingEdges(refund.refundLineItems, 'refundLineItems', REFUND_LINE_ITEMS_PAGE_QUERY,
+      { id: refund.id }, d => d.refund?.refundLineItems, more);
   }
-  res.setHeader('Content-Disposition', `attachment; filename="${base}.csv"`);
-  res.send(buf);
-});
-app.get('/download/xml/:base', (req, res) => {
-  const base = safeBase(req.params.base);
-  const enc = (req.query.enc || 'utf8').toLowerCase();
-  const filePath = path.join(EXPORT_DIR, `${base}.xml`);
-  if (!fs.existsSync(filePath)) {
-    console.warn('[DL] XML not found:', filePath);
-    return res.status(404).send('File not found');
+  for (const f of o.fulfillments || []) {
+    await fetchRemainingEdges(f.fulfillmentLineItems, 'fulfillmentLineItems', FULFILLMENT_LINE_ITEMS_PAGE_QUERY,
+      { id: f.id }, d => d.fulfillment?.fulfillmentLineItems, more);
   }
+}
 
-  console.log('[DL] XML', { base, enc });
-  let xml = fs.readFileSync(filePath, 'utf8');
-  let buf;
-  if (enc === 'win1251' || enc === 'windows-1251') {
-    buf = iconv.encode(xml, 'windows-1251');
-    res.setHeader('Content-Type', 'application/xml; charset=windows-1251');
-  } else {
-    buf = Buffer.from(xml, 'utf8');
-    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
-  }
-  res.setHeader('Content-Disposition', `attachment; filename="${base}.xml"`);
-  res.send(buf);
-});
+// Използваме само YYYY-MM-DD и range синтаксис "a..b" за order search
+function ordersSearchQuery(sinceISO, untilISO, net = false) {
+  const toDateOnly = (s) => (s || '').split('T')[0];
+  // в net режим включваме и (частично) върнатите поръчки — върнатото се вади отделно
+  const financial = net
+    ? '(financial_status:paid OR financial_status:partially_refunded OR financial_status:refunded)'
+    : 'financial_status:paid';
+  return `created_at:${toDateOnly(sinceISO)}..${toDateOnly(untilISO)} ${financial} -status:cancelled`;
+}
+// Поръчките с refund в периода: refund-ът обновява поръчката (updated_at ≥ since), а поръчката е
+// създадена преди него (created_at ≤ until). Горната граница не е по updated_at — поръчка, пипната
+// след периода (нов refund, fulfillment, тагове), пак може да има refund в него.
+function refundsSearchQuery(sinceISO, untilISO) {
+  return `updated_at:>=${(sinceISO || '').split('T')[0]} created_at:<='${untilISO}'`;
+}
 
-// ===== ENDPOINTS =====
-app.post('/snapshot', async (req, res)=>{
-  try {
-    console.log('[EP/snapshot] body=', req.body);
-    const label = (req.body?.label) || labelForTodayTZ(TIMEZONE);
-    const out = await createSnapshot(label);
-    res.json({ ok:true, label, ...out, path:`/data/snapshots/${label}.json` });
-  } catch(e){
-    console.error('[SNAPSHOT✗]', e?.stack || String(e));
-    res.status(500).json({ ok:false, error:String(e) });
+// lineItemId → общо върнато по всички refunds на поръчката
+function refundedQtyByLineItem(order) {
+  const out = new Map();
+  for (const refund of order.refunds || []) {
+    for (const { node: rli } of refund.refundLineItems?.edges || []) {
+      if (rli.lineItem?.id) addToMap(out, rli.lineItem.id, rli.quantity || 0);
+    }
   }
-});
+  return out;
+}
 
-app.post('/report', async (req,res)=>{
-  try{
-    console.log('[EP/report] body=', req.body);
-    const { since, until, startSnapshotLabel, columns } = req.body||{};
-    if(!since||!until) {
-      console.warn('[EP/report] Missing since/until');
-      return res.status(400).json({ ok:false, error:'Missing since/until (ISO)' });
-    }
-
-    const [products, soldMap] = await Promise.all([
-      fetchAllProductsAndInventory(),
-      fetchUnitsSold(since, until)
-    ]);
-    console.log('[REPORT] products rows=', products.length, 'sold variants=', soldMap.size);
-
-    let startSnapshot=null;
-    if(startSnapshotLabel){
-      const p = snapshotPath(startSnapshotLabel);
-      if(fs.existsSync(p)) {
-        const raw = fs.readFileSync(p,'utf8');
-        startSnapshot = JSON.parse(raw);
-        console.log('[REPORT] Loaded snapshot', p, 'keys=', Object.keys(startSnapshot).length);
-      } else {
-        console.warn('[REPORT] Snapshot not found:', p);
-      }
-    } else {
-      console.log('[REPORT] No startSnapshotLabel provided');
+// lineItemId → [[locationId, qty], …] от fulfillments на поръчката
+function fulfilledQtyByLineItem(order) {
+  const out = new Map();
+  for (const f of order.fulfillments || []) {
+    const locId = f.location?.id || '';
+    for (const { node: fli } of f.fulfillmentLineItems?.edges || []) {
+      const liId = fli.lineItem?.id;
+      if (!liId) continue;
+      if (!out.has(liId)) out.set(liId, []);
+      out.get(liId).push([locId, fli.quantity || 0]);
     }
-
-    const rows = buildReportRows(products, soldMap, startSnapshot);
-    const stamp = new Date().toISOString().replace(/[:.]/g,'-');
-    const base = `inventory-report_${stamp}`;
-
-    const csvBase = writeCSV(rows, base, columns);
-    const xmlBase = writeXML(rows, base, columns);
-
-    const payload = {
-      ok: true,
-      rows: rows.length,
-      csv: `/download/csv/${csvBase}?enc=utf8`,
-      xml: `/download/xml/${xmlBase}?enc=utf8`,
-      csv_win1251: `/download/csv/${csvBase}?enc=win1251`,
-      xml_win1251: `/download/xml/${xmlBase}?enc=win1251`,
-      columns: columns && columns.length ? columns : undefined,
-      sample: rows.slice(0, 20)
-    };
-    console.log('[REPORT] Done. files=', { csv: payload.csv, xml: payload.xml });
-    res.json(payload);
-  } catch(e){
-    console.error('[REPORT✗]', e?.stack || String(e));
-    res.status(500).json({ ok:false, error:String(e) });
   }
-});
-
-// ===== CRON: 11:59:59 в TIMEZONE (1-во, 10-то, 20-то и последен ден) =====
-cron.schedule('59 59 11 1 * *', async () => {
-  try {
-    const label = labelForTodayTZ(TIMEZONE);
-    console.log('[CRON] (1st) firing for', label);
-    await createSnapshot(label);
-    console.log('[CRON] (1st) done');
-  } catch (e) { console.error('[CRON 1st✗]', e?.stack || String(e)); }
-}, { timezone: TIMEZONE });
+  return out;
+}
+function locationKey(variantKey, locationId) { return `${variantKey}|${locationId || ''}`; }
+function addToMap(map, key, n) { map.set(key, (map.get(key) || 0) + n); }
+// { byVariant, byLocation } — бройки по вариант и по вариант × локация (locId === null → без локация)
+function newTally() { return { byVariant: new Map(), byLocation: new Map() }; }
+function addToTally(t, variantKey, locationId, n) {
+  addToMap(t.byVariant, variantKey, n);
+  if (locationId !== null) addToMap(t.byLocation, locationKey(variantKey, locationId), n);
+}
 
-cron.schedule('59 59 11 10 * *', async () => {
-  try {
-    const label = labelForTodayTZ(TIMEZONE);
-    console.log('[CRON] (10th) firing for', label);
-    await createSnapshot(label);
-    console.log('[CRON] (10th) done');
-  } catch (e) { console.error('[CRON 10th✗]', e?.stack || String(e)); }
-}, { timezone: TIMEZONE });
+async function fetchFacets() {
+  const data = await shopifyGraphQL(FACETS_QUERY);
+  for (const kind of ['productVendors', 'productTypes', 'productTags']) {
+    await fetchRemainingEdges(data.shop[kind], kind, FACET_PAGE_QUERIES[kind], {}, d => d.shop?.[kind]);
+  }
+  await fetchRemainingEdges(data.collections, 'collections', FACET_PAGE_QUERIES.collections, {}, d => d.collections);
+  const strings = (conn) => conn.edges.map(e => e.node).filter(Boolean).sort((a, b) => a.localeCompare(b));
+  return {
+    vendors: strings(data.shop.productVendors),
+    productTypes: strings(data.shop.productTypes),
+    tags: strings(data.shop.productTags),
+    collections: data.collections.edges.map(({ node }) => ({ id: node.id, title: node.title }))
+  };
+}
 
-cron.schedule('59 59 11 20 * *', async () => {
-  try {
-    const label = labelForTodayTZ(TIMEZONE);
-    console.log('[CRON] (20th) firing for', label);
-    await createSnapshot(label);
-    console.log('[CRON] (20th) done');
-  } catch (e) { console.error('[CRON 20th✗]', e?.stack || String(e)); }
-}, { timezone: TIMEZONE });
+async function fetchLocations() {
+  const data = await shopifyGraphQL(LOCATIONS_QUERY);
+  return data.locations.edges.map(({ node }) => ({ id: node.id, name: node.name, isActive: node.isActive }));
+}
 
-cron.schedule('59 59 11 28-31 * *', async () => {
-  try {
-    const label = labelForTodayTZ(TIMEZONE);
-    if (!isLastDayOfMonthTZ(TIMEZONE)) {
-      console.log('[CRON] (last-of-month) skipped — not last day for', label);
-      return;
+// ===== BULK OPERATIONS =====
+// За големи каталози/истории: bulkOperationRunQuery → poll на операцията → JSONL файл,
+// който четем ред по ред (lib/bulk.js). Всеки ред е един обект; вложените в connection обекти идват
+// като отделни редове с __parentId. Shopify пуска по една bulk query операция наведнъж
+// на магазин, затова ги редим през опашка за всеки магазин (bulkQueues).
+// FETCH_MODE: auto (по праговете) | paged | bulk
+const BULK_RUN_MUTATION = `
+  mutation BulkRun($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
     }
-    console.log('[CRON] (last-of-month) firing for', label);
-    await createSnapshot(label);
-    console.log('[CRON] (last-of-month) done');
-  } catch (e) { console.error('[CRON last-of-month✗]', e?.stack || String(e)); }
-}, { timezone: TIMEZONE });
+  }
+`;
+const BULK_STATUS_QUERY = `
+  query BulkStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+const BULK_CANCEL_MUTATION = `
+  mutation BulkCancel($id: ID!) {
+    bulkOperationCancel(id: $id) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+const BULK_COUNT_QUERY = `
+  query BulkCount($query: String, $withOrders: Boolean!) {
+    productsCount(query: $query) @skip(if: $withOrders) { count }
+    ordersCount(query: $query) @include(if: $withOrders) { count }
+  }
+`;
+
+// Без променливи — bulk заявките не приемат variables
+const productsBulkQuery = (search) => `
+  {
+    products${search ? `(query: ${JSON.stringify(search)})` : ''} {
+      edges {
+        node {
+          id
+          title
+          vendor
+          ${columnRegistry.selection('product')}
+          variants {
+            edges {
+              node {
+                id
+                sku
+                ${columnRegistry.selection('variant')}
+                inventoryItem {
+                  id
+                  tracked
+                  unitCost { amount currencyCode }
+                  inventoryLevels {
+                    edges {
+                      node {
+                        id
+                        location { id name }
+                        quantities(names: ["available"]) { name quantity }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+const ordersBulkQuery = (search) => `
+  {
+    orders(query: ${JSON.stringify(search)}) {
+      edges {
+        node {
+          id
+          lineItems {
+            edges {
+              node {
+                id
+                quantity
+                sku
+                variant { id }
+                discountedTotalSet { shopMoney { amount currencyCode } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function pickFetchMode(kind, query = null) {
+  if (FETCH_MODE === 'paged' || FETCH_MODE === 'bulk') return FETCH_MODE;
+  try {
+    const data = await shopifyGraphQL(BULK_COUNT_QUERY, { query, withOrders: kind === 'orders' });
+    const count = kind === 'orders' ? data.ordersCount.count : data.productsCount.count;
+    const threshold = Number(kind === 'orders' ? BULK_ORDERS_THRESHOLD : BULK_PRODUCTS_THRESHOLD);
+    const mode = count > threshold ? 'bulk' : 'paged';
+    console.log(`[BULK] ${kind} count=${count} threshold=${threshold} → ${mode}`);
+    return mode;
+  } catch (e) {
+    console.warn('[BULK] Count failed, using paged:', String(e?.message || e));
+    return 'paged';
+  }
+}
+
+const bulkQueues = new Map(); // shop id → опашката
+function runBulkQuery(query, onLine, ctx = null) {
+  const { id } = shops.current();
+  const run = (bulkQueues.get(id) || Promise.resolve()).then(() => runBulkQueryNow(query, onLine, ctx));
+  bulkQueues.set(id, run.catch(() => {}));
+  return run;
+}
+
+async function runBulkQueryNow(query, onLine, ctx) {
+  ctx?.throwIfCancelled();
+  const started = await shopifyGraphQL(BULK_RUN_MUTATION, { query });
+  const { bulkOperation, userErrors } = started.bulkOperationRunQuery;
+  if (userErrors?.length) throw new Error(`Bulk operation rejected: ${JSON.stringify(userErrors)}`);
+  console.log('[BULK] Started', bulkOperation.id);
+
+  let op;
+  for (;;) {
+    if (ctx?.isCancelled()) {
+      await shopifyGraphQL(BULK_CANCEL_MUTATION, { id: bulkOperation.id }).catch(() => {});
+      ctx.throwIfCancelled();
+    }
+    await new Promise(r => setTimeout(r, Number(BULK_POLL_MS)));
+    op = (await shopifyGraphQL(BULK_STATUS_QUERY, { id: bulkOperation.id })).node;
+    ctx?.setPhase(`bulk ${op.status.toLowerCase()} (${op.objectCount} objects)`);
+    if (!['CREATED', 'RUNNING', 'CANCELING'].includes(op.status)) break;
+  }
+  console.log('[BULK] Finished', op.id, op.status, 'objects=', op.objectCount);
+  if (op.status !== 'COMPLETED') throw new Error(`Bulk operation ${op.status}${op.errorCode ? `: ${op.errorCode}` : ''}`);
+  if (!op.url) return 0; // няма обекти → няма файл
+
+  const res = await fetch(op.url);
+  if (!res.ok) throw new Error(`Bulk result HTTP ${res.status}`);
+  const n = await readBulkJsonl(Readable.fromWeb(res.body), onLine, { check: () => ctx?.throwIfCancelled() });
+  console.log('[BULK] Parsed lines=', n);
+  return n;
+}
+
+// Същите редове като fetchAllProductsAndInventory(), от JSONL-а на productsBulkQuery()
+async function fetchAllProductsAndInventoryBulk(ctx = null, search = null) {
+  console.log('[INV] Fetching products & inventory via bulk operation…', search ? `query=${search}` : '');
+  const products = new Map();
+  const variants = [];
+  const levelsByParent = new Map();
+  await runBulkQuery(productsBulkQuery(search), (obj) => {
+    const type = gidType(obj.id);
+    if (type === 'Product') products.set(obj.id, obj);
+    else if (type === 'ProductVariant') variants.push(obj);
+    else if (type === 'InventoryLevel') {
+      if (!levelsByParent.has(obj.__parentId)) levelsByParent.set(obj.__parentId, []);
+      levelsByParent.get(obj.__parentId).push(obj);
+    }
+  }, ctx);
+
+  const rows = [];
+  for (const v of variants) {
+    if (v.inventoryItem?.tracked !== true) continue;
+    const p = products.get(v.__parentId);
+    if (!p) continue;
+    // родителят на inventoryLevels е вариантът (последният node в connection веригата)
+    const levels = levelsByParent.get(v.id) || levelsByParent.get(v.inventoryItem?.id) || [];
+    rows.push(inventoryRow(p, v, levels));
+  }
+  console.log('[INV] Bulk done. products=', products.size, 'variants(tracked)=', rows.length);
+  return rows;
+}
+
+// Брутните продажби по вариант от JSONL-а на ordersBulkQuery — същата форма като fetchUnitsSold()
+async function fetchUnitsSoldBulk(search, ctx = null) {
+  console.log('[ORD] Fetching orders via bulk operation…');
+  const sold = { ...newTally(), revenue: newTally(), currency: null };
+  let totalOrders = 0, totalLines = 0;
+  await runBulkQuery(ordersBulkQuery(search), (obj) => {
+    const type = gidType(obj.id);
+    if (type === 'Order') { totalOrders++; return; }
+    if (type !== 'LineItem') return;
+    totalLines++;
+    const vId = obj.variant?.id || (obj.sku ? `SKU:${obj.sku}` : null);
+    if (!vId) return;
+    addToMap(sold.byVariant, vId, obj.quantity || 0);
+    addToMap(sold.revenue.byVariant, vId, lineRevenue(obj, sold));
+  }, ctx);
+  console.log('[ORD] Bulk done. orders=', totalOrders, 'lines=', totalLines, 'variantsWithSales=', sold.byVariant.size);
+  return sold;
+}
+
+function gidType(gid) {
+  const m = /^gid:\/\/shopify\/([A-Za-z]+)\//.exec(gid || '');
+  return m ? m[1] : null;
+}
+
+// ===== SNAPSHOTS =====
+// Файлов формат (version 3):
+//   { version: 3, header: { label, shop, apiVersion, createdAt, timezone, trigger }, rows: [ … ] }
+// rows са пълните редове от fetchAllProductsAndInventory() (вкл. locations), така че
+// себестойност, доставчик, SKU и фактури към датата остават и след редакция/изтриване.
+// По-старите формати също се зареждат (виж normalizeSnapshot):
+//   version 2: { version, label, createdAt, locations, variants: { variantId: { qty, byLocation, unitCost, unitCostCurrency } } }
+//   плосък:    { variantId: qty }
+const SNAPSHOT_FORMAT_VERSION = 3;
+async function createSnapshot(label, { trigger = 'manual', scheduleId = null } = {}){
+  console.log('[SNAPSHOT] Creating snapshot for label:', label, 'trigger=', trigger);
+  const rows = await fetchAllProductsAndInventory();
+  const snap = {
+    version: SNAPSHOT_FORMAT_VERSION,
+    header: {
+      label,
+      shop: shops.current().id,
+      apiVersion: SHOPIFY_API_VERSION,
+      createdAt: new Date().toISOString(),
+      timezone: TIMEZONE,
+      trigger,
+      scheduleId: scheduleId || undefined
+    },
+    rows
+  };
+  const count = new Set(rows.map(r => r.variantId)).size;
+  const { location, absPath } = await storage.saveSnapshot(label, snap);
+  console.log('[SNAPSHOT] Saved:', location, 'variants=', count);
+  // наличностите влизат и в ledger-а (наваксва пропуснати webhooks); snapshot-ът е готов и при грешка тук
+  await ledger.baseline(rows, { at: snap.header.createdAt, source: `snapshot:${label}` })
+    .catch(e => console.error('[LEDGER✗] Baseline from snapshot failed', e?.stack || String(e)));
+  return { count, file: location.replace(__dirname, ''), absPath };
+}
+async function listSnapshotLabels(){
+  return (await storage.listSnapshots()).map(s => s.label);
+}
+async function deleteSnapshot(label){
+  const ok = await storage.deleteSnapshot(label);
+  if (ok) console.log('[SNAPSHOT] Deleted:', label);
+  return ok;
+}
+async function loadSnapshot(label){
+  const raw = await storage.loadSnapshot(label);
+  if (!raw) return null;
+  const snap = normalizeSnapshot(raw);
+  snap.label ||= label;
+  return snap;
+}
+// Привежда всички версии към { version, label, createdAt, header, locations,
+//   variants: { variantId: { qty, byLocation, unitCost, unitCostCurrency, row } } }
+// (row — пълният ред, само за version 3; byLocation === null при плоския формат)
+function normalizeSnapshot(raw){
+  if (raw && raw.version >= 3 && Array.isArray(raw.rows)) {
+    const locations = {};
+    const variants = {};
+    for (const r of raw.rows) {
+      const entry = variants[r.variantId] ||= {
+        qty: 0, byLocation: {}, unitCost: r.unitCost, unitCostCurrency: r.unitCostCurrency, row: r
+      };
+      entry.qty += r.endingQty || 0;
+      for (const l of r.locations || []) {
+        if (!l.locationId) continue;
+        entry.byLocation[l.locationId] = (entry.byLocation[l.locationId] || 0) + l.qty;
+        locations[l.locationId] = l.locationName;
+      }
+    }
+    const h = raw.header || {};
+    return { version: raw.version, label: h.label || null, createdAt: h.createdAt || null, header: h, locations, variants };
+  }
+  if (raw && raw.version >= 2 && raw.variants) return { header: null, ...raw };
+  const variants = {};
+  for (const [variantId, qty] of Object.entries(raw || {})) {
+    variants[variantId] = { qty: Number(qty) || 0, byLocation: null };
+  }
+  return { version: 1, label: null, createdAt: null, header: null, locations: {}, variants };
+}
+// Количество от snapshot за вариант; при locMatch — само за съвпадащите локации.
+// null ако вариантът липсва или snapshot-ът е стар (без разбивка по локации).
+function snapshotQty(snap, variantId, locMatch = null){
+  const entry = snap?.variants?.[variantId];
+  if (!entry) return null;
+  if (!locMatch) return entry.qty;
+  if (!entry.byLocation) return null;
+  let sum = 0;
+  for (const [locId, qty] of Object.entries(entry.byLocation)) {
+    if (locMatch(locId, snap.locations?.[locId])) sum += qty;
+  }
+  return sum;
+}
+
+// Редовете на продуктите към края на периода от end snapshot: списъкът варианти, количествата
+// и себестойността са от snapshot-а. Пълните snapshots (version 3) носят и останалото
+// (заглавие, доставчик, SKU, фактури); при по-старите то идва от текущите данни, ако
+// вариантът още съществува.
+function productRowsFromSnapshot(snap, liveRows){
+  const live = new Map(liveRows.map(r => [r.variantId, r]));
+  let missing = 0;
+  const rows = Object.entries(snap.variants).map(([variantId, entry]) => {
+    const cur = live.get(variantId);
+    if (!cur) missing++;
+    if (entry.row) return entry.row;
+    return {
+      productId: cur?.productId ?? null,
+      productTitle: cur?.productTitle ?? null,
+      productVendor: cur?.productVendor ?? null,
+      vendorInvoiceDate: cur?.vendorInvoiceDate ?? null,
+      vendorInvoiceNumber: cur?.vendorInvoiceNumber ?? null,
+      variantId,
+      variantSku: cur?.variantSku ?? null,
+      inventoryItemId: cur?.inventoryItemId ?? null,
+      openingQty: cur?.openingQty ?? null,
+      fields: cur?.fields ?? {},
+      // version 1 няма себестойност — тогава текущата
+      unitCost: entry.unitCost !== undefined ? entry.unitCost : (cur?.unitCost ?? null),
+      unitCostCurrency: entry.unitCostCurrency !== undefined ? entry.unitCostCurrency : (cur?.unitCostCurrency ?? null),
+      endingQty: entry.qty,
+      locations: Object.entries(entry.byLocation || {}).map(([locationId, qty]) => ({
+        locationId, locationName: snap.locations?.[locationId] ?? null, qty
+      }))
+    };
+  });
+  console.log('[SNAPSHOT] End rows from', snap.label, 'variants=', rows.length, 'notInStore=', missing);
+  return rows;
+}
+
+// Вариантите от пълен start snapshot, които вече ги няма в магазина (изтрити или вече
+// не се следят), влизат в отчета с ending 0 — иначе наличността им просто изчезва.
+function withVariantsFromSnapshot(productRows, snap){
+  const known = new Set(productRows.map(r => r.variantId));
+  const extra = [];
+  for (const [variantId, entry] of Object.entries(snap?.variants || {})) {
+    if (!entry.row || known.has(variantId)) continue;
+    extra.push({ ...entry.row, endingQty: 0, locations: [] });
+  }
+  if (extra.length) console.log('[SNAPSHOT] Variants no longer in store, from', snap.label, ':', extra.length);
+  return extra.length ? [...productRows, ...extra] : productRows;
+}
+
+// ===== BUILD/EXPORT =====
+const DEFAULT_COLUMNS = [
+  'vendor','vendor_invoice_date','vendor_invoice_number',
+  'product_title','product_variant_sku',
+  'opening_quantity',
+  'unit_cost','unit_cost_currency',
+  'starting_inventory_qty','ending_inventory_qty','units_sold'
+];
+const LOCATION_COLUMNS = ['location_name'];
+const NET_SALES_COLUMNS = ['units_returned','units_restocked','net_units_sold'];
+const RECONCILIATION_COLUMNS = ['units_received','adjustment_qty','expected_ending_qty','variance','reconciliation_status'];
+const REPLENISHMENT_COLUMNS = ['sales_velocity','days_of_cover','lead_time_days','reorder_point','suggested_reorder_qty','reorder_value','stock_status'];
+// консолидиран отчет (виж CONSOLIDATED) — магазините, от които е редът
+const CONSOLIDATED_COLUMNS = ['shops'];
+// стойности по unit_cost (във валутата на себестойността) и приходи (във валутата на магазина)
+const VALUATION_COLUMNS = ['starting_value','ending_value','cogs','revenue','revenue_currency','gross_margin'];
+// groupBy: location само разбива редовете (виж buildReportRows), останалите групират — lib/report.js
+const GROUP_BY = ['location', ...Object.keys(GROUP_KEYS)];
+const AGGREGATES = ['subtotals', 'summary'];
+
+// ===== COLUMN REGISTRY =====
+// Колоните от продукта/варианта (стандартни полета и metafields) са в COLUMNS_FILE — виж lib/columns.js.
+// Допълнителните (columnRegistry.custom) вървят след product_variant_sku.
+const columnRegistry = createColumnRegistry({
+  file: COLUMNS_FILE || path.join(__dirname, 'config', 'columns.json'),
+  reserved: [
+    ...DEFAULT_COLUMNS, ...LOCATION_COLUMNS, ...NET_SALES_COLUMNS, ...RECONCILIATION_COLUMNS,
+    ...REPLENISHMENT_COLUMNS, ...CONSOLIDATED_COLUMNS, ...VALUATION_COLUMNS, 'row_type', 'product_id'
+  ]
+});
+
+// Всички колони за UI-то (GET /columns) в реда на selectedFields(); when — режимът, в който
+// колоната е приложима (null — винаги)
+function columnCatalog(){
+  const registry = new Map(columnRegistry.list().map(c => [c.name, c]));
+  const entry = (when) => (name) => {
+    const c = registry.get(name);
+    return { name, label: c?.label ?? null, level: c?.level ?? 'report', type: c?.type ?? null, source: c?.source ?? null, when };
+  };
+  return [
+    ...DEFAULT_COLUMNS.slice(0, 5).map(entry(null)),
+    ...columnRegistry.custom.map(entry(null)),
+    ...CONSOLIDATED_COLUMNS.map(entry('shops')),
+    ...LOCATION_COLUMNS.map(entry('groupBy=location')),
+    ...DEFAULT_COLUMNS.slice(5).map(entry(null)),
+    ...NET_SALES_COLUMNS.map(entry('salesMode=net')),
+    ...VALUATION_COLUMNS.map(entry(null)),
+    ...RECONCILIATION_COLUMNS.map(entry('reconcile')),
+    ...REPLENISHMENT_COLUMNS.map(entry('replenishment'))
+  ];
+}
+
+// Колоните за експорт според режима: без избор — всички приложими; с избор — само
+// приложимите (location_name има смисъл само при groupBy=location, нетните — при net).
+// При групиране отпред са row_type и ключовите колони на групата, дори да не са избрани.
+function reportFields(columns, { groupBy, net, reconcile, replenishment, consolidated } = {}){
+  const selected = selectedFields(columns, { groupBy, net, reconcile, replenishment, consolidated });
+  const keys = GROUP_KEYS[groupBy];
+  if (!keys) return selected;
+  return ['row_type', ...keys.filter(k => !selected.includes(k)), ...selected.filter(c => c !== 'row_type')];
+}
+
+function selectedFields(columns, { groupBy, net, reconcile, replenishment, consolidated }){
+  const all = [
+    ...DEFAULT_COLUMNS.slice(0, 5),
+    ...columnRegistry.custom,
+    ...(consolidated ? CONSOLIDATED_COLUMNS : []),
+    ...(groupBy === 'location' ? LOCATION_COLUMNS : []),
+    ...DEFAULT_COLUMNS.slice(5),
+    ...(net ? NET_SALES_COLUMNS : []),
+    ...VALUATION_COLUMNS,
+    ...(reconcile ? RECONCILIATION_COLUMNS : []),
+    ...(replenishment ? REPLENISHMENT_COLUMNS : [])
+  ];
+  if (!Array.isArray(columns) || !columns.length) return all;
+  const inapplicable = [
+    ...(groupBy === 'location' ? [] : LOCATION_COLUMNS),
+    ...(net ? [] : NET_SALES_COLUMNS),
+    ...(reconcile ? [] : RECONCILIATION_COLUMNS),
+    ...(replenishment ? [] : REPLENISHMENT_COLUMNS),
+    ...(consolidated ? [] : CONSOLIDATED_COLUMNS)
+  ];
+  return columns.filter(c => !inapplicable.includes(c));
+}
+
+// Филтър по локации: приема id (gid или числово) или име (без значение от регистъра).
+function makeLocationMatcher(filter){
+  if (!Array.isArray(filter) || !filter.length) return null;
+  const wanted = filter.map(f => String(f).trim().toLowerCase()).filter(Boolean);
+  return (id, name) => {
+    const gid = String(id || '').toLowerCase();
+    const num = gid.split('/').pop();
+    const nm = String(name || '').toLowerCase();
+    return wanted.some(w => w === gid || w === num || (nm && w === nm));
+  };
+}
+
+// sales = { byVariant, byLocation[, returned, restocked, removed] } от fetchUnitsSold
+// opts.locations — филтър по локации; opts.groupBy === 'location' — ред за всяка двойка вариант × локация;
+// opts.locationNames — Map id → име (от fetchLocations), за локации без inventory level;
+// opts.reconcile — { received, adjustments, tolerance } от prepareReconciliation() (само без локации)
+// opts.replenishment — от prepareReplenishment() (без groupBy=location)
+function buildReportRows(productRows, sales, startSnapshot=null, opts={}){
+  const locMatch = makeLocationMatcher(opts.locations);
+  const byLocation = opts.groupBy === 'location' || !!locMatch;
+  const knownNames = opts.locationNames || new Map();
+  const net = !!sales.returned;
+  const countFor = (tally, vKey, locIds) => {
+    if (!vKey) return 0;
+    if (!locIds) return tally.byVariant.get(vKey) || 0;
+    return locIds.reduce((sum, id) => sum + (tally.byLocation.get(locationKey(vKey, id)) || 0), 0);
+  };
+  // units_sold и revenue (+ нетните колони в net режим); locIds === null → всички локации
+  const salesFor = (vKey, locIds) => {
+    const sold = countFor(sales, vKey, locIds);
+    const revenue = sales.revenue ? countFor(sales.revenue, vKey, locIds) : null;
+    if (!net) return { units_sold: sold, revenue: roundMoney(revenue) };
+    const returned = countFor(sales.returned, vKey, locIds);
+    return {
+      units_sold: sold,
+      units_returned: returned,
+      units_restocked: countFor(sales.restocked, vKey, locIds),
+      net_units_sold: sold - returned - countFor(sales.removed, vKey, locIds),
+      revenue: revenue === null ? null
+        : roundMoney(revenue - countFor(sales.revenueReturned, vKey, locIds) - countFor(sales.revenueRemoved, vKey, locIds))
+    };
+  };
+  const baseRow = r => ({
+    product_id: r.productId ?? null,
+    vendor: r.productVendor,
+    vendor_invoice_date: r.vendorInvoiceDate,
+    vendor_invoice_number: r.vendorInvoiceNumber,
+    product_title: r.productTitle,
+    product_variant_sku: r.variantSku,
+    opening_quantity: r.openingQty,
+    unit_cost: r.unitCost,
+    unit_cost_currency: r.unitCostCurrency,
+    ...r.fields
+  });
+
+  const out = [];
+  for (const r of productRows) {
+    const vKey = r.variantId || (r.variantSku ? `SKU:${r.variantSku}` : null);
+    if (!byLocation) {
+      const row = {
+        ...baseRow(r),
+        starting_inventory_qty: snapshotQty(startSnapshot, r.variantId), // от snapshot-а (начало на периода)
+        ending_inventory_qty: r.endingQty,                               // текущо или от end snapshot-а
+        ...salesFor(vKey, null)
+      };
+      if (opts.reconcile) Object.assign(row, reconcileRow(row, r, opts.reconcile));
+      if (opts.replenishment) Object.assign(row, replenishmentRow(row, vKey, opts.replenishment));
+      out.push(row);
+      continue;
+    }
+
+    // всички локации на варианта: inventory levels, snapshot-а и продажбите
+    const names = new Map();
+    for (const l of r.locations || []) names.set(l.locationId, l.locationName);
+    for (const locId of Object.keys(startSnapshot?.variants?.[r.variantId]?.byLocation || {})) {
+      if (!names.has(locId)) names.set(locId, startSnapshot.locations?.[locId] ?? knownNames.get(locId) ?? null);
+    }
+    const prefix = `${vKey}|`;
+    for (const tally of [sales, sales.returned, sales.removed]) {
+      for (const key of tally?.byLocation.keys() || []) {
+        const locId = key.startsWith(prefix) ? key.slice(prefix.length) : '';
+        if (locId && !names.has(locId)) names.set(locId, knownNames.get(locId) ?? null);
+      }
+    }
+    const selected = [...names].filter(([id, name]) => !locMatch || locMatch(id, name));
+    const levelQty = id => (r.locations || []).find(l => l.locationId === id)?.qty ?? 0;
+
+    if (opts.groupBy === 'location') {
+      for (const [locId, locName] of selected) {
+        out.push({
+          ...baseRow(r),
+          location_name: locName,
+          starting_inventory_qty: snapshotQty(startSnapshot, r.variantId, id => id === locId),
+          ending_inventory_qty: levelQty(locId),
+          ...salesFor(vKey, [locId])
+        });
+      }
+      // продажби без локация (неизпълнени, не-POS) — отделен ред, само без филтър
+      const unassigned = salesFor(vKey, ['']);
+      if (!locMatch && Object.values(unassigned).some(n => n !== 0)) {
+        out.push({
+          ...baseRow(r),
+          location_name: '(unassigned)',
+          starting_inventory_qty: null,
+          ending_inventory_qty: null,
+          ...unassigned
+        });
+      }
+      continue;
+    }
+
+    const ids = selected.map(([id]) => id);
+    const row = {
+      ...baseRow(r),
+      starting_inventory_qty: snapshotQty(startSnapshot, r.variantId, locMatch),
+      ending_inventory_qty: ids.reduce((sum, id) => sum + levelQty(id), 0),
+      ...salesFor(vKey, ids)
+    };
+    if (opts.replenishment) Object.assign(row, replenishmentRow(row, vKey, opts.replenishment));
+    out.push(row);
+  }
+  for (const row of out) Object.assign(row, valuationFor(row, { net, currency: sales.currency }));
+  console.log('[BUILD] Rows built:', out.length, opts.groupBy ? `groupBy=${opts.groupBy}` : '');
+  return out;
+}
+
+// starting/ending_value = qty × unit_cost; cogs = продадени (нетни в net режим) × unit_cost;
+// gross_margin = revenue − cogs, само ако себестойността е във валутата на магазина
+function valuationFor(row, { net, currency }){
+  const cost = row.unit_cost === '' || row.unit_cost == null ? NaN : Number(row.unit_cost);
+  const value = (qty) => Number.isFinite(cost) && qty !== null && qty !== undefined && qty !== '' ? roundMoney(Number(qty) * cost) : null;
+  const cogs = value(net ? row.net_units_sold : row.units_sold);
+  const sameCurrency = !row.unit_cost_currency || !currency || row.unit_cost_currency === currency;
+  return {
+    starting_value: value(row.starting_inventory_qty),
+    ending_value: value(row.ending_inventory_qty),
+    cogs,
+    revenue_currency: row.revenue !== null && row.revenue !== undefined ? currency : null,
+    gross_margin: row.revenue !== null && row.revenue !== undefined && cogs !== null && sameCurrency ? roundMoney(row.revenue - cogs) : null
+  };
+}
+
+// Тотали по валута и по доставчик × валута. Стойностите, cogs и gross_margin отиват под валутата на
+// себестойността, а revenue — под валутата на приходите (ред с EUR себестойност и BGN приходи влиза и
+// в двете). gross_margin има стойност само когато двете валути съвпадат. rows брои реда под валутата
+// на себестойността (без нея — на приходите).
+function summarizeValuation(rows){
+  const blank = () => ({ starting_value: 0, ending_value: 0, cogs: 0, revenue: 0, gross_margin: 0, rows: 0 });
+  const byCurrency = new Map();
+  const byVendor = new Map();
+  const totals = (vendor, currency) => {
+    const vendorKey = `${vendor}\u0000${currency}`;
+    if (!byCurrency.has(currency)) byCurrency.set(currency, { currency, ...blank() });
+    if (!byVendor.has(vendorKey)) byVendor.set(vendorKey, { vendor, currency, ...blank() });
+    return [byCurrency.get(currency), byVendor.get(vendorKey)];
+  };
+  for (const r of rows) {
+    const vendor = r.vendor || '';
+    const costCurrency = r.unit_cost_currency || r.revenue_currency || '';
+    for (const t of totals(vendor, costCurrency)) {
+      t.rows++;
+      t.starting_value += r.starting_value || 0;
+      t.ending_value += r.ending_value || 0;
+      t.cogs += r.cogs || 0;
+      t.gross_margin += r.gross_margin || 0;
+    }
+    if (!r.revenue) continue;
+    for (const t of totals(vendor, r.revenue_currency || costCurrency)) t.revenue += r.revenue;
+  }
+  const round = (t) => {
+    for (const k of ['starting_value', 'ending_value', 'cogs', 'revenue', 'gross_margin']) t[k] = roundMoney(t[k]);
+    return t;
+  };
+  return {
+    byCurrency: [...byCurrency.values()].map(round).sort((a, b) => a.currency.localeCompare(b.currency)),
+    byVendor: [...byVendor.values()].map(round).sort((a, b) => a.vendor.localeCompare(b.vendor) || a.currency.localeCompare(b.currency))
+  };
+}
+// ===== REPLENISHMENT =====
+// Какво и колко да се поръча от всеки доставчик:
+//   sales_velocity        — продадени (нетни в net режим) / дни в периода (до сега, ако until е в бъдещето)
+//   days_of_cover         — ending_inventory_qty / sales_velocity (празно без продажби)
+//   reorder_point         — sales_velocity × (leadTimeDays + safetyDays), закръглено нагоре
+//   suggested_reorder_qty — при наличност ≤ reorder_point: до sales_velocity × (leadTimeDays + safetyDays + orderDays),
+//                           закръглено нагоре до packSize; reorder_value = × unit_cost
+//   stock_status          — out (няма, а се продава) | low (≤ reorder_point) | dead (наличност > 0 и никакви
+//                           продажби за deadStockDays) | ok
+// Настройките са в REPLENISHMENT_FILE (config/replenishment.json) — defaults, deadStockDays и vendors
+// ({ "<vendor>": { leadTimeDays, ... } }); replenishment в заявката ги допълва/заменя.
+const REPLENISHMENT_SETTINGS = ['leadTimeDays', 'safetyDays', 'orderDays', 'packSize'];
+const REPLENISHMENT_DEFAULTS = { leadTimeDays: 14, safetyDays: 7, orderDays: 30, packSize: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadReplenishmentConfig(file){
+  const empty = { defaults: {}, deadStockDays: null, vendors: {} };
+  if (!fs.existsSync(file)) return empty;
+  try {
+    const cfg = normalizeReplenishment(JSON.parse(fs.readFileSync(file, 'utf8')), 'config');
+    console.log('[REPLEN] Loaded settings for', Object.keys(cfg.vendors).length, 'vendors', { file });
+    return cfg;
+  } catch (e) {
+    console.error('[REPLEN✗] Cannot read', file, e.message);
+    return empty;
+  }
+}
+
+// { leadTimeDays, …, deadStockDays, vendors } или { defaults, deadStockDays, vendors } (config) → нормализирано
+function normalizeReplenishment(raw, where = 'replenishment'){
+  if (raw === true || raw == null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new ReportInputError(`${where} must be true or an object`);
+  const settings = (obj, at) => {
+    if (!obj || typeof obj !== 'object') throw new ReportInputError(`${at} must be an object`);
+    const out = {};
+    for (const k of REPLENISHMENT_SETTINGS) {
+      if (obj[k] === undefined || obj[k] === null || obj[k] === '') continue;
+      const n = Number(obj[k]);
+      if (!Number.isFinite(n) || n < 0 || (k === 'packSize' && (!Number.isInteger(n) || n < 1))) {
+        throw new ReportInputError(`${at}.${k} must be ${k === 'packSize' ? 'a whole number ≥ 1' : 'a number ≥ 0'}`);
+      }
+      out[k] = n;
+    }
+    return out;
+  };
+  const vendors = {};
+  for (const [name, v] of Object.entries(raw.vendors || {})) vendors[name.toLowerCase()] = settings(v, `${where}.vendors.${name}`);
+  const deadStockDays = raw.deadStockDays === undefined || raw.deadStockDays === null || raw.deadStockDays === '' ? null : Number(raw.deadStockDays);
+  if (deadStockDays !== null && !(Number.isInteger(deadStockDays) && deadStockDays >= 1)) {
+    throw new ReportInputError(`${where}.deadStockDays must be a whole number of days ≥ 1`);
+  }
+  return { defaults: settings(raw.defaults || raw, where === 'config' ? 'defaults' : where), deadStockDays, vendors };
+}
+
+// заявката върху config-а → { settingsFor(vendor), deadStockDays, periodDays, recent, net }
+async function prepareReplenishment(opts, { since, until, net, ctx, extraPages }){
+  const days = (from, to) => Math.max(1, (Math.min(new Date(to).getTime(), Date.now()) - new Date(from).getTime()) / DAY_MS);
+  const defaults = { ...REPLENISHMENT_DEFAULTS, ...replenishmentConfig.defaults, ...opts.defaults };
+  const settingsFor = (vendor) => {
+    const key = String(vendor || '').toLowerCase();
+    return { ...defaults, ...replenishmentConfig.vendors[key], ...opts.vendors[key] };
+  };
+  const periodDays = days(since, until);
+  const deadStockDays = opts.deadStockDays ?? replenishmentConfig.deadStockDays;
+  // dead stock по периода на отчета, освен ако deadStockDays не е различен — тогава отделна заявка до until
+  let recent = null;
+  if (deadStockDays && Math.round(periodDays) !== deadStockDays) {
+    const to = new Date(Math.min(new Date(until).getTime(), Date.now()));
+    recent = await fetchUnitsSold(new Date(to.getTime() - deadStockDays * DAY_MS).toISOString(), to.toISOString(), { ctx, extraPages });
+  }
+  console.log('[REPLEN] periodDays=', Math.round(periodDays * 10) / 10, 'deadStockDays=', deadStockDays || 'period', 'defaults=', defaults);
+  return { settingsFor, periodDays, recent, net };
+}
+
+function replenishmentRow(row, vKey, { settingsFor, periodDays, recent, net }){
+  const { leadTimeDays, safetyDays, orderDays, packSize } = settingsFor(row.vendor);
+  const sold = Math.max(0, (net ? row.net_units_sold : row.units_sold) || 0);
+  const velocity = sold / periodDays;
+  const stock = row.ending_inventory_qty ?? 0;
+  const reorderPoint = Math.ceil(velocity * (leadTimeDays + safetyDays));
+  const soldRecently = recent ? (recent.byVariant.get(vKey) || 0) > 0 : sold > 0;
+  let status = 'ok';
+  if (stock > 0 && !soldRecently) status = 'dead';
+  else if (velocity > 0 && stock <= 0) status = 'out';
+  else if (velocity > 0 && stock <= reorderPoint) status = 'low';
+  let qty = 0;
+  if (status === 'out' || status === 'low') {
+    qty = Math.max(0, Math.ceil(velocity * (leadTimeDays + safetyDays + orderDays)) - Math.max(0, stock));
+    qty = Math.ceil(qty / packSize) * packSize;
+  }
+  const cost = row.unit_cost === '' || row.unit_cost == null ? NaN : Number(row.unit_cost);
+  return {
+    sales_velocity: Math.round(velocity * 1000) / 1000,
+    days_of_cover: velocity > 0 ? Math.round((Math.max(0, stock) / velocity) * 10) / 10 : null,
+    lead_time_days: leadTimeDays,
+    reorder_point: reorderPoint,
+    suggested_reorder_qty: qty,
+    reorder_value: Number.isFinite(cost) ? roundMoney(qty * cost) : null,
+    stock_status: status
+  };
+}
+
+// брой варианти по stock_status и поръчката по доставчик × валута (само с suggested_reorder_qty > 0)
+function summarizeReplenishment(rows){
+  const statuses = { out: 0, low: 0, dead: 0, ok: 0 };
+  const byVendor = new Map();
+  let deadValue = 0;
+  for (const r of rows) {
+    statuses[r.stock_status]++;
+    if (r.stock_status === 'dead') deadValue += r.ending_value || 0;
+    if (!r.suggested_reorder_qty) continue;
+    const currency = r.unit_cost_currency || '';
+    const key = `${r.vendor || ''}\u0000${currency}`;
+    if (!byVendor.has(key)) byVendor.set(key, { vendor: r.vendor || '', currency, variants: 0, units: 0, value: 0 });
+    const t = byVendor.get(key);
+    t.variants++;
+    t.units += r.suggested_reorder_qty;
+    t.value += r.reorder_value || 0;
+  }
+  return {
+    ...statuses,
+    dead_stock_value: roundMoney(deadValue),
+    byVendor: [...byVendor.values()]
+      .map(t => ({ ...t, value: roundMoney(t.value) }))
+      .sort((a, b) => a.vendor.localeCompare(b.vendor) || a.currency.localeCompare(b.currency))
+  };
+}
+
+// ===== CONSOLIDATED =====
+// shops: "all" | [домейни] — отчетът се смята за всеки магазин поотделно (в неговия scope, със
+// собствените му snapshots/ledger) и редовете се сливат по SKU. Количествата и стойностите се
+// сумират като при групиране (aggregateRows); vendor и product_title идват от първия магазин, ако
+// се различават; revenue и gross_margin остават празни, ако магазините продават в различни валути.
+// Редове без SKU не се сливат. Колоната shops казва от кои магазини е редът.
+const CONSOLIDATED_FIRST_COLUMNS = ['vendor', 'product_title'];
+
+function mergeRowsBySku(parts){
+  const bySku = new Map();
+  for (const { shop, rows } of parts) {
+    rows.forEach((r, i) => {
+      const key = r.product_variant_sku || `\u0000${shop.id}\u0000${i}`;
+      if (!bySku.has(key)) bySku.set(key, []);
+      bySku.get(key).push({ ...r, shops: shop.name });
+    });
+  }
+  return [...bySku.values()].map(list => list.length === 1 ? list[0] : mergeShopRows(list));
+}
+
+function mergeShopRows(list){
+  const { row_type, ...out } = aggregateRows(list, Object.keys(list[0]), null);
+  for (const c of CONSOLIDATED_FIRST_COLUMNS) out[c] ??= list.find(r => r[c])?.[c] ?? null;
+  out.shops = [...new Set(list.map(r => r.shops))].join(', ');
+  if (new Set(list.map(r => r.revenue_currency).filter(Boolean)).size > 1) {
+    out.revenue = null;
+    out.gross_margin = null;
+  }
+  return out;
+}
+
+async function writeCSV(rows, base, columns){
+  const fields = (Array.isArray(columns) && columns.length) ? columns : DEFAULT_COLUMNS;
+  const csv = new Json2CsvParser({ fields }).parse(rows);
+  const { location, bytes } = await storage.writeExport(`${base}.csv`, csv);
+  console.log('[WRITE] CSV:', location, 'bytes=', bytes);
+  return base; // връщаме base name
+}
+async function writeXML(rows, base, columns){
+  const mapped = (Array.isArray(columns) && columns.length)
+    ? rows.map(r => { const o = {}; for (const c of columns) o[c] = r[c]; return o; })
+    : rows;
+  const xml = create({ version: '1.0' }).ele({ report: { row: mapped }}).end({ prettyPrint: true });
+  const { location, bytes } = await storage.writeExport(`${base}.xml`, xml);
+  console.log('[WRITE] XML:', location, 'bytes=', bytes);
+  return base; // връщаме base name
+}
+// редовете с типовете им за viewer-а (GET /reports/:base/rows) — не се предлага за сваляне
+async function writeRowsJSON(rows, base, columns){
+  const data = JSON.stringify({ columns, rows: rows.map(r => Object.fromEntries(columns.map(c => [c, r[c] ?? null]))) });
+  const { location, bytes } = await storage.writeExport(`${base}.json`, data);
+  console.log('[WRITE] JSON:', location, 'bytes=', bytes);
+  return base;
+}
+
+// XML по профил (lib/xml-profiles.js); при неуспешна XSD проверка файлът не се записва
+// и /download/xml не се предлага — грешките се връщат в payload.xmlValidation.
+const xmlProfiles = createXmlProfiles({ file: XML_PROFILES_FILE || path.join(__dirname, 'config', 'xml-profiles.json') });
+
+async function writeProfileXML(rows, base, profile){
+  const xml = xmlProfiles.render(profile, rows);
+  const validation = await xmlProfiles.validate(profile, xml);
+  if (validation && !validation.valid) {
+    console.warn('[WRITE] XML profile', profile, 'failed XSD validation:', validation.errors.length, 'errors, first:', validation.errors[0]);
+    return { base: null, validation };
+  }
+  const { location, bytes } = await storage.writeExport(`${base}.xml`, xml);
+  console.log('[WRITE] XML:', location, 'bytes=', bytes, 'profile=', profile, validation ? 'xsd=ok' : '');
+  return { base, validation };
+}
+
+// ===== XLSX =====
+// Типизирани клетки (числа/дати), замразен header, autofilter и ред с тоталите.
+// sheets: 'single' — един лист; 'vendor' — лист "All" + по един лист на доставчик.
+// summary (summarizeValuation) — отделен лист "Summary" с тоталите по валута и доставчик.
+const XLSX_SHEETS = ['single', 'vendor'];
+const XLSX_QTY_COLUMNS = [
+  'opening_quantity','starting_inventory_qty','ending_inventory_qty','units_sold',
+  'units_returned','units_restocked','net_units_sold',
+  'units_received','adjustment_qty','expected_ending_qty','variance','suggested_reorder_qty'
+];
+const XLSX_MONEY_COLUMNS = ['unit_cost', 'starting_value', 'ending_value', 'cogs', 'revenue', 'gross_margin', 'reorder_value'];
+// сумират се в TOTAL реда (unit_cost — не)
+const XLSX_VALUE_COLUMNS = XLSX_MONEY_COLUMNS.filter(c => c !== 'unit_cost');
+// датите и числата от config-а (виж COLUMN REGISTRY); числата от config-а не влизат в TOTAL реда
+const XLSX_DATE_COLUMNS = columnRegistry.ofType('date');
+const XLSX_NUMBER_COLUMNS = [...columnRegistry.ofType('integer'), ...columnRegistry.ofType('decimal')]
+  .filter(c => !XLSX_QTY_COLUMNS.includes(c));
+
+function xlsxCell(col, v){
+  if (v === null || v === undefined || v === '') return null;
+  if (XLSX_QTY_COLUMNS.includes(col) || XLSX_MONEY_COLUMNS.includes(col) || XLSX_NUMBER_COLUMNS.includes(col)) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : v;
+  }
+  if (XLSX_DATE_COLUMNS.includes(col) && /^\d{4}-\d{2}-\d{2}/.test(String(v))) {
+    return new Date(`${String(v).slice(0, 10)}T00:00:00Z`);
+  }
+  return v;
+}
+
+function addXlsxSheet(wb, name, rows, columns){
+  const ws = wb.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  ws.columns = columns.map(c => ({
+    header: c,
+    key: c,
+    width: Math.min(40, Math.max(c.length + 2, ...rows.slice(0, 200).map(r => String(r[c] ?? '').length + 2))),
+    style: XLSX_MONEY_COLUMNS.includes(c) ? { numFmt: '#,##0.00' }
+      : XLSX_DATE_COLUMNS.includes(c) ? { numFmt: 'yyyy-mm-dd' }
+      : XLSX_QTY_COLUMNS.includes(c) ? { numFmt: '#,##0' } : {}
+  }));
+  ws.getRow(1).font = { bold: true };
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  // при групиране: subtotal редовете са удебелени, а total-ът от групирането се заменя с TOTAL реда на листа
+  for (const r of rows) {
+    if (r.row_type === 'total') continue;
+    const o = {};
+    for (const c of columns) o[c] = xlsxCell(c, r[c]);
+    const row = ws.addRow(o);
+    if (r.row_type === 'subtotal') row.font = { bold: true };
+  }
+  rows = rows.filter(r => r.row_type !== 'subtotal' && r.row_type !== 'total');
+
+  // тотали: количества и стойности; при няколко валути стойностите се разбиват и по валута
+  const summed = columns.filter(c => XLSX_QTY_COLUMNS.includes(c) || XLSX_VALUE_COLUMNS.includes(c));
+  if (!summed.length || !rows.length) return ws;
+  const totals = { [columns[0]]: 'TOTAL' };
+  for (const c of summed) totals[c] = roundMoney(rows.reduce((s, r) => s + (Number(r[c]) || 0), 0));
+  const totalRow = ws.addRow(totals);
+  totalRow.font = { bold: true };
+  totalRow.border = { top: { style: 'thin' } };
+  const values = summed.filter(c => XLSX_VALUE_COLUMNS.includes(c));
+  const currencies = [...new Set(rows.map(r => r.unit_cost_currency).filter(Boolean))];
+  if (values.length && currencies.length > 1) {
+    for (const cur of currencies) {
+      const o = { [columns[0]]: `TOTAL ${cur}` };
+      for (const c of values) o[c] = roundMoney(rows.filter(r => r.unit_cost_currency === cur).reduce((s, r) => s + (Number(r[c]) || 0), 0));
+      ws.addRow(o).font = { italic: true };
+    }
+  }
+  return ws;
+}
+
+function addXlsxSummarySheet(wb, name, summary){
+  const ws = wb.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  const money = ['starting_value', 'ending_value', 'cogs', 'revenue', 'gross_margin'];
+  ws.columns = [
+    { header: 'vendor', key: 'vendor', width: 30 },
+    { header: 'currency', key: 'currency', width: 10 },
+    ...money.map(k => ({ header: k, key: k, width: 16, style: { numFmt: '#,##0.00' } })),
+    { header: 'rows', key: 'rows', width: 8 }
+  ];
+  ws.getRow(1).font = { bold: true };
+  for (const v of summary.byVendor) ws.addRow(v);
+  for (const c of summary.byCurrency) {
+    const row = ws.addRow({ ...c, vendor: 'TOTAL' });
+    row.font = { bold: true };
+  }
+  return ws;
+}
+
+// имената на листовете: до 31 знака, без []:*?/\ и уникални
+function xlsxSheetName(name, used){
+  const clean = String(name || '(no vendor)').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || '(no vendor)';
+  let out = clean, i = 2;
+  while (used.has(out.toLowerCase())) out = `${clean.slice(0, 27)} (${i++})`;
+  used.add(out.toLowerCase());
+  return out;
+}
+
+async function writeXLSX(rows, base, columns, { sheets = 'single', summary = null } = {}){
+  const fields = (Array.isArray(columns) && columns.length) ? columns : DEFAULT_COLUMNS;
+
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'Inventory Report';
+  wb.created = new Date();
+  const used = new Set();
+  addXlsxSheet(wb, xlsxSheetName(sheets === 'vendor' ? 'All' : 'Report', used), rows, fields);
+  if (sheets === 'vendor') {
+    // total-ът от групирането е за всички доставчици — листът на доставчика си прави свой TOTAL
+    const byVendor = new Map();
+    for (const r of rows.filter(r => r.row_type !== 'total')) {
+      const v = r.vendor || '';
+      if (!byVendor.has(v)) byVendor.set(v, []);
+      byVendor.get(v).push(r);
+    }
+    for (const [vendor, list] of [...byVendor].sort(([a], [b]) => a.localeCompare(b))) {
+      addXlsxSheet(wb, xlsxSheetName(vendor, used), list, fields);
+    }
+  }
+  if (summary) addXlsxSummarySheet(wb, xlsxSheetName('Summary', used), summary);
+
+  const buf = Buffer.from(await wb.xlsx.writeBuffer());
+  const { location, bytes } = await storage.writeExport(`${base}.xlsx`, buf);
+  console.log('[WRITE] XLSX:', location, 'bytes=', bytes, 'sheets=', wb.worksheets.length);
+  return base;
+}
+
+// ===== DOWNLOAD =====
+// Линковете са подписани и изтичат (DOWNLOAD_LINK_TTL_MIN) — подписват се при всеки отговор,
+// затова и резултат на стар job връща валидни линкове.
+const DOWNLOAD_LINK_KEYS = ['csv', 'xml', 'csv_win1251', 'xml_win1251', 'xlsx'];
+function signReportLinks(payload, shop = shops.current()) {
+  if (!payload) return payload;
+  const out = { ...payload };
+  for (const k of DOWNLOAD_LINK_KEYS) if (out[k]) out[k] = signDownloadFor(out[k], shop);
+  return out;
+}
+// файловете на допълнителните магазини са в техния storage — линкът носи ?shop= (и той е подписан)
+function signDownloadFor(url, shop = shops.current()) {
+  if (shop.primary) return auth.signDownload(url);
+  return auth.signDownload(`${url}${url.includes('?') ? '&' : '?'}shop=${encodeURIComponent(shop.id)}`);
+}
+// Записаният експорт (UTF-8) в исканото кодиране — за сваляне и за доставка; xlsx е двоичен и се праща както е
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xml: 'application/xml',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+function encodeExport(format, data, enc = 'utf8'){
+  if (format === 'xlsx') return { buf: data, contentType: EXPORT_CONTENT_TYPES.xlsx };
+  let text = data.toString('utf8');
+  if (enc === 'win1251' || enc === 'windows-1251') {
+    // декларацията трябва да съвпада с байтовете (профилите пишат encoding="UTF-8")
+    if (format === 'xml') text = text.replace(/^(<\?xml[^>]*encoding=")UTF-8"/i, '$1windows-1251"');
+    return { buf: iconv.encode(text, 'windows-1251'), contentType: `${EXPORT_CONTENT_TYPES[format]}; charset=windows-1251` };
+  }
+  if (format === 'csv') text = '\uFEFF' + text; // BOM за Excel
+  return { buf: Buffer.from(text, 'utf8'), contentType: `${EXPORT_CONTENT_TYPES[format]}; charset=utf-8` };
+}
+function safeBase(name) {
+  return String(name).replace(/[^a-zA-Z0-9._-]/g, '');
+}
+// label-ите на snapshots стават имена на файлове — същите знаци като safeBase, без да се чистят
+function isSnapshotLabel(label) {
+  return typeof label === 'string' && /^[a-zA-Z0-9._-]+$/.test(label);
+}
+// xlsx няма encoding — ?enc се пренебрегва
+function downloadHandler(format){
+  const tag = format.toUpperCase();
+  return async (req, res) => {
+    if (!auth.verifyDownload(req.path, req.query)) {
+      console.warn(`[DL] ${tag} link expired or invalid:`, req.path);
+      return res.status(403).send('Download link expired or invalid');
+    }
+    const base = safeBase(req.params.base);
+    const enc = (req.query.enc || 'utf8').toLowerCase();
+    const data = await storage.readExport(`${base}.${format}`).catch(e => {
+      console.error(`[DL✗] ${tag}`, base, e?.stack || String(e));
+      return null;
+    });
+    if (!data) {
+      console.warn(`[DL] ${tag} not found:`, base);
+      return res.status(404).send('File not found');
+    }
+
+    console.log(`[DL] ${tag}`, { base, enc });
+    const { buf, contentType } = encodeExport(format, data, enc);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.${format}"`);
+    res.send(buf);
+  };
+}
+app.get('/download/csv/:base', downloadHandler('csv'));
+app.get('/download/xml/:base', downloadHandler('xml'));
+app.get('/download/xlsx/:base', downloadHandler('xlsx'));
+
+// ===== REPORT VIEWER =====
+// GET /reports/:base/rows чете <base>.json (записва се с всеки отчет) и връща страница от редовете.
+// sort=<колона> или -<колона> (низходящо), q — търсене във всички колони. При групиране
+// subtotal редовете имат смисъл само в реда на групите — при sort или q остават само редовете
+// по вариант/група. totals са сумите на всички намерени редове (не само на страницата).
+const VIEWER_CACHE_SIZE = 5;
+const viewerCache = new Map(); // "<shop>|<base>" → { columns, rows, numeric }
+// експортите са отделни за всеки магазин — и кешът (base е само час, може да съвпадне)
+const viewerKey = (base) => `${shops.current().id}|${base}`;
+
+async function loadReportRows(base){
+  const key = viewerKey(base);
+  if (viewerCache.has(key)) return viewerCache.get(key);
+  const data = await storage.readExport(`${base}.json`);
+  if (!data) return null;
+  const { columns, rows } = JSON.parse(data.toString('utf8'));
+  const numeric = columns.filter(c => rows.some(r => typeof r[c] === 'number') &&
+    rows.every(r => r[c] === null || typeof r[c] === 'number'));
+  const entry = { columns, rows, numeric };
+  viewerCache.set(key, entry);
+  if (viewerCache.size > VIEWER_CACHE_SIZE) viewerCache.delete(viewerCache.keys().next().value);
+  return entry;
+}
+
+function compareCells(a, b){
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1; // празните винаги накрая
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function queryReportRows({ columns, rows, numeric }, { offset = 0, limit = 50, sort = null, q = null }){
+  const desc = sort?.startsWith('-');
+  const sortCol = sort ? sort.replace(/^-/, '') : null;
+  if (sortCol && !columns.includes(sortCol)) throw new ReportInputError(`Unknown sort column: ${sortCol}`);
+  const isDetail = (r) => !r.row_type || r.row_type === 'detail' || r.row_type === 'group';
+
+  let list = rows.filter(r => r.row_type !== 'total');
+  if (sortCol || q) list = list.filter(isDetail);
+  if (q) {
+    const needle = q.toLowerCase();
+    list = list.filter(r => columns.some(c => r[c] !== null && String(r[c]).toLowerCase().includes(needle)));
+  }
+  if (sortCol) {
+    list = [...list].sort((a, b) => {
+      const cmp = compareCells(a[sortCol], b[sortCol]);
+      // празните остават накрая и при низходящ ред
+      return desc && a[sortCol] != null && b[sortCol] != null ? -cmp : cmp;
+    });
+  }
+  const { row_type, ...totals } = aggregateRows(list.filter(isDetail), columns.filter(c => SUM_COLUMNS.includes(c)), 'total');
+  return {
+    columns,
+    numeric,
+    total: list.length,
+    offset,
+    limit,
+    sort: sort || null,
+    q: q || null,
+    rows: list.slice(offset, offset + limit),
+    totals
+  };
+}
+
+// ===== EXPORT HISTORY =====
+// Метаданни за всеки експорт (record "exports", id = base): параметри, редове, кой го е пуснал.
+// Файлове без запис (от преди историята) също се показват — само с име, размер и дата.
+// Retention: EXPORT_RETENTION_DAYS (по-стари се трият) и EXPORT_RETENTION_COUNT (пазят се
+// най-новите N); 0 изключва съответното правило. Проверява се при старт и след всеки нов експорт.
+const EXPORTS = 'exports';
+
+async function saveExportRecord(base, meta){
+  await storage.saveRecord(EXPORTS, { id: base, createdAt: new Date().toISOString(), ...meta });
+}
+
+// кой е пуснал отчета (req.auth от auth middleware)
+function ranByOf(req){
+  if (!req.auth) return auth.disabled ? 'anonymous' : null;
+  return req.auth.user || req.auth.shop || req.auth.method;
+}
+
+// Консолидираният отчет (shops) чете данните на други магазини. Session token-ът от Admin дава
+// достъп само до своя магазин (както в GET /shops), затова shops е само за login с парола.
+function checkReportShops(req){
+  if (req.body?.shops && req.auth?.method === 'shopify') {
+    throw new ReportInputError('shops is not available in the embedded app — sign in with a password for consolidated reports');
+  }
+}
+
+// → [{ id: base, createdAt, ...meta, files: [{ format, bytes }] }], най-новите първи
+async function listExports(){
+  const [records, files] = await Promise.all([storage.listRecords(EXPORTS), storage.listExports()]);
+  const byBase = new Map();
+  for (const f of files) {
+    const i = f.name.lastIndexOf('.');
+    if (i <= 0) continue;
+    const base = f.name.slice(0, i);
+    if (!byBase.has(base)) byBase.set(base, { createdAt: f.createdAt, files: [] });
+    byBase.get(base).files.push({ format: f.name.slice(i + 1), bytes: f.bytes });
+  }
+  const out = records.map(r => ({ ...r, files: byBase.get(r.id)?.files || [] }));
+  for (const [base, { createdAt, files: list }] of byBase) {
+    if (!records.some(r => r.id === base)) out.push({ id: base, createdAt, legacy: true, files: list });
+  }
+  return out.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function deleteExport(base){
+  const entry = (await listExports()).find(e => e.id === base);
+  if (!entry) return false;
+  for (const f of entry.files) await storage.deleteExport(`${base}.${f.format}`);
+  viewerCache.delete(viewerKey(base));
+  if (!entry.legacy) await storage.deleteRecord(EXPORTS, base);
+  return true;
+}
+
+async function pruneExports(){
+  const days = Number(EXPORT_RETENTION_DAYS) || 0;
+  const keep = Number(EXPORT_RETENTION_COUNT) || 0;
+  if (!days && !keep) return [];
+  const cutoff = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  const doomed = (await listExports()).filter((e, i) => (keep && i >= keep) || (cutoff && e.createdAt < cutoff));
+  for (const e of doomed) await deleteExport(e.id);
+  if (doomed.length) console.log('[EXPORTS] Pruned', doomed.length, 'exports', { days, keep });
+  return doomed.map(e => e.id);
+}
+
+// запис + подписани линкове (само за наличните файлове)
+function exportView(entry){
+  const links = {};
+  for (const { format } of entry.files) {
+    if (!EXPORT_CONTENT_TYPES[format]) continue;
+    if (format === 'xlsx') {
+      links.xlsx = signDownloadFor(`/download/xlsx/${entry.id}`);
+      continue;
+    }
+    links[format] = signDownloadFor(`/download/${format}/${entry.id}?enc=utf8`);
+    links[`${format}_win1251`] = signDownloadFor(`/download/${format}/${entry.id}?enc=win1251`);
+  }
+  return { ...entry, links };
+}
+
+// ===== REPORT =====
+// Отказан report job (DELETE /reports/:id)
+class ReportCancelledError extends Error {}
+
+// Откъде са starting/ending количествата: snapshots (по label) или ledger-а (към since/until)
+const QTY_SOURCES = ['snapshots', 'ledger'];
+// настройките за replenishment (виж REPLENISHMENT) — след ReportInputError, с която се проверяват
+const replenishmentConfig = loadReplenishmentConfig(REPLENISHMENT_FILE || path.join(__dirname, 'config', 'replenishment.json'));
+
+// Хвърля ReportInputError; връща нормализираните параметри
+function validateReportParams(params){
+  const p = validateReportOptions(params);
+  if (p.reconcile && !p.startSnapshotLabel && p.qtySource !== 'ledger') {
+    throw new ReportInputError('Reconciliation needs startSnapshotLabel or qtySource "ledger"');
+  }
+  return p;
+}
+
+// Всичко без изискванията към snapshot label-ите — recurring reports ги избират едва при пускане
+// (виж normalizeReportDefinition)
+function validateReportOptions(params){
+  const { since, until, startSnapshotLabel, endSnapshotLabel, columns, locations, reconcile } = params;
+  const replenishment = params.replenishment ? normalizeReplenishment(params.replenishment) : null;
+  const consolidated = params.shops ? reportShops(params.shops) : null;
+  // поръчките се правят по доставчик — replenishment групира по vendor, ако не е казано друго
+  const groupBy = params.groupBy || (replenishment ? 'vendor' : undefined);
+  const aggregate = GROUP_KEYS[groupBy] ? (params.aggregate || 'subtotals') : null;
+  const filters = normalizeReportFilters(params.filters);
+  const qtySource = params.qtySource || 'snapshots';
+  const xlsxSheets = params.xlsxSheets || 'single';
+  const xmlProfile = params.xmlProfile || null;
+  // reconciliation винаги работи с нетните продажби
+  const salesMode = reconcile ? 'net' : (params.salesMode || 'gross');
+  if(!since||!until) throw new ReportInputError('Missing since/until (ISO)');
+  if (groupBy && !GROUP_BY.includes(groupBy)) {
+    throw new ReportInputError(`Unsupported groupBy: ${groupBy} (expected ${GROUP_BY.join(' | ')})`);
+  }
+  if (params.aggregate && !aggregate) {
+    throw new ReportInputError(`aggregate needs groupBy ${Object.keys(GROUP_KEYS).join(' | ')}`);
+  }
+  if (aggregate && !AGGREGATES.includes(aggregate)) {
+    throw new ReportInputError(`Unsupported aggregate: ${aggregate} (expected ${AGGREGATES.join(' | ')})`);
+  }
+  if (!QTY_SOURCES.includes(qtySource)) {
+    throw new ReportInputError(`Unsupported qtySource: ${qtySource} (expected ${QTY_SOURCES.join(' | ')})`);
+  }
+  if (qtySource === 'ledger' && (startSnapshotLabel || endSnapshotLabel)) {
+    throw new ReportInputError('qtySource "ledger" replaces startSnapshotLabel/endSnapshotLabel — remove them');
+  }
+  for (const [name, label] of [['startSnapshotLabel', startSnapshotLabel], ['endSnapshotLabel', endSnapshotLabel]]) {
+    if (label && !isSnapshotLabel(label)) throw new ReportInputError(`Invalid ${name}: use letters, digits, . _ -`);
+  }
+  if (!['gross', 'net'].includes(salesMode)) {
+    throw new ReportInputError(`Unsupported salesMode: ${salesMode}`);
+  }
+  if (xmlProfile && !xmlProfiles.has(xmlProfile)) {
+    throw new ReportInputError(`Unknown xmlProfile: ${xmlProfile}`);
+  }
+  if (!XLSX_SHEETS.includes(xlsxSheets)) {
+    throw new ReportInputError(`Unsupported xlsxSheets: ${xlsxSheets} (expected ${XLSX_SHEETS.join(' | ')})`);
+  }
+  if (locations !== undefined && !Array.isArray(locations)) {
+    throw new ReportInputError('locations must be an array of location ids or names');
+  }
+  const byLocation = groupBy === 'location' || !!locations?.length;
+  if (reconcile) {
+    if (byLocation) {
+      throw new ReportInputError('Reconciliation works on store totals — remove groupBy=location/locations');
+    }
+    if (reconcile !== true && (typeof reconcile !== 'object' || Array.isArray(reconcile))) {
+      throw new ReportInputError('reconcile must be true or an object');
+    }
+    if (reconcile.receivedFrom && !RECEIVED_SOURCES.includes(reconcile.receivedFrom)) {
+      throw new ReportInputError(`Unsupported reconcile.receivedFrom: ${reconcile.receivedFrom}`);
+    }
+    const { adjustments } = reconcile;
+    if (adjustments !== undefined && (!adjustments || typeof adjustments !== 'object' || Array.isArray(adjustments))) {
+      throw new ReportInputError('reconcile.adjustments must be an object { variantId or SKU: ±qty }');
+    }
+    for (const [key, qty] of Object.entries(adjustments || {})) {
+      if (!Number.isFinite(Number(qty))) throw new ReportInputError(`reconcile.adjustments.${key} must be a number`);
+    }
+  }
+  if (replenishment && groupBy === 'location') {
+    throw new ReportInputError('Replenishment works per variant — use groupBy vendor | invoice | product or the locations filter');
+  }
+  if (consolidated) {
+    if (byLocation) throw new ReportInputError('Consolidated reports merge store totals by SKU — remove groupBy=location/locations');
+    if (reconcile || replenishment) throw new ReportInputError('Reconciliation and replenishment work per store — remove shops');
+  }
+  return { since, until, startSnapshotLabel, endSnapshotLabel, qtySource, columns, locations, groupBy, aggregate, filters, reconcile, replenishment, salesMode, byLocation, xlsxSheets, xmlProfile, consolidated };
+}
+
+// shops: "all" | [id или домейн] → магазините на консолидирания отчет
+function reportShops(ref){
+  if (ref === 'all') return shops.list();
+  if (!Array.isArray(ref) || !ref.length) throw new ReportInputError('shops must be "all" or an array of shop domains');
+  const out = [];
+  for (const id of ref) {
+    const shop = shops.get(id);
+    if (!shop) throw new ReportInputError(`Unknown shop: ${id}`);
+    if (!out.includes(shop)) out.push(shop);
+  }
+  return out;
+}
+
+// Генерира отчета и експортите; ctx (по избор) е контекстът на report job — прогрес и отказ.
+// apiStats (retries/throttling на GraphQL заявките) се връща в payload.api.
+// meta ({ ranBy, trigger, reportId }) отива в историята на експортите.
+function runReport(params, ctx=null, meta={}){
+  return withGraphQLStats(apiStats => generateReport(params, ctx, apiStats, meta));
+}
+
+// Редовете по вариант за текущия магазин: наличности (snapshots или ledger), продажби, филтри
+async function collectReportRows(p, ctx, extraPages){
+  const { since, until, startSnapshotLabel, endSnapshotLabel, qtySource, locations, groupBy, filters, reconcile, replenishment, salesMode, byLocation } = p;
+  const productsQuery = productsSearchQuery(filters);
+  const ledgerSince = qtySource === 'ledger' ? ledger.status().first : null;
+  if (qtySource === 'ledger') {
+    if (!ledgerSince) throw new ReportInputError('The ledger is empty — run POST /ledger/baseline or take a snapshot first');
+    if (ledgerSince > new Date(since).toISOString()) {
+      console.warn('[REPORT] Ledger starts at', ledgerSince, '— starting quantities before that are unknown');
+    }
+  }
+  ctx?.setPhase('fetching');
+  if (ctx) await estimateReportPages(ctx, { since, until, net: salesMode === 'net', productsQuery });
+
+  let startSnapshot=null;
+  if(startSnapshotLabel){
+    startSnapshot = await loadSnapshot(startSnapshotLabel);
+    if(startSnapshot) {
+      console.log('[REPORT] Loaded snapshot', startSnapshotLabel, 'version=', startSnapshot.version, 'keys=', Object.keys(startSnapshot.variants).length);
+      if (byLocation && startSnapshot.version < 2) {
+        console.warn('[REPORT] Snapshot has no per-location data — starting qty per location will be empty');
+      }
+    } else {
+      console.warn('[REPORT] Snapshot not found:', startSnapshotLabel);
+      if (reconcile) throw new ReportInputError(`Snapshot not found: ${startSnapshotLabel}`);
+    }
+  } else if (qtySource !== 'ledger') {
+    console.log('[REPORT] No startSnapshotLabel provided');
+  }
+
+  let endSnapshot=null;
+  if(endSnapshotLabel){
+    endSnapshot = await loadSnapshot(endSnapshotLabel);
+    if(!endSnapshot) {
+      console.warn('[REPORT] End snapshot not found:', endSnapshotLabel);
+      throw new ReportInputError(`Snapshot not found: ${endSnapshotLabel}`);
+    }
+    console.log('[REPORT] Loaded end snapshot', endSnapshotLabel, 'version=', endSnapshot.version, 'keys=', Object.keys(endSnapshot.variants).length);
+    if (byLocation && endSnapshot.version < 2) {
+      console.warn('[REPORT] End snapshot has no per-location data — ending qty per location will be empty');
+    }
+    if (endSnapshotLabel < (until || '').split('T')[0]) {
+      console.warn('[REPORT] End snapshot', endSnapshotLabel, 'is older than until', until);
+    }
+  }
+
+  const [liveProducts, sales, knownLocations] = await Promise.all([
+    fetchAllProductsAndInventory(ctx, { extraPages, query: productsQuery }),
+    fetchUnitsSold(since, until, { byLocation, net: salesMode === 'net', ctx, extraPages }),
+    byLocation ? fetchLocations() : []
+  ]);
+  // количествата към since/until от ledger-а; until в бъдещето → текущият инвентар
+  if (qtySource === 'ledger') {
+    const variantOf = new Map(liveProducts.filter(r => r.inventoryItemId).map(r => [r.inventoryItemId, r.variantId]));
+    startSnapshot = await ledger.snapshotAt(new Date(since).toISOString(), { variantOf });
+    if (new Date(until) < new Date()) endSnapshot = await ledger.snapshotAt(new Date(until).toISOString(), { variantOf });
+  }
+  let products = withVariantsFromSnapshot(
+    endSnapshot ? productRowsFromSnapshot(endSnapshot, liveProducts) : liveProducts,
+    startSnapshot
+  );
+  const productFilter = makeProductFilter(filters, new Set(liveProducts.map(r => r.variantId)));
+  if (productFilter) {
+    const before = products.length;
+    products = products.filter(productFilter);
+    console.log('[REPORT] Filters', filters, 'rows', before, '→', products.length);
+  }
+  console.log('[REPORT] products rows=', products.length, 'sold variants=', sales.byVariant.size);
+
+  const rows = buildReportRows(products, sales, startSnapshot, {
+    locations,
+    groupBy,
+    locationNames: new Map(knownLocations.map(l => [l.id, l.name])),
+    reconcile: reconcile
+      ? await prepareReconciliation(reconcile, {
+        productRows: products,
+        startLabel: startSnapshotLabel || since.slice(0, 10),
+        startSnapshot,
+        endLabel: endSnapshotLabel,
+        since,
+        until,
+        snapshots: { list: listSnapshotLabels, load: loadSnapshot }
+      })
+      : null,
+    replenishment: replenishment
+      ? await prepareReplenishment(replenishment, { since, until, net: salesMode === 'net', ctx, extraPages })
+      : null
+  });
+  return { rows, startSnapshot, ledgerSince };
+}
+
+async function generateReport(params, ctx, apiStats, meta = {}){
+  const p = validateReportParams(params);
+  const { since, until, startSnapshotLabel, endSnapshotLabel, qtySource, columns, locations, groupBy, aggregate, filters, reconcile, replenishment, salesMode, xlsxSheets, xmlProfile, consolidated } = p;
+  // допълнителни страници за вложени connections — без тях тоталите биха били орязани
+  const extraPages = {};
+  let rows, startSnapshot, ledgerSince;
+  if (consolidated) {
+    // магазин по магазин (всеки в своя scope), прогнозата за страниците е сборът им
+    const parts = [];
+    const estimated = {};
+    for (const shop of consolidated) {
+      const prev = { ...estimated };
+      const shopCtx = ctx && { ...ctx, estimate(kind, pages){ estimated[kind] = (prev[kind] || 0) + pages; ctx.estimate(kind, estimated[kind]); } };
+      console.log('[REPORT] Consolidated — collecting', shop.id);
+      parts.push({ shop, ...(await shops.run(shop, () => collectReportRows(p, shopCtx, extraPages))) });
+    }
+    rows = mergeRowsBySku(parts);
+    startSnapshot = parts.find(x => x.startSnapshot)?.startSnapshot || null;
+    ledgerSince = parts.map(x => x.ledgerSince).filter(Boolean).sort().pop() || null;
+    console.log('[REPORT] Consolidated', parts.map(x => `${x.shop.id}=${x.rows.length}`).join(' '), '→ rows=', rows.length);
+  } else {
+    ({ rows, startSnapshot, ledgerSince } = await collectReportRows(p, ctx, extraPages));
+  }
+  ctx?.throwIfCancelled();
+  ctx?.setPhase('writing');
+  const stamp = new Date().toISOString().replace(/[:.]/g,'-');
+  const base = `inventory-report_${stamp}`;
+
+  const fields = reportFields(columns, { groupBy, net: salesMode === 'net', reconcile: !!reconcile, replenishment: !!replenishment, consolidated: !!consolidated });
+  // XML профилите имат собствено групиране — те получават редовете по вариант
+  const { rows: outRows, groups } = groupReportRows(rows, { groupBy, aggregate, columns: fields });
+
+  const csvBase = await writeCSV(outRows, base, fields);
+  const { base: xmlBase, validation: xmlValidation } = xmlProfile
+    ? await writeProfileXML(rows, base, xmlProfile)
+    : { base: await writeXML(outRows, base, fields), validation: null };
+  const valuation = summarizeValuation(rows);
+  const xlsxBase = await writeXLSX(outRows, base, fields, { sheets: xlsxSheets, summary: valuation });
+  await writeRowsJSON(outRows, base, fields);
+
+  await saveExportRecord(base, {
+    since,
+    until,
+    startSnapshotLabel: startSnapshotLabel && startSnapshot ? startSnapshotLabel : null,
+    endSnapshotLabel: endSnapshotLabel || null,
+    qtySource,
+    columns: fields,
+    groupBy: groupBy || null,
+    aggregate,
+    salesMode,
+    locations: locations?.length ? locations : null,
+    filters,
+    reconcile: reconcile || null,
+    replenishment: replenishment ? params.replenishment : null,
+    shops: consolidated ? consolidated.map(s => s.id) : null,
+    xlsxSheets,
+    xmlProfile,
+    xmlValid: xmlValidation ? xmlValidation.valid : null,
+    rows: rows.length,
+    ranBy: meta.ranBy ?? null,
+    trigger: meta.trigger || 'manual',
+    reportId: meta.reportId || null
+  });
+  pruneExports().catch(e => console.error('[EXPORTS✗] Prune failed', e?.stack || String(e)));
+
+  const warnings = Object.values(extraPages).reduce((a, b) => a + b, 0);
+  const payload = {
+    ok: true,
+    rows: rows.length,
+    exportBase: csvBase,
+    csv: `/download/csv/${csvBase}?enc=utf8`,
+    xml: xmlBase ? `/download/xml/${xmlBase}?enc=utf8` : undefined,
+    csv_win1251: `/download/csv/${csvBase}?enc=win1251`,
+    xml_win1251: xmlBase ? `/download/xml/${xmlBase}?enc=win1251` : undefined,
+    xmlProfile: xmlProfile || undefined,
+    xmlValidation: xmlValidation || undefined,
+    xlsx: `/download/xlsx/${xlsxBase}`,
+    columns: fields,
+    groupBy: groupBy || undefined,
+    aggregate: aggregate || undefined,
+    groups: groups ?? undefined,
+    salesMode,
+    startSnapshotLabel: startSnapshotLabel && startSnapshot ? startSnapshotLabel : undefined,
+    endSnapshotLabel: endSnapshotLabel || undefined,
+    qtySource,
+    ledgerSince: ledgerSince || undefined,
+    reconciliation: reconcile ? summarizeReconciliation(rows) : undefined,
+    replenishment: replenishment ? summarizeReplenishment(rows) : undefined,
+    shops: consolidated ? consolidated.map(shops.view) : undefined,
+    valuation,
+    locations: locations?.length ? locations : undefined,
+    filters: filters || undefined,
+    warnings: warnings || undefined,
+    extraPages: warnings ? extraPages : undefined,
+    api: apiStats,
+    sample: outRows.slice(0, 20).map(({ product_id, ...r }) => r)
+  };
+  console.log('[REPORT] Done. files=', { csv: payload.csv, xml: payload.xml });
+  return payload;
+}
+
+// ===== REPORT JOBS =====
+// Отчетите за големи каталози минават като job: POST /reports връща id веднага, а
+// генерирането продължава на сървъра (и след презареждане на браузъра). Job-овете са в
+// паметта — рестарт на процеса ги губи. Всеки job е на магазина, от който е пуснат.
+const reportJobs = new Map();
+const REPORT_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZES = { products: 50, orders: 100, refunds: 100 };
+
+function startReportJob(params, meta = {}){
+  pruneReportJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    shop: shops.current().id,
+    status: 'running',
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: Date.now(),
+    finishedAt: null,
+    cancelRequested: false,
+    progress: { phase: 'queued', pages: {}, estimatedPages: {} },
+    result: null,
+    error: null
+  };
+  reportJobs.set(job.id, job);
+  console.log('[JOB] Started', job.id);
+
+  runReport(params, createJobContext(job), meta)
+    .then(result => {
+      job.status = 'done';
+      job.result = result;
+      console.log('[JOB] Done', job.id, 'rows=', result.rows);
+    })
+    .catch(e => {
+      if (e instanceof ReportCancelledError) {
+        job.status = 'cancelled';
+        console.log('[JOB] Cancelled', job.id);
+      } else {
+        job.status = 'failed';
+        job.error = String(e?.message || e);
+        console.error('[JOB✗]', job.id, e?.stack || String(e));
+      }
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+      job.progress.phase = job.status;
+    });
+  return job;
+}
+
+function createJobContext(job){
+  return {
+    setPhase(phase){ job.progress.phase = phase; },
+    estimate(kind, pages){ job.progress.estimatedPages[kind] = pages; },
+    pageFetched(kind){ job.progress.pages[kind] = (job.progress.pages[kind] || 0) + 1; },
+    isCancelled(){ return job.cancelRequested; },
+    throwIfCancelled(){ if (job.cancelRequested) throw new ReportCancelledError('Report cancelled'); }
+  };
+}
+
+// Брой страници по вид от productsCount/ordersCount; при грешка — без прогноза (без ETA)
+async function estimateReportPages(ctx, { since, until, net, productsQuery = null }){
+  try {
+    const data = await shopifyGraphQL(REPORT_COUNTS_QUERY, {
+      productsQuery,
+      ordersQuery: ordersSearchQuery(since, until, net),
+      refundsQuery: refundsSearchQuery(since, until),
+      net
+    });
+    ctx.estimate('products', Math.max(1, Math.ceil(data.productsCount.count / PAGE_SIZES.products)));
+    ctx.estimate('orders', Math.max(1, Math.ceil(data.orders.count / PAGE_SIZES.orders)));
+    if (net) ctx.estimate('refunds', Math.max(1, Math.ceil(data.refunds.count / PAGE_SIZES.refunds)));
+  } catch (e) {
+    console.warn('[JOB] Page estimate failed:', String(e?.message || e));
+  }
+}
+
+function jobView(job){
+  const { pages, estimatedPages, phase } = job.progress;
+  const fetched = Object.values(pages).reduce((a, b) => a + b, 0);
+  const kinds = Object.keys(estimatedPages);
+  const estimated = kinds.length
+    ? kinds.reduce((sum, k) => sum + Math.max(estimatedPages[k], pages[k] || 0), 0)
+    : null;
+  const elapsedMs = (job.finishedAt || Date.now()) - job.startedAt;
+  let percent = null, etaSeconds = null;
+  if (job.status === 'done') {
+    percent = 100;
+  } else if (estimated) {
+    percent = Math.min(99, Math.round((fetched / estimated) * 100));
+    if (fetched && job.status === 'running') {
+      etaSeconds = Math.round((elapsedMs / fetched) * Math.max(estimated - fetched, 0) / 1000);
+    }
+  }
+  return {
+    id: job.id,
+    status: job.cancelRequested && job.status === 'running' ? 'cancelling' : job.status,
+    phase,
+    createdAt: job.createdAt,
+    elapsedSeconds: Math.round(elapsedMs / 1000),
+    progress: { pages, estimatedPages, pagesFetched: fetched, pagesEstimated: estimated, percent, etaSeconds },
+    params: job.params,
+    result: signReportLinks(job.result) || undefined,
+    error: job.error || undefined
+  };
+}
+
+function pruneReportJobs(){
+  const cutoff = Date.now() - REPORT_JOB_TTL_MS;
+  for (const [id, job] of reportJobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) reportJobs.delete(id);
+  }
+}
+
+// ===== RECURRING REPORTS =====
+// Запазени дефиниции на отчети (в storage на магазина). Разписанието (по избор) е schedule
+// "report-<id>" (за допълнителните магазини "report-<shop.key>.<id>") с task "report"; всяко
+// изпълнение се пази в историята (report_runs) заедно с резултата от доставката.
+//
+// Дефиниция: { id, name, range, qtySource, startSnapshot, endSnapshot, columns, salesMode, groupBy, aggregate, filters, locations,
+//              reconcile, replenishment, shops, formats, encoding, delivery, schedule }
+//   range         — last-month | this-month | last-week | yesterday | last-<N>-days, спрямо датата на изпълнение
+//   startSnapshot — period-start (последният snapshot ≤ началото) | none | конкретен label
+//   endSnapshot   — none (текущ инвентар) | period-end (последният snapshot в периода) | конкретен label
+//   qtySource     — snapshots (по подразбиране) | ledger — тогава startSnapshot/endSnapshot са none
+const REPORT_DEFS = 'report_definitions';
+const REPORT_RUNS = 'report_runs';
+const REPORT_RUNS_LIMIT = 500;
+const EXPORT_FORMATS = ['csv', 'xml', 'xlsx'];
+const EXPORT_ENCODINGS = ['utf8', 'win1251'];
+
+const delivery = createDelivery({
+  localDir: DELIVERY_DIR_ENV || path.join(__dirname, 'deliveries'),
+  smtp: { host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE === 'true', user: SMTP_USER, pass: SMTP_PASS, from: SMTP_FROM },
+  sftp: { host: SFTP_HOST, port: SFTP_PORT, username: SFTP_USERNAME, password: SFTP_PASSWORD, privateKey: SFTP_PRIVATE_KEY }
+});
+
+// YYYY-MM-DD ± дни (календарно, без часови зони)
+function addDaysYMD(ymd, days){
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// → { since, until, sinceYMD, untilYMD } за правилото към момента at (в TIMEZONE).
+// Часовете са като в UI-то: 00:00:01 / 23:59:59 местно време в TIMEZONE, а за текущия ден — сега.
+// since/until са в UTC.
+function resolveReportRange(range, at = new Date()){
+  const today = labelForDateTZ(at, TIMEZONE);
+  const [y, m] = today.split('-').map(Number);
+  let sinceYMD, untilYMD;
+  const days = String(range).match(/^last-(\d+)-days$/);
+  if (range === 'last-month') {
+    sinceYMD = new Date(Date.UTC(y, m - 2, 1)).toISOString().slice(0, 10);
+    untilYMD = new Date(Date.UTC(y, m - 1, 0)).toISOString().slice(0, 10);
+  } else if (range === 'this-month') {
+    sinceYMD = `${today.slice(0, 7)}-01`;
+    untilYMD = today;
+  } else if (range === 'last-week') {
+    const weekday = new Date(`${today}T12:00:00Z`).getUTCDay() || 7; // 1 = понеделник
+    sinceYMD = addDaysYMD(today, -weekday - 6);
+    untilYMD = addDaysYMD(today, -weekday);
+  } else if (range === 'yesterday') {
+    sinceYMD = untilYMD = addDaysYMD(today, -1);
+  } else if (days && Number(days[1]) >= 1) {
+    sinceYMD = addDaysYMD(today, -Number(days[1]));
+    untilYMD = addDaysYMD(today, -1);
+  } else {
+    throw new ReportInputError(`Unsupported range: ${range} (last-month | this-month | last-week | yesterday | last-<N>-days)`);
+  }
+  const until = untilYMD === today ? at.toISOString().replace(/\.\d+Z$/, 'Z') : isoForLocalTZ(untilYMD, '23:59:59', TIMEZONE);
+  return { since: isoForLocalTZ(sinceYMD, '00:00:01', TIMEZONE), until, sinceYMD, untilYMD };
+}
+
+// Правило за snapshot → label или null; warnings събира защо липсва
+function resolveSnapshotRule(rule, { sinceYMD, untilYMD }, labels, which, warnings){
+  if (!rule || rule === 'none') return null;
+  const dated = labels.filter(l => /^\d{4}-\d{2}-\d{2}$/.test(l)).sort();
+  let label = null;
+  if (rule === 'period-start') {
+    label = dated.filter(l => l <= sinceYMD).pop() || null;
+  } else if (rule === 'period-end') {
+    label = dated.filter(l => l >= sinceYMD && l <= untilYMD).pop() || null;
+  } else {
+    label = labels.includes(rule) ? rule : null;
+  }
+  if (!label) warnings.push(`No ${which} snapshot for rule "${rule}" — ${which === 'end' ? 'live inventory used' : 'starting qty left empty'}`);
+  return label;
+}
+
+function normalizeReportDefinition(raw, existing = null){
+  if (!raw || typeof raw !== 'object') throw new ReportInputError('Report definition must be an object');
+  if (!raw.name) throw new ReportInputError('Report definition needs a name');
+  const def = {
+    id: existing?.id || (raw.id ? String(raw.id) : crypto.randomUUID().slice(0, 8)),
+    name: String(raw.name),
+    range: raw.range || 'last-month',
+    qtySource: raw.qtySource || 'snapshots',
+    startSnapshot: raw.qtySource === 'ledger' ? 'none' : raw.startSnapshot || 'period-start',
+    endSnapshot: raw.qtySource === 'ledger' ? 'none' : raw.endSnapshot || 'none',
+    columns: raw.columns,
+    salesMode: raw.salesMode,
+    groupBy: raw.groupBy,
+    aggregate: raw.aggregate,
+    filters: raw.filters,
+    locations: raw.locations,
+    reconcile: raw.reconcile,
+    replenishment: raw.replenishment,
+    shops: raw.shops,
+    xlsxSheets: raw.xlsxSheets,
+    xmlProfile: raw.xmlProfile,
+    formats: raw.formats?.length ? raw.formats : ['csv'],
+    encoding: raw.encoding || 'utf8',
+    delivery: raw.delivery || [],
+    schedule: raw.schedule || null,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  if (!/^[a-zA-Z0-9._-]+$/.test(def.id)) throw new ReportInputError(`Invalid id: ${def.id}`);
+  const bad = def.formats.filter(f => !EXPORT_FORMATS.includes(f));
+  if (bad.length) throw new ReportInputError(`Unsupported formats: ${bad.join(', ')} (expected ${EXPORT_FORMATS.join(' | ')})`);
+  if (!EXPORT_ENCODINGS.includes(def.encoding)) throw new ReportInputError(`Unsupported encoding: ${def.encoding}`);
+  try {
+    def.delivery = delivery.validate(def.delivery);
+  } catch (e) {
+    if (e instanceof DeliveryConfigError) throw new ReportInputError(e.message);
+    throw e;
+  }
+  // същите проверки като при ръчен отчет (с примерен период); snapshot-ите се избират при пускане
+  const period = resolveReportRange(def.range);
+  const p = validateReportOptions(reportParamsFor(def, period));
+  if (p.reconcile && def.startSnapshot === 'none' && p.qtySource !== 'ledger') {
+    throw new ReportInputError('Reconciliation needs a startSnapshot rule or qtySource "ledger"');
+  }
+  return def;
+}
+
+function reportParamsFor(def, { since, until }){
+  return {
+    since,
+    until,
+    qtySource: def.qtySource,
+    columns: def.columns,
+    salesMode: def.salesMode,
+    groupBy: def.groupBy,
+    aggregate: def.aggregate,
+    filters: def.filters,
+    locations: def.locations,
+    reconcile: def.reconcile,
+    replenishment: def.replenishment,
+    shops: def.shops,
+    xlsxSheets: def.xlsxSheets,
+    xmlProfile: def.xmlProfile
+  };
+}
+
+// разписанията са общи за всички магазини — id-то на допълнителните носи shop.key
+function reportScheduleId(id, shop = shops.current()){
+  return shop.primary ? `report-${id}` : `report-${shop.key}.${id}`;
+}
+
+async function listReportDefinitions(){
+  return (await storage.listRecords(REPORT_DEFS)).sort((a, b) => a.name.localeCompare(b.name));
+}
+async function getReportDefinition(id){
+  return (await storage.listRecords(REPORT_DEFS)).find(d => d.id === id) || null;
+}
+
+async function saveReportDefinition(raw, id = null){
+  const existing = id ? await getReportDefinition(id) : null;
+  if (id && !existing) return null;
+  const def = normalizeReportDefinition(raw, existing);
+  if (!existing && await getReportDefinition(def.id)) throw new ReportInputError(`Report definition already exists: ${def.id}`);
+
+  // разписанието се сменя изцяло (remove + add)
+  const scheduleId = reportScheduleId(def.id);
+  const shop = shops.current();
+  if (existing?.schedule || scheduler.has(scheduleId)) await scheduler.remove(scheduleId);
+  if (def.schedule) {
+    try {
+      await scheduler.add({
+        ...def.schedule,
+        id: scheduleId,
+        name: `Report: ${def.name}${shop.primary ? '' : ` (${shop.name})`}`,
+        task: 'report',
+        params: { reportId: def.id, shop: shop.primary ? undefined : shop.id }
+      });
+    } catch (e) {
+      if (e instanceof ScheduleInputError) throw new ReportInputError(`schedule: ${e.message}`);
+      throw e;
+    }
+  }
+  await storage.saveRecord(REPORT_DEFS, def);
+  console.log('[RECUR] Saved definition', def.id, def.name, def.schedule ? 'scheduled' : 'manual only');
+  return def;
+}
+
+async function deleteReportDefinition(id){
+  const def = await getReportDefinition(id);
+  if (!def) return false;
+  if (scheduler.has(reportScheduleId(id))) await scheduler.remove(reportScheduleId(id));
+  await storage.deleteRecord(REPORT_DEFS, id);
+  console.log('[RECUR] Deleted definition', id);
+  return true;
+}
+
+// Изпълнява дефиницията към момента at и доставя файловете; връща записа от историята
+async function runReportDefinition(def, { trigger = 'manual', at = new Date() } = {}){
+  const period = resolveReportRange(def.range, at);
+  const warnings = [];
+  const labels = await listSnapshotLabels();
+  const startSnapshotLabel = resolveSnapshotRule(def.startSnapshot, period, labels, 'start', warnings);
+  const endSnapshotLabel = resolveSnapshotRule(def.endSnapshot, period, labels, 'end', warnings);
+  const rec = {
+    id: crypto.randomUUID(),
+    reportId: def.id,
+    name: def.name,
+    trigger,
+    since: period.since,
+    until: period.until,
+    startSnapshotLabel,
+    endSnapshotLabel,
+    formats: def.formats,
+    encoding: def.encoding,
+    startedAt: new Date().toISOString(),
+    status: 'running',
+    warnings
+  };
+  await storage.saveRecord(REPORT_RUNS, rec);
+  console.log('[RECUR] Run', def.id, trigger, period.sinceYMD, '→', period.untilYMD, { startSnapshotLabel, endSnapshotLabel });
+  const started = Date.now();
+
+  try {
+    const payload = await runReport({
+      ...reportParamsFor(def, period),
+      startSnapshotLabel: startSnapshotLabel || undefined,
+      endSnapshotLabel: endSnapshotLabel || undefined
+    }, null, { ranBy: `report:${def.id}`, trigger, reportId: def.id });
+    rec.rows = payload.rows;
+    rec.exportBase = payload.exportBase;
+    rec.reconciliation = payload.reconciliation;
+
+    const slug = def.name.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || def.id;
+    const files = [];
+    const missing = [];
+    for (const format of def.formats) {
+      const data = await storage.readExport(`${payload.exportBase}.${format}`);
+      if (!data) {
+        // XML по профил, който не мина XSD проверката
+        warnings.push(`${format.toUpperCase()} not delivered: ${payload.xmlValidation?.errors?.[0] || 'file missing'}`);
+        missing.push(format);
+        continue;
+      }
+      const { buf, contentType } = encodeExport(format, data, def.encoding);
+      files.push({ filename: `${slug}_${period.sinceYMD}_${period.untilYMD}.${format}`, content: buf, contentType });
+    }
+    rec.files = files.map(f => f.filename);
+    rec.formats = def.formats.filter(f => !missing.includes(f));
+    rec.deliveries = await delivery.deliver(files, def.delivery, {
+      subject: `${def.name}: ${period.sinceYMD} – ${period.untilYMD}`,
+      text: `Inventory report "${def.name}" for ${period.sinceYMD} – ${period.untilYMD}.\nRows: ${payload.rows}\n${warnings.join('\n')}`
+    });
+    const failed = rec.deliveries.filter(d => d.status !== 'ok').length;
+    rec.status = failed || missing.length ? 'partial' : 'ok';
+    if (failed) rec.error = `${failed} of ${rec.deliveries.length} deliveries failed`;
+    else if (missing.length) rec.error = `Not delivered: ${missing.join(', ')}`;
+  } catch (e) {
+    console.error('[RECUR✗]', def.id, e?.stack || String(e));
+    rec.status = 'failed';
+    rec.error = String(e?.message || e);
+  }
+  rec.finishedAt = new Date().toISOString();
+  rec.durationMs = Date.now() - started;
+  await storage.saveRecord(REPORT_RUNS, rec);
+  await pruneReportRuns();
+  console.log('[RECUR] Done', def.id, rec.status, `in ${rec.durationMs}ms`);
+  return rec;
+}
+
+async function listReportRuns({ reportId = null, limit = null } = {}){
+  const runs = (await storage.listRecords(REPORT_RUNS))
+    .filter(r => !reportId || r.reportId === reportId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  return limit ? runs.slice(0, limit) : runs;
+}
+// изпълнения, прекъснати от рестарт (като при разписанията)
+async function markInterruptedReportRuns(){
+  for (const r of await listReportRuns()) {
+    if (r.status !== 'running') continue;
+    await storage.saveRecord(REPORT_RUNS, { ...r, status: 'interrupted', error: 'Process restarted during the run' });
+    console.warn('[RECUR] Marked interrupted run', r.id, r.reportId);
+  }
+}
+async function pruneReportRuns(){
+  for (const r of (await listReportRuns()).slice(REPORT_RUNS_LIMIT)) await storage.deleteRecord(REPORT_RUNS, r.id);
+}
+
+// запис от историята + подписани линкове към експорта
+function reportRunView(rec){
+  const links = {};
+  if (rec.exportBase) {
+    for (const f of rec.formats || []) links[f] = signDownloadFor(`/download/${f}/${rec.exportBase}?enc=${rec.encoding}`);
+  }
+  return { ...rec, links };
+}
+
+// ===== WEBHOOKS & LEDGER =====
+// POST /webhooks/shopify е публичен — проверява се HMAC на суровото тяло (auth.verifyWebhook).
+// Shopify чака отговор до 5 сек и при грешка праща пак; повторенията се отсяват по X-Shopify-Webhook-Id.
+// С WEBHOOK_RECORD_DIR всяка проверена доставка се записва като JSON — scripts/replay-webhooks.js
+// ги праща отново към локален сървър. Ledger-ът е в lib/ledger.js.
+const WEBHOOK_TOPIC_ENUMS = Object.fromEntries(LEDGER_TOPICS.map(t => [t, t.replace('/', '_').toUpperCase()]));
+
+const WEBHOOK_CREATE_MUTATION = `
+  mutation WebhookCreate($topic: WebhookSubscriptionTopic!, $url: URL!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $url, format: JSON }) {
+      webhookSubscription { id topic }
+      userErrors { field message }
+    }
+  }
+`;
+
+async function recordWebhook({ topic, webhookId, shop, payload }){
+  if (!WEBHOOK_RECORD_DIR) return;
+  const receivedAt = new Date().toISOString();
+  const name = `${receivedAt.replace(/[:.]/g, '-')}_${topic.replace(/[^a-z0-9]+/gi, '-')}_${webhookId || crypto.randomUUID()}.json`;
+  await fs.promises.mkdir(WEBHOOK_RECORD_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(WEBHOOK_RECORD_DIR, name), JSON.stringify({ topic, webhookId, shop, receivedAt, payload }, null, 2));
+}
+
+// абонаменти за LEDGER_TOPICS към APP_URL/webhooks/shopify (вече съществуващите връщат userError)
+async function registerWebhooks(){
+  const url = `${APP_URL.replace(/\/+$/, '')}/webhooks/shopify`;
+  const results = [];
+  for (const topic of LEDGER_TOPICS) {
+    const data = await shopifyGraphQL(WEBHOOK_CREATE_MUTATION, { topic: WEBHOOK_TOPIC_ENUMS[topic], url });
+    const { webhookSubscription, userErrors } = data.webhookSubscriptionCreate;
+    results.push({ topic, id: webhookSubscription?.id || null, errors: userErrors.map(e => e.message) });
+  }
+  console.log('[WEBHOOK] Registered', url, results);
+  return { url, results };
+}
+
+// ===== ENDPOINTS =====
+// магазините за превключвателя в UI-то; current — този на заявката
+app.get('/shops', (req, res)=>{
+  const list = req.auth?.method === 'shopify' ? [shops.current()] : shops.list();
+  res.json({ ok:true, current: shops.current().id, shops: list.map(shops.view) });
+});
+
+app.post('/snapshot', async (req, res)=>{
+  try {
+    console.log('[EP/snapshot] body=', req.body);
+    const label = (req.body?.label) || labelForTodayTZ(TIMEZONE);
+    if (!isSnapshotLabel(label)) return res.status(400).json({ ok:false, error:'Invalid label: use letters, digits, . _ -' });
+    const out = await createSnapshot(label, { trigger: 'manual' });
+    const shop = shops.current();
+    res.json({ ok:true, label, shop: shop.id, ...out, path: storage.driver === 'fs' ? `/data/snapshots/${shop.primary ? '' : `${shop.key}/`}${label}.json` : undefined });
+  } catch(e){
+    console.error('[SNAPSHOT✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ----- Snapshots: списък, преглед, разлика, изтриване -----
+function snapshotSummary(label, snap){
+  return {
+    label,
+    version: snap.version,
+    createdAt: snap.createdAt,
+    trigger: snap.header?.trigger ?? null,
+    shop: snap.header?.shop ?? null,
+    variants: Object.keys(snap.variants).length,
+    totalQty: Object.values(snap.variants).reduce((sum, e) => sum + (e.qty || 0), 0),
+    locations: Object.keys(snap.locations || {}).length
+  };
+}
+function snapshotItem(variantId, entry){
+  return {
+    variantId,
+    sku: entry?.row?.variantSku ?? null,
+    title: entry?.row?.productTitle ?? null,
+    vendor: entry?.row?.productVendor ?? null
+  };
+}
+
+app.get('/snapshots', async (_req, res)=>{
+  try {
+    const snapshots = [];
+    for (const { label, bytes } of await storage.listSnapshots()) {
+      try {
+        snapshots.push({ ...snapshotSummary(label, await loadSnapshot(label)), bytes });
+      } catch (e) {
+        console.warn('[SNAPSHOTS] Unreadable snapshot', label, String(e));
+        snapshots.push({ label, error: 'unreadable' });
+      }
+    }
+    res.json({ ok:true, snapshots });
+  } catch(e){
+    console.error('[SNAPSHOTS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// per-variant разлика в количествата; ?all=1 връща и непроменените
+app.get('/snapshots/diff', async (req, res)=>{
+  try {
+    const from = safeBase(req.query.from || '');
+    const to = safeBase(req.query.to || '');
+    if (!from || !to) return res.status(400).json({ ok:false, error:'Missing from/to snapshot labels' });
+    const a = await loadSnapshot(from);
+    const b = await loadSnapshot(to);
+    if (!a || !b) return res.status(404).json({ ok:false, error:`Snapshot not found: ${!a ? from : to}` });
+
+    const ids = new Set([...Object.keys(a.variants), ...Object.keys(b.variants)]);
+    const changes = [];
+    for (const variantId of ids) {
+      const fromQty = a.variants[variantId]?.qty ?? null;
+      const toQty = b.variants[variantId]?.qty ?? null;
+      const delta = (toQty ?? 0) - (fromQty ?? 0);
+      if (!delta && fromQty !== null && toQty !== null && req.query.all !== '1') continue;
+      changes.push({
+        ...snapshotItem(variantId, b.variants[variantId] || a.variants[variantId]),
+        from_qty: fromQty,
+        to_qty: toQty,
+        delta,
+        status: fromQty === null ? 'added' : toQty === null ? 'removed' : 'changed'
+      });
+    }
+    changes.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+    res.json({
+      ok:true, from, to,
+      totals: {
+        variants: changes.length,
+        increase: changes.reduce((s, c) => s + Math.max(c.delta, 0), 0),
+        decrease: changes.reduce((s, c) => s + Math.min(c.delta, 0), 0)
+      },
+      changes
+    });
+  } catch(e){
+    console.error('[SNAPSHOTS diff✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.get('/snapshots/:label', async (req, res)=>{
+  try {
+    const label = safeBase(req.params.label);
+    const snap = await loadSnapshot(label);
+    if (!snap) return res.status(404).json({ ok:false, error:`Snapshot not found: ${label}` });
+    const items = Object.entries(snap.variants).map(([variantId, e]) => ({
+      ...snapshotItem(variantId, e),
+      qty: e.qty,
+      byLocation: e.byLocation,
+      unitCost: e.unitCost ?? null,
+      unitCostCurrency: e.unitCostCurrency ?? null
+    }));
+    res.json({ ok:true, ...snapshotSummary(label, snap), header: snap.header, locationNames: snap.locations, items });
+  } catch(e){
+    console.error('[SNAPSHOTS get✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.delete('/snapshots/:label', async (req, res)=>{
+  try {
+    const label = safeBase(req.params.label);
+    if (!(await deleteSnapshot(label))) return res.status(404).json({ ok:false, error:`Snapshot not found: ${label}` });
+    res.json({ ok:true, label });
+  } catch(e){
+    console.error('[SNAPSHOTS delete✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.get('/locations', async (_req, res)=>{
+  try {
+    const locations = await fetchLocations();
+    res.json({ ok:true, locations });
+  } catch(e){
+    console.error('[LOCATIONS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.post('/report', async (req,res)=>{
+  try{
+    console.log('[EP/report] body=', req.body);
+    checkReportShops(req);
+    const payload = await runReport(req.body || {}, null, { ranBy: ranByOf(req) });
+    res.json(signReportLinks(payload));
+  } catch(e){
+    if (e instanceof ReportInputError) {
+      console.warn('[EP/report]', e.message);
+      return res.status(400).json({ ok:false, error:e.message });
+    }
+    console.error('[REPORT✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ----- Report jobs: POST /reports → id; GET /reports/:id → статус/прогрес; DELETE → отказ -----
+app.post('/reports', (req, res)=>{
+  try {
+    console.log('[EP/reports] body=', req.body);
+    checkReportShops(req);
+    validateReportParams(req.body || {});
+    const job = startReportJob(req.body || {}, { ranBy: ranByOf(req) });
+    res.status(202).json({ ok:true, id: job.id, status: job.status, url: `/reports/${job.id}` });
+  } catch(e){
+    if (e instanceof ReportInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[JOBS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// job-овете на текущия магазин
+function shopJob(id){
+  const job = reportJobs.get(id);
+  return job && job.shop === shops.current().id ? job : null;
+}
+
+app.get('/reports', (_req, res)=>{
+  const shop = shops.current().id;
+  res.json({ ok:true, jobs: [...reportJobs.values()].filter(j => j.shop === shop).map(jobView).reverse() });
+});
+
+app.get('/reports/:id', (req, res)=>{
+  const job = shopJob(req.params.id);
+  if (!job) return res.status(404).json({ ok:false, error:'Job not found' });
+  res.json({ ok:true, ...jobView(job) });
+});
+
+app.delete('/reports/:id', (req, res)=>{
+  const job = shopJob(req.params.id);
+  if (!job) return res.status(404).json({ ok:false, error:'Job not found' });
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ ok:false, error:`Job already ${job.status}` });
+  }
+  job.cancelRequested = true;
+  console.log('[JOB] Cancel requested', job.id);
+  res.json({ ok:true, id: job.id, status: 'cancelling' });
+});
+
+app.get('/reports/:base/rows', async (req, res)=>{
+  try {
+    const base = safeBase(req.params.base);
+    const data = await loadReportRows(base);
+    if (!data) return res.status(404).json({ ok:false, error:'Rows not available for this export' });
+    res.json({ ok:true, base, ...queryReportRows(data, {
+      offset: Math.max(0, Number(req.query.offset) || 0),
+      limit: Math.min(Math.max(1, Number(req.query.limit) || 50), 1000),
+      sort: req.query.sort ? String(req.query.sort) : null,
+      q: req.query.q ? String(req.query.q).trim() : null
+    }) });
+  } catch(e){
+    if (e instanceof ReportInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[VIEWER✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ----- Schedules -----
+// Разписанията са общи за всички магазини (snapshot задачата снима всички, report задачата работи в
+// params.shop), затова — както shops в отчета — не са достъпни със session token от Admin.
+app.use('/schedules', (req, res, next)=>{
+  if (req.auth?.method !== 'shopify') return next();
+  res.status(403).json({ ok:false, error:'Schedules are not available in the embedded app — sign in with a password' });
+});
+
+app.get('/schedules', async (_req, res)=>{
+  try {
+    res.json({ ok:true, timezone: TIMEZONE, presets: SCHEDULE_PRESETS, schedules: await scheduler.list() });
+  } catch(e){
+    console.error('[SCHED✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.get('/schedules/runs', async (req, res)=>{
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ ok:true, runs: await scheduler.history({ scheduleId: req.query.scheduleId || null, limit }) });
+  } catch(e){
+    console.error('[SCHED✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.post('/schedules', async (req, res)=>{
+  try {
+    console.log('[EP/schedules] body=', req.body);
+    const schedule = await scheduler.add(req.body || {});
+    res.status(201).json({ ok:true, schedule });
+  } catch(e){
+    if (e instanceof ScheduleInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[SCHED✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.delete('/schedules/:id', async (req, res)=>{
+  try {
+    const removed = await scheduler.remove(req.params.id);
+    if (!removed) return res.status(404).json({ ok:false, error:'Schedule not found' });
+    res.json({ ok:true, id: req.params.id });
+  } catch(e){
+    if (e instanceof ScheduleInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[SCHED✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// пуска разписанието веднага; изпълнението се вижда в /schedules/runs
+app.post('/schedules/:id/run', (req, res)=>{
+  if (!scheduler.has(req.params.id)) return res.status(404).json({ ok:false, error:'Schedule not found' });
+  scheduler.run(req.params.id, { trigger: 'manual' }).catch(() => {});
+  res.status(202).json({ ok:true, id: req.params.id });
+});
+
+// ----- Exports -----
+app.get('/exports', async (req, res)=>{
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const exports = (await listExports()).slice(0, limit).map(exportView);
+    res.json({ ok:true, retention: { days: Number(EXPORT_RETENTION_DAYS) || 0, count: Number(EXPORT_RETENTION_COUNT) || 0 }, exports });
+  } catch(e){
+    console.error('[EXPORTS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.delete('/exports/:base', async (req, res)=>{
+  try {
+    const base = safeBase(req.params.base);
+    if (!await deleteExport(base)) return res.status(404).json({ ok:false, error:'Export not found' });
+    console.log('[EXPORTS] Deleted', base);
+    res.json({ ok:true, id: base });
+  } catch(e){
+    console.error('[EXPORTS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// прилага retention веднага (иначе — при старт и след всеки отчет)
+app.post('/exports/prune', async (_req, res)=>{
+  try {
+    res.json({ ok:true, deleted: await pruneExports() });
+  } catch(e){
+    console.error('[EXPORTS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ----- Facets -----
+app.get('/facets', async (_req, res)=>{
+  try {
+    res.json({ ok:true, ...(await fetchFacets()) });
+  } catch(e){
+    console.error('[FACETS✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// колоните за отчета — вградените и тези от COLUMNS_FILE; UI-то строи чиповете от тях
+app.get('/columns', (_req, res)=>{
+  res.json({ ok:true, columns: columnCatalog() });
+});
+
+// ----- XML profiles -----
+app.get('/xml-profiles', (_req, res)=>{
+  res.json({ ok:true, profiles: xmlProfiles.list() });
+});
+
+// ----- Recurring reports -----
+app.get('/report-definitions', async (_req, res)=>{
+  try {
+    res.json({ ok:true, timezone: TIMEZONE, definitions: await listReportDefinitions() });
+  } catch(e){
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.post('/report-definitions', async (req, res)=>{
+  try {
+    console.log('[EP/report-definitions] body=', req.body);
+    checkReportShops(req);
+    const definition = await saveReportDefinition(req.body || {});
+    res.status(201).json({ ok:true, definition });
+  } catch(e){
+    if (e instanceof ReportInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.put('/report-definitions/:id', async (req, res)=>{
+  try {
+    checkReportShops(req);
+    const definition = await saveReportDefinition(req.body || {}, req.params.id);
+    if (!definition) return res.status(404).json({ ok:false, error:'Report definition not found' });
+    res.json({ ok:true, definition });
+  } catch(e){
+    if (e instanceof ReportInputError) return res.status(400).json({ ok:false, error:e.message });
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.delete('/report-definitions/:id', async (req, res)=>{
+  try {
+    if (!await deleteReportDefinition(req.params.id)) return res.status(404).json({ ok:false, error:'Report definition not found' });
+    res.json({ ok:true, id: req.params.id });
+  } catch(e){
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// пуска отчета веднага (период спрямо днес); резултатът е в /report-runs
+app.post('/report-definitions/:id/run', async (req, res)=>{
+  try {
+    const def = await getReportDefinition(req.params.id);
+    if (!def) return res.status(404).json({ ok:false, error:'Report definition not found' });
+    runReportDefinition(def, { trigger: 'manual' }).catch(() => {});
+    res.status(202).json({ ok:true, id: def.id });
+  } catch(e){
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.get('/report-runs', async (req, res)=>{
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, REPORT_RUNS_LIMIT);
+    const runs = await listReportRuns({ reportId: req.query.reportId || null, limit });
+    res.json({ ok:true, runs: runs.map(reportRunView) });
+  } catch(e){
+    console.error('[RECUR✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ----- Webhooks & ledger -----
+app.post('/webhooks/shopify', async (req, res)=>{
+  const topic = req.get('X-Shopify-Topic') || '';
+  const webhookId = req.get('X-Shopify-Webhook-Id') || null;
+  const shopDomain = req.get('X-Shopify-Shop-Domain') || null;
+  // webhook-ът отива в ledger-а на своя магазин (с неговия secret, ако има собствен)
+  const shop = shopDomain ? shops.get(shopDomain) : shops.primary;
+  if (!auth.verifyWebhook(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), shop?.webhookSecret || undefined)) {
+    console.warn('[WEBHOOK] Invalid HMAC', topic, webhookId);
+    return res.status(401).json({ ok:false, error:'Invalid HMAC' });
+  }
+  if (!shop && shops.primary.id) {
+    console.warn('[WEBHOOK] Ignored webhook for another shop', shopDomain, topic);
+    return res.json({ ok:true, ignored:true });
+  }
+  try {
+    await recordWebhook({ topic, webhookId, shop: shopDomain, payload: req.body });
+    const result = await shops.run(shop || shops.primary, () => ledger.ingest(topic, req.body || {}, { webhookId }));
+    console.log('[WEBHOOK]', topic, webhookId, shops.multi ? shopDomain : '', result);
+    res.json({ ok:true, ...result });
+  } catch(e){
+    console.error('[WEBHOOK✗]', topic, webhookId, e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.get('/ledger', async (req, res)=>{
+  try {
+    const { variant, sku, type, since, until } = req.query;
+    if (type && !LEDGER_TYPES.includes(type)) {
+      return res.status(400).json({ ok:false, error:`Unsupported type: ${type} (expected ${LEDGER_TYPES.join(' | ')})` });
+    }
+    const entries = await ledger.list({
+      variantId: variant || null,
+      sku: sku || null,
+      type: type || null,
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+      limit: Math.min(Number(req.query.limit) || 200, 5000)
+    });
+    res.json({ ok:true, ...ledger.status(), count: entries.length, entries });
+  } catch(e){
+    console.error('[LEDGER✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// текущите наличности като начална точка (или за наваксване след пропуснати webhooks)
+app.post('/ledger/baseline', async (_req, res)=>{
+  try {
+    const rows = await fetchAllProductsAndInventory();
+    const { recorded } = await ledger.baseline(rows, { source: 'baseline' });
+    res.json({ ok:true, recorded, ...ledger.status() });
+  } catch(e){
+    console.error('[LEDGER✗]', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+app.post('/ledger/webhooks', async (_req, res)=>{
+  if (!APP_URL.startsWith('https://')) {
+    return res.status(400).json({ ok:false, error:'APP_URL must be a public https URL to receive webhooks' });
+  }
+  try {
+    res.json({ ok:true, ...(await registerWebhooks()) });
+  } catch(e){
+    console.error('[WEBHOOK✗] Register failed', e?.stack || String(e));
+    res.status(500).json({ ok:false, error:String(e) });
+  }
+});
+
+// ===== SCHEDULES =====
+// Разписанията са в SCHEDULES_FILE (config/schedules.json) и през /schedules — виж lib/scheduler.js.
+// Те са общи (в storage на основния магазин): snapshot задачата снима всички магазини, а report
+// задачата работи в магазина на дефиницията (params.shop, без него — основният).
+const SCHEDULES_FILE = SCHEDULES_FILE_ENV || path.join(__dirname, 'config', 'schedules.json');
+const scheduler = createScheduler({
+  storage: storages.get(shops.primary.id),
+  timezone: TIMEZONE,
+  catchUpHours: Number(SCHEDULE_CATCHUP_HOURS),
+  tasks: {
+    // label е датата на планираното изпълнение — и при catch-up след полунощ.
+    // Магазин с грешка не спира останалите; изпълнението е failed, ако някой не е минал.
+    async snapshot({ schedule, scheduledFor, trigger }) {
+      const label = labelForDateTZ(scheduledFor, TIMEZONE);
+      const results = [];
+      for (const shop of shops.list()) {
+        results.push(await shops.run(shop, async () => {
+          if (trigger === 'catch-up' && (await listSnapshotLabels()).includes(label)) {
+            console.log('[SCHED] Snapshot', label, 'already exists — catch-up not needed', shops.multi ? shop.id : '');
+            return { shop: shop.id, skipped: true };
+          }
+          try {
+            const { count } = await createSnapshot(label, { trigger: trigger === 'manual' ? 'manual' : trigger, scheduleId: schedule.id });
+            return { shop: shop.id, variants: count };
+          } catch (e) {
+            console.error('[SCHED✗] Snapshot', label, shop.id, e?.stack || String(e));
+            return { shop: shop.id, error: String(e?.message || e) };
+          }
+        }));
+      }
+      const failed = results.filter(r => r.error);
+      if (failed.length) throw new Error(failed.map(r => shops.multi ? `${r.shop}: ${r.error}` : r.error).join('; '));
+      if (!shops.multi) return results[0].skipped ? { label, skipped: true } : { label, variants: results[0].variants };
+      return { label, skipped: results.every(r => r.skipped) || undefined, shops: results };
+    },
+    // периодът се смята спрямо планираното време (и при catch-up)
+    async report({ schedule, scheduledFor, trigger }) {
+      const shop = schedule.params?.shop ? shops.get(schedule.params.shop) : shops.primary;
+      if (!shop) throw new Error(`Shop not configured: ${schedule.params.shop}`);
+      return shops.run(shop, async () => {
+        const def = await getReportDefinition(schedule.params?.reportId);
+        if (!def) throw new Error(`Report definition not found: ${schedule.params?.reportId}`);
+        const rec = await runReportDefinition(def, { trigger, at: scheduledFor });
+        if (rec.status !== 'ok') throw new Error(rec.error || `Report run ${rec.status}`);
+        return { reportRunId: rec.id, rows: rec.rows, files: rec.files };
+      });
+    }
+  }
+});
+
+function readScheduleConfig(){
+  if (!fs.existsSync(SCHEDULES_FILE)) {
+    console.warn('[SCHED] No schedule config at', SCHEDULES_FILE);
+    return [];
+  }
+  try {
+    const cfg = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+    return Array.isArray(cfg) ? cfg : (cfg.schedules || []);
+  } catch (e) {
+    console.error('[SCHED✗] Cannot read', SCHEDULES_FILE, e.message);
+    return [];
+  }
+}
+await scheduler.load(readScheduleConfig());
+for (const shop of shops.list()) {
+  await shops.run(shop, async () => {
+    await markInterruptedReportRuns();
+    await pruneExports().catch(e => console.error('[EXPORTS✗] Prune failed', shop.id, e?.stack || String(e)));
+  });
+}
 
 // ===== START =====
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on :${PORT}`);
   if (APP_URL) console.log(`App URL: ${APP_URL}`);
+  scheduler.catchUp().catch(e => console.error('[SCHED✗] Catch-up failed', e?.stack || String(e)));
 });